@@ -1,29 +1,68 @@
-import React, { useState } from 'react';
+import { useState } from 'react';
+import Accordion, { AccordionItem } from './accordion/Accordion';
 
-function Accordion() {
-  const items = [
-    { title: 'Section 1', content: 'Content for section 1' },
-    { title: 'Section 2', content: 'Content for section 2' },
-    { title: 'Section 3', content: 'Content for section 3' },
-  ];
-  const [activeIndex, setActiveIndex] = useState(null);
+// Tab to a header, then Up/Down/Home/End move between headers and
+// Enter/Space open and close. The pieces live in ./accordion.
 
-  const toggleIndex = (index) => {
-    setActiveIndex(activeIndex === index ? null : index);
-  };
+const items = [
+  { value: 'section-1', title: 'Section 1', content: 'Content for section 1' },
+  { value: 'section-2', title: 'Section 2', content: 'Content for section 2' },
+  { value: 'section-3', title: 'Section 3', content: 'Content for section 3' },
+];
+
+const faq = [
+  { value: 'shipping', title: 'How long does shipping take?', content: '3-5 working days.' },
+  { value: 'returns', title: 'Can I return an item?', content: 'Yes, within 30 days.' },
+  { value: 'payment', title: 'Which payment methods are there?', content: 'Cards, UPI and cash on delivery.' },
+];
+
+// Shows when it was mounted, to make lazy mounting visible
+function MountedAt() {
+  const [time] = useState(() => new Date().toLocaleTimeString());
+  return <p>This panel was mounted at {time}, the first time it opened.</p>;
+}
+
+function AccordionDemo() {
+  const [openFaq, setOpenFaq] = useState(['shipping']);
 
   return (
-    <div>
-      {items.map((item, index) => (
-        <div key={index}>
-          <h3 onClick={() => toggleIndex(index)}>{item.title}</h3>
-          {activeIndex === index && <p>{item.content}</p>}
-        </div>
-      ))}
+    <div style={{ maxWidth: '600px' }}>
+      <h2>Single (one open at a time)</h2>
+      <Accordion items={items} />
+
+      <h2>Multiple, with a nested accordion</h2>
+      <Accordion type="multiple" defaultValue={['basics']}>
+        <AccordionItem value="basics" title="Basics">
+          <p>Several panels can be open at once.</p>
+        </AccordionItem>
+        <AccordionItem value="nested" title="Nested accordion">
+          <Accordion headingLevel={4}>
+            <AccordionItem value="inner-1" title="Inner 1">
+              Arrow keys here only move between the inner headers.
+            </AccordionItem>
+            <AccordionItem value="inner-2" title="Inner 2">
+              Opening this makes the outer panel grow.
+            </AccordionItem>
+          </Accordion>
+        </AccordionItem>
+        <AccordionItem value="lazy" title="Lazy panel">
+          <MountedAt />
+        </AccordionItem>
+        <AccordionItem value="disabled" title="Disabled" disabled>
+          Never shown
+        </AccordionItem>
+      </Accordion>
+
+      <h2>Controlled</h2>
+      <button onClick={() => setOpenFaq(faq.map((item) => item.value))}>Expand all</button>{' '}
+      <button onClick={() => setOpenFaq([])}>Collapse all</button>
+      <p>Open: {openFaq.join(', ') || 'none'}</p>
+      <Accordion type="multiple" items={faq} value={openFaq} onChange={setOpenFaq} />
+
+      <h2>Always one open (collapsible=false)</h2>
+      <Accordion items={items} defaultValue="section-1" collapsible={false} />
     </div>
   );
 }
 
-export default Accordion;
-
-
+export default AccordionDemo;
@@ -1,55 +1,166 @@
-import React, { useState } from "react";
+import React, { useState, useEffect, useRef } from "react";
+import { evaluate, round } from "./calculator/evaluate";
+import { vars } from "./theme/tokens";
+
+// Scientific keys: label shown on the button -> text added to the input
+const SCIENTIFIC_KEYS = [
+  { label: "sin", value: "sin(" },
+  { label: "cos", value: "cos(" },
+  { label: "tan", value: "tan(" },
+  { label: "log", value: "log(" },
+  { label: "ln", value: "ln(" },
+  { label: "√", value: "sqrt(" },
+  { label: "x!", value: "!" },
+  { label: "π", value: "pi" },
+  { label: "e", value: "e" },
+];
+
+// Keys typed on the keyboard that go straight into the input: digits and
+// operators (functions and constants have their own buttons)
+const TYPED_KEYS = /^[0-9.+\-*/%^()!]$/;
 
 const Calculator = () => {
   const [input, setInput] = useState("");
   const [result, setResult] = useState("");
+  const [error, setError] = useState("");
+  const [scientific, setScientific] = useState(false);
+  const [angleMode, setAngleMode] = useState("deg");
+  const [memory, setMemory] = useState(0);
+  const [history, setHistory] = useState([]); // newest first: { id, expression, result }
+  const nextHistoryId = useRef(1);
 
+  // A result belongs to the expression it came from, so editing drops it
   const handleClick = (value) => {
     setInput(input + value);
+    setResult("");
   };
 
   const clearInput = () => {
     setInput("");
     setResult("");
+    setError("");
+  };
+
+  const backspace = () => {
+    setInput(input.slice(0, -1));
+    setResult("");
   };
 
   const calculateResult = () => {
     try {
-      const evalResult = eval(input); // Be cautious with eval; this is a simple demo.
-      setResult(evalResult);
-    } catch (error) {
-      setResult("Error");
+      const value = evaluate(input, { angleMode }); // safe parser, no eval (see calculator/evaluate.js)
+      setResult(value);
+      setError("");
+      setHistory([{ id: nextHistoryId.current++, expression: input, result: value }, ...history]);
+    } catch (err) {
+      setResult("");
+      setError(err.message);
+    }
+  };
+
+  // Value the memory keys work with: the result of "=", else the expression
+  // being typed
+  const currentValue = () => {
+    if (result !== "") return result;
+    try {
+      return evaluate(input, { angleMode });
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const memoryAdd = (sign) => {
+    const value = currentValue();
+    if (value !== null) setMemory(round(memory + sign * value));
+  };
+
+  const memoryRecall = () => {
+    // Brackets keep a negative value valid after an operator: 2*(-5)
+    handleClick(memory < 0 ? `(${memory})` : String(memory));
+  };
+
+  // Clicking a history entry starts a new expression from its result
+  const reuseResult = (value) => {
+    setInput(String(value));
+    setResult("");
+    setError("");
+  };
+
+  // The listener is added once, so it reads the latest handler through a ref
+  const handleKeyDown = (e) => {
+    const tag = e.target.tagName;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return;
+
+    if (e.key === "Enter" || e.key === "=") {
+      e.preventDefault(); // otherwise Enter also clicks the focused button
+      calculateResult();
+    } else if (e.key === "Backspace") {
+      e.preventDefault();
+      backspace();
+    } else if (e.key === "Escape") {
+      clearInput();
+    } else if (TYPED_KEYS.test(e.key)) {
+      e.preventDefault();
+      handleClick(e.key);
     }
   };
+  const keyHandler = useRef(handleKeyDown);
+  keyHandler.current = handleKeyDown;
+
+  useEffect(() => {
+    const listener = (e) => keyHandler.current(e);
+    window.addEventListener("keydown", listener);
+    return () => window.removeEventListener("keydown", listener);
+  }, []);
 
   const styles = {
     calculator: {
       width: "300px",
       margin: "50px auto",
       padding: "20px",
-      border: "2px solid #ccc",
+      border: `2px solid ${vars.color.border}`,
       borderRadius: "10px",
-      backgroundColor: "#f9f9f9",
+      backgroundColor: vars.color.surfaceAlt,
+    },
+    toolbar: {
+      display: "flex",
+      justifyContent: "space-between",
+      marginBottom: "10px",
     },
     display: {
       marginBottom: "20px",
       padding: "10px",
-      border: "1px solid #ccc",
+      border: `1px solid ${vars.color.border}`,
       borderRadius: "5px",
-      backgroundColor: "#fff",
+      backgroundColor: vars.color.surface,
       textAlign: "right",
     },
+    indicators: {
+      display: "flex",
+      justifyContent: "space-between",
+      fontSize: "0.8em",
+      color: vars.color.textMuted,
+      minHeight: "1em",
+    },
     input: {
       fontSize: "1.5em",
+      wordBreak: "break-all",
     },
     result: {
       fontSize: "1.2em",
-      color: "gray",
+      color: vars.color.textMuted,
+    },
+    error: {
+      fontSize: "0.9em",
+      color: vars.color.danger,
     },
     buttons: {
       display: "grid",
       gridTemplateColumns: "repeat(4, 1fr)",
       gap: "10px",
+      marginBottom: "10px",
     },
     button: {
       padding: "15px",
@@ -57,20 +168,95 @@ const Calculator = () => {
       border: "none",
       borderRadius: "5px",
       cursor: "pointer",
-      backgroundColor: "#007bff",
-      color: "white",
+      backgroundColor: vars.color.primary,
+      color: vars.color.onPrimary,
+    },
+    secondaryButton: {
+      padding: "10px",
+      fontSize: "1em",
+      border: "none",
+      borderRadius: "5px",
+      cursor: "pointer",
+      backgroundColor: vars.color.textMuted,
+      color: vars.color.background,
     },
-    buttonHover: {
-      backgroundColor: "#0056b3",
+    history: {
+      maxHeight: "150px",
+      overflowY: "auto",
+      border: `1px solid ${vars.color.border}`,
+      borderRadius: "5px",
+      backgroundColor: vars.color.surface,
+      listStyle: "none",
+      margin: 0,
+      padding: 0,
+    },
+    historyItem: {
+      display: "block",
+      width: "100%",
+      padding: "6px 10px",
+      border: "none",
+      borderBottom: `1px solid ${vars.color.border}`,
+      background: "none",
+      textAlign: "right",
+      cursor: "pointer",
     },
   };
 
   return (
     <div style={styles.calculator}>
+      <div style={styles.toolbar}>
+        <button style={styles.secondaryButton} onClick={() => setScientific(!scientific)}>
+          {scientific ? "Basic" : "Scientific"}
+        </button>
+        {scientific && (
+          <button
+            style={styles.secondaryButton}
+            onClick={() => setAngleMode(angleMode === "deg" ? "rad" : "deg")}
+            title="Angle unit for sin, cos and tan"
+          >
+            {angleMode.toUpperCase()}
+          </button>
+        )}
+      </div>
       <div style={styles.display}>
+        <div style={styles.indicators}>
+          <span>{memory !== 0 ? `M = ${memory}` : ""}</span>
+          <span>{scientific ? angleMode.toUpperCase() : ""}</span>
+        </div>
         <div style={styles.input}>{input || "0"}</div>
         <div style={styles.result}>{result}</div>
+        {error && <div style={styles.error}>{error}</div>}
       </div>
+      <div style={styles.buttons}>
+        <button style={styles.secondaryButton} onClick={() => setMemory(0)}>
+          MC
+        </button>
+        <button style={styles.secondaryButton} onClick={memoryRecall}>
+          MR
+        </button>
+        <button style={styles.secondaryButton} onClick={() => memoryAdd(1)}>
+          M+
+        </button>
+        <button style={styles.secondaryButton} onClick={() => memoryAdd(-1)}>
+          M-
+        </button>
+      </div>
+      {scientific && (
+        <div style={styles.buttons}>
+          {SCIENTIFIC_KEYS.map((key) => (
+            <button
+              key={key.label}
+              style={styles.secondaryButton}
+              onClick={() => handleClick(key.value)}
+            >
+              {key.label}
+            </button>
+          ))}
+          <button style={styles.secondaryButton} onClick={backspace}>
+            ⌫
+          </button>
+        </div>
+      )}
       <div style={styles.buttons}>
         {["7", "8", "9", "4", "5", "6", "1", "2", "3", "0", ".", "+"].map((num) => (
           <button
@@ -90,6 +276,15 @@ const Calculator = () => {
         <button style={styles.button} onClick={() => handleClick("/")}>
           /
         </button>
+        {["(", ")", "%", "^"].map((op) => (
+          <button
+            key={op}
+            style={styles.button}
+            onClick={() => handleClick(op)}
+          >
+            {op}
+          </button>
+        ))}
         <button style={styles.button} onClick={clearInput}>
           C
         </button>
@@ -97,6 +292,30 @@ const Calculator = () => {
           =
         </button>
       </div>
+      {history.length > 0 && (
+        <>
+          <div style={styles.toolbar}>
+            <strong>History</strong>
+            <button style={styles.secondaryButton} onClick={() => setHistory([])}>
+              Clear
+            </button>
+          </div>
+          <ul style={styles.history}>
+            {history.map((entry) => (
+              <li key={entry.id}>
+                <button
+                  style={styles.historyItem}
+                  onClick={() => reuseResult(entry.result)}
+                  title="Use this result"
+                >
+                  <div style={styles.result}>{entry.expression} =</div>
+                  <div>{entry.result}</div>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
     </div>
   );
 };
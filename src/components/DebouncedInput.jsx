@@ -1,32 +1,90 @@
-import React, { useState, useEffect } from 'react';
+import { useState } from 'react';
+import Combobox from './combobox/Combobox';
+import mockCitiesApi from './combobox/mockCitiesApi';
+import { vars } from './theme/tokens';
 
-function DebouncedInput() {
-  const [query, setQuery] = useState('');
-  const [debouncedQuery, setDebouncedQuery] = useState('');
+// The reusable pieces live in ./combobox: useDebouncedValue (wait until
+// typing stops), useSuggestions (cancelled, cached requests), recentSearches
+// (localStorage) and Combobox (all of it behind an accessible input).
+
+// Module-level so it is the same function on every render
+const searchCities = (query, signal) => mockCitiesApi.searchCities(query, signal);
 
-  useEffect(() => {
-    const handler = setTimeout(() => {
-      setDebouncedQuery(query);
-    }, 300);
+const renderCity = (city) => (
+  <>
+    {city.name} <small style={{ color: vars.color.textMuted }}>{city.country}</small>
+  </>
+);
 
-    return () => {
-      clearTimeout(handler);
-    };
-  }, [query]);
+function DebouncedInput() {
+  const [delay, setDelay] = useState(300);
+  const [minLength, setMinLength] = useState(2);
+  const [failureRate, setFailureRate] = useState(mockCitiesApi.failureRate);
+  const [selected, setSelected] = useState(null);
+  const [submitted, setSubmitted] = useState('');
 
-  useEffect(() => {
-    if (debouncedQuery) {
-      console.log('Fetch data for:', debouncedQuery);
-    }
-  }, [debouncedQuery]);
+  const changeFailureRate = (rate) => {
+    mockCitiesApi.failureRate = rate;
+    setFailureRate(rate);
+  };
 
   return (
-    <input
-      type="text"
-      value={query}
-      onChange={(e) => setQuery(e.target.value)}
-      placeholder="Type to search..."
-    />
+    <div style={{ maxWidth: '420px' }}>
+      <Combobox
+        label="Search cities"
+        getSuggestions={searchCities}
+        getLabel={(city) => city.name}
+        renderOption={renderCity}
+        onSelect={setSelected}
+        onSubmit={setSubmitted}
+        delay={delay}
+        minLength={minLength}
+        recentKey="debounced-input-recent"
+      />
+
+      <p>
+        Selected: {selected ? `${selected.name}, ${selected.country}` : 'nothing yet'}
+        {submitted && <> · Last search: &quot;{submitted}&quot;</>}
+      </p>
+
+      <fieldset>
+        <legend>Settings</legend>
+        <label>
+          Debounce delay{' '}
+          <select value={delay} onChange={(e) => setDelay(Number(e.target.value))}>
+            {[0, 150, 300, 600, 1000].map((ms) => (
+              <option key={ms} value={ms}>
+                {ms} ms
+              </option>
+            ))}
+          </select>
+        </label>{' '}
+        <label>
+          Min. characters{' '}
+          <select value={minLength} onChange={(e) => setMinLength(Number(e.target.value))}>
+            {[1, 2, 3].map((n) => (
+              <option key={n} value={n}>
+                {n}
+              </option>
+            ))}
+          </select>
+        </label>{' '}
+        <label>
+          <input
+            type="checkbox"
+            checked={failureRate > 0}
+            onChange={(e) => changeFailureRate(e.target.checked ? 0.5 : 0)}
+          />{' '}
+          Flaky server
+        </label>
+      </fieldset>
+      <p>
+        <small>
+          The mock server answers after {mockCitiesApi.latency} ms. Type quickly and only the last
+          query is requested; earlier requests still in flight are cancelled.
+        </small>
+      </p>
+    </div>
   );
 }
 
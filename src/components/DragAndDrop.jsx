@@ -1,51 +1,76 @@
-import React, { useState } from 'react';
+import { useState } from 'react';
+import KanbanBoard from './dragAndDrop/KanbanBoard';
+import { moveItem } from './dragAndDrop/moveItem';
 
-function DragAndDrop() {
-  const [items, setItems] = useState(['Item 1', 'Item 2', 'Item 3', 'Item 4']);
-  const [draggingIndex, setDraggingIndex] = useState(null);
-
-  const handleDragStart = (index) => {
-    setDraggingIndex(index);
-  };
+// Drag with the mouse or a finger, or tab to a card and use
+// space + arrow keys. The board only reports moves through onChange(from, to);
+// this demo keeps the columns in useState, a Redux slice would do the same in
+// a reducer.
 
-  const handleDragOver = (index) => {
-    if (draggingIndex === index) return;
+const initialColumns = [
+  {
+    id: 'todo',
+    title: 'To do',
+    items: [
+      { id: 'c1', title: 'Write the README' },
+      { id: 'c2', title: 'Add keyboard support' },
+      { id: 'c3', title: 'Fix the login bug' },
+    ],
+  },
+  {
+    id: 'doing',
+    title: 'In progress',
+    items: [{ id: 'c4', title: 'Design the board' }],
+  },
+  {
+    id: 'done',
+    title: 'Done',
+    items: [],
+  },
+];
 
-    const newItems = [...items];
-    const draggedItem = newItems.splice(draggingIndex, 1)[0];
-    newItems.splice(index, 0, draggedItem);
+const initialList = [
+  {
+    id: 'list',
+    title: 'Single list',
+    items: ['Item 1', 'Item 2', 'Item 3', 'Item 4'].map((title) => ({ id: title, title })),
+  },
+];
 
-    setDraggingIndex(index);
-    setItems(newItems);
-  };
+function DragAndDrop() {
+  const [columns, setColumns] = useState(initialColumns);
+  const [list, setList] = useState(initialList);
+  const [log, setLog] = useState([]);
 
-  const handleDrop = () => {
-    setDraggingIndex(null);
+  const handleChange = (from, to) => {
+    const title = (id) => columns.find((column) => column.id === id).title;
+    const card = columns.find((column) => column.id === from.listId).items[from.index];
+    setLog((prev) => [
+      `${card.title}: ${title(from.listId)} #${from.index + 1} → ${title(to.listId)} #${to.index + 1}`,
+      ...prev,
+    ].slice(0, 5));
+    setColumns((prev) => moveItem(prev, from, to));
   };
 
   return (
-    <ul>
-      {items.map((item, index) => (
-        <li
-          key={index}
-          draggable
-          onDragStart={() => handleDragStart(index)}
-          onDragOver={(e) => {
-            e.preventDefault();
-            handleDragOver(index);
-          }}
-          onDrop={handleDrop}
-          style={{
-            padding: '8px',
-            margin: '4px',
-            border: '1px solid #ccc',
-            background: draggingIndex === index ? '#f0f0f0' : '#fff',
-          }}
-        >
-          {item}
-        </li>
-      ))}
-    </ul>
+    <div>
+      <KanbanBoard columns={columns} onChange={handleChange} />
+
+      <h4>Last moves</h4>
+      {log.length === 0 ? (
+        <p>Nothing moved yet</p>
+      ) : (
+        <ul>
+          {log.map((entry, index) => (
+            <li key={index}>{entry}</li>
+          ))}
+        </ul>
+      )}
+
+      <div style={{ maxWidth: '300px' }}>
+        <KanbanBoard columns={list} onChange={(from, to) => setList((prev) => moveItem(prev, from, to))} />
+      </div>
+    </div>
   );
 }
 
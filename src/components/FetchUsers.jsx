@@ -43,40 +43,74 @@
 // export default FetchUsers;
 
 ////or
-import React, { useEffect, useState } from "react";
-
-const FetchUsers = () => {
-  const [users, setUsers] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
-  const [error, setError] = useState(null);
+// import React, { useEffect, useState } from "react";
+//
+// const FetchUsers = () => {
+//   const [users, setUsers] = useState([]);
+//   const [isLoading, setIsLoading] = useState(true);
+//   const [error, setError] = useState(null);
+//
+//   // Callback function for fetching data
+//   const fetchData = async () => {
+//     try {
+//       const response = await fetch("https://jsonplaceholder.typicode.com/users");
+//       if (!response.ok) {
+//         throw new Error(`HTTP error! status: ${response.status}`);
+//       }
+//       const data = await response.json();
+//       setUsers(data);
+//       setIsLoading(false);
+//     } catch (err) {
+//       setError(err.message);
+//       setIsLoading(false);
+//     }
+//   };
+//
+//   // useEffect to call the function
+//   useEffect(() => {
+//     fetchData();
+//   }, []);
+//
+//   return (
+//     <div>
+//       {isLoading && <h1>Loading...</h1>}
+//       {error && <h1>Error: {error}</h1>}
+//       {!isLoading && !error && (
+//         <div>
+//           {users.map((user) => (
+//             <h3 key={user.id}>{user.name}</h3>
+//           ))}
+//         </div>
+//       )}
+//     </div>
+//   );
+// };
+//
+// export default FetchUsers;
 
-  // Callback function for fetching data
-  const fetchData = async () => {
-    try {
-      const response = await fetch("https://jsonplaceholder.typicode.com/users");
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      const data = await response.json();
-      setUsers(data);
-      setIsLoading(false);
-    } catch (err) {
-      setError(err.message);
-      setIsLoading(false);
-    }
-  };
+////or with the useFetch hook from ./customHook, which also aborts the
+//// request on unmount, retries failures and caches the list for a minute
+import useFetch from "./customHook/useFetch";
 
-  // useEffect to call the function
-  useEffect(() => {
-    fetchData();
-  }, []);
+const FetchUsers = () => {
+  const { data: users, loading, error, isFetching, refetch } = useFetch(
+    "https://jsonplaceholder.typicode.com/users",
+    { staleTime: 60000 }
+  );
 
   return (
     <div>
-      {isLoading && <h1>Loading...</h1>}
-      {error && <h1>Error: {error}</h1>}
-      {!isLoading && !error && (
+      {loading && <h1>Loading...</h1>}
+      {error && (
+        <h1>
+          Error: {error.message} <button onClick={() => refetch()}>Retry</button>
+        </h1>
+      )}
+      {users && (
         <div>
+          <button onClick={() => refetch()} disabled={isFetching}>
+            {isFetching ? "Reloading..." : "Reload"}
+          </button>
           {users.map((user) => (
             <h3 key={user.id}>{user.name}</h3>
           ))}
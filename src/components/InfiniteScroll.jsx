@@ -1,44 +1,214 @@
-import React, { useEffect, useState } from 'react';
-
-function InfiniteScroll() {
-  const [items, setItems] = useState(Array.from({ length: 20 }, (_, i) => `Item ${i + 1}`));
-  const [hasMore, setHasMore] = useState(true);
-
-  useEffect(() => {
-    const handleScroll = () => {
-      if (
-        window.innerHeight + document.documentElement.scrollTop >=
-        document.documentElement.offsetHeight - 100
-      ) {
-        loadMore();
-      }
-    };
-    window.addEventListener('scroll', handleScroll);
-    return () => window.removeEventListener('scroll', handleScroll);
-  }, []);
-
-  const loadMore = () => {
-    if (items.length >= 100) {
-      setHasMore(false);
-      return;
-    }
+import { useCallback, useState } from 'react';
+import { Link, Route, Routes, useNavigate, useParams } from 'react-router-dom';
+import InfiniteScroll from './infiniteScroll/InfiniteScroll';
+import useRestoredFeed from './infiniteScroll/useRestoredFeed';
+import LessonRouter from '../navigator/LessonRouter';
+import { vars } from './theme/tokens';
+
+// Reusable pieces live in ./infiniteScroll: useInfiniteLoader (the
+// IntersectionObserver sentinel), VirtualList (windowed rendering),
+// useRestoredFeed (state kept across navigation) and InfiniteScroll (all
+// together).
+
+// Pretend API: `total` items, `limit` at a time, fails now and then
+const fetchItems = (offset, limit, total, failureRate) =>
+  new Promise((resolve, reject) => {
     setTimeout(() => {
-      setItems((prev) =>
-        prev.concat(Array.from({ length: 20 }, (_, i) => `Item ${prev.length + i + 1}`))
-      );
-    }, 1000);
-  };
+      if (Math.random() < failureRate) {
+        reject(new Error('Could not load items (simulated)'));
+        return;
+      }
+      const end = Math.min(offset + limit, total);
+      resolve(Array.from({ length: end - offset }, (_, i) => ({
+        id: offset + i + 1,
+        name: `Item ${offset + i + 1}`,
+      })));
+    }, 500);
+  });
+
+// One list's items, with a loadMore that always sees the latest state
+function useItemLoader(total, pageSize, failureRate) {
+  const [items, setItems] = useState([]);
+
+  const loadMore = useCallback(async () => {
+    const next = await fetchItems(items.length, pageSize, total, failureRate);
+    setItems((prev) => prev.concat(next));
+  }, [items.length, pageSize, total, failureRate]);
 
+  return { items, loadMore, hasMore: items.length < total };
+}
+
+const demos = {
+  window: 'Window scroll (100 items)',
+  container: 'Scrollable box (100 items)',
+  virtual: 'Virtualized (10,000 items)',
+  feed: 'Feed (both directions + back)',
+};
+
+function WindowDemo({ failureRate }) {
+  const { items, loadMore, hasMore } = useItemLoader(100, 20, failureRate);
   return (
-    <div>
+    <InfiniteScroll loadMore={loadMore} hasMore={hasMore} endMessage={<p>No more items</p>}>
       <ul>
-        {items.map((item, index) => (
-          <li key={index}>{item}</li>
+        {items.map((item) => (
+          <li key={item.id}>{item.name}</li>
         ))}
       </ul>
-      {hasMore && <p>Loading more...</p>}
+    </InfiniteScroll>
+  );
+}
+
+function ContainerDemo({ failureRate }) {
+  const { items, loadMore, hasMore } = useItemLoader(100, 20, failureRate);
+  return (
+    <div style={{ border: `1px solid ${vars.color.border}` }}>
+      <InfiniteScroll
+        loadMore={loadMore}
+        hasMore={hasMore}
+        height={300}
+        endMessage={<p>No more items</p>}
+      >
+        <ul>
+          {items.map((item) => (
+            <li key={item.id}>{item.name}</li>
+          ))}
+        </ul>
+      </InfiniteScroll>
+    </div>
+  );
+}
+
+function VirtualDemo({ failureRate }) {
+  const { items, loadMore, hasMore } = useItemLoader(10000, 500, failureRate);
+  return (
+    <div style={{ border: `1px solid ${vars.color.border}` }}>
+      <p>{items.length} items loaded, only the visible rows are in the DOM</p>
+      <InfiniteScroll
+        loadMore={loadMore}
+        hasMore={hasMore}
+        height={400}
+        items={items}
+        rowHeight={32}
+        getKey={(item) => item.id}
+        renderItem={(item) => (
+          <div style={{ padding: '6px 10px', borderBottom: `1px solid ${vars.color.border}` }}>{item.name}</div>
+        )}
+        endMessage={<p>All 10,000 items loaded</p>}
+      />
+    </div>
+  );
+}
+
+const FEED_TOTAL = 1000;
+const FEED_START = 500; // opens in the middle, so there is something older to load
+const FEED_PAGE = 20;
+
+// The feed: older posts above, newer below, each one links to its own page
+function FeedList({ feedId, failureRate }) {
+  const [items, setItems, restoreKey] = useRestoredFeed(feedId, []);
+
+  const first = items[0]?.id ?? FEED_START + 1;
+  const last = items[items.length - 1]?.id ?? FEED_START;
+
+  const loadMore = async () => {
+    const next = await fetchItems(last, FEED_PAGE, FEED_TOTAL, failureRate);
+    setItems((prev) => prev.concat(next));
+  };
+
+  const loadPrevious = async () => {
+    const offset = Math.max(0, first - 1 - FEED_PAGE);
+    const older = await fetchItems(offset, first - 1 - offset, FEED_TOTAL, failureRate);
+    setItems((prev) => older.concat(prev));
+  };
+
+  return (
+    <div style={{ border: `1px solid ${vars.color.border}` }}>
+      <p>
+        Scroll up for older posts, down for newer. Open a post and go back: the same posts
+        are shown at the same scroll position.
+      </p>
+      <InfiniteScroll
+        loadMore={loadMore}
+        hasMore={last < FEED_TOTAL}
+        loadPrevious={loadPrevious}
+        // only once the first page is in, otherwise both ends load at once
+        hasPrevious={items.length > 0 && first > 1}
+        restoreKey={restoreKey}
+        height={400}
+        endMessage={<p>You are all caught up</p>}
+      >
+        <ul>
+          {items.map((item) => (
+            <li key={item.id} style={{ padding: '6px 0' }}>
+              <Link to={`/posts/${item.id}`}>{item.name}</Link>
+            </li>
+          ))}
+        </ul>
+      </InfiniteScroll>
+    </div>
+  );
+}
+
+function FeedPost() {
+  const { postId } = useParams();
+  const navigate = useNavigate();
+  return (
+    <div>
+      <h3>Item {postId}</h3>
+      <p>Going back restores the feed; the link opens a fresh one.</p>
+      <button onClick={() => navigate(-1)}>← Back to feed</button>{' '}
+      <Link to="/">Open a fresh feed</Link>
+    </div>
+  );
+}
+
+let feedVisits = 0;
+
+function FeedDemo({ failureRate }) {
+  // The router's first history entry has the same key on every visit, so
+  // each visit to the demo gets feeds of its own: back inside the demo
+  // restores the feed, opening the demo again starts a fresh one.
+  const [feedId] = useState(() => `feed-${++feedVisits}`);
+  return (
+    <LessonRouter>
+      <Routes>
+        <Route path="/" element={<FeedList feedId={feedId} failureRate={failureRate} />} />
+        <Route path="/posts/:postId" element={<FeedPost />} />
+      </Routes>
+    </LessonRouter>
+  );
+}
+
+function InfiniteScrollDemo() {
+  const [demo, setDemo] = useState('window');
+  const [failureRate, setFailureRate] = useState(0);
+
+  return (
+    <div>
+      <div>
+        {Object.entries(demos).map(([key, label]) => (
+          <button
+            key={key}
+            onClick={() => setDemo(key)}
+            style={{ fontWeight: demo === key ? 'bold' : 'normal' }}
+          >
+            {label}
+          </button>
+        ))}
+        <label>
+          {' '}Simulated failures{' '}
+          <select value={failureRate} onChange={(e) => setFailureRate(Number(e.target.value))}>
+            <option value={0}>none</option>
+            <option value={0.3}>30%</option>
+          </select>
+        </label>
+      </div>
+      {demo === 'window' && <WindowDemo failureRate={failureRate} />}
+      {demo === 'container' && <ContainerDemo failureRate={failureRate} />}
+      {demo === 'virtual' && <VirtualDemo failureRate={failureRate} />}
+      {demo === 'feed' && <FeedDemo failureRate={failureRate} />}
     </div>
   );
 }
 
-export default InfiniteScroll;
+export default InfiniteScrollDemo;
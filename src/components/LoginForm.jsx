@@ -1,45 +1,169 @@
-import React, { useState } from 'react';
+import { useState } from 'react';
+import Tabs from './tabs/Tabs';
+import Form from './form/Form';
+import Field from './form/Field';
+import useForm from './form/useForm';
+import mockUserService from './form/mockUserService';
+import { vars } from './theme/tokens';
+import { sleep } from './utils/sleep';
 
-function LoginForm() {
-  const [email, setEmail] = useState('');
-  const [password, setPassword] = useState('');
-  const [error, setError] = useState('');
-
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    if (!email.includes('@')) {
-      setError('Invalid email');
-      return;
-    }
-    if (password.length < 6) {
-      setError('Password must be at least 6 characters');
-      return;
-    }
-    setError('');
-    alert('Form submitted successfully!');
+// The form engine lives in ./form: rules (the schema checks), useForm (state,
+// touched/dirty, async checks, submit) and Form/Field (the wiring and markup).
+// mockUserService plays the server: try admin@example.com / admin123, or a
+// wrong password, or registering an email that is already taken.
+
+const EMAIL_PATTERN = { value: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'Enter a valid email address' };
+
+const loginSchema = {
+  email: { label: 'Email', required: true, pattern: EMAIL_PATTERN },
+  password: { label: 'Password', required: true, minLength: 6 },
+};
+
+const TAKEN_USERNAMES = ['admin', 'root', 'asha', 'ravi'];
+
+const registerSchema = {
+  name: { label: 'Full name', required: true, minLength: 2, maxLength: 50 },
+  username: {
+    label: 'Username',
+    required: true,
+    pattern: { value: /^[a-z0-9_]{3,16}$/i, message: 'Use 3-16 letters, numbers or _' },
+    // Pretend the server is asked whether the name is free
+    debounce: 300,
+    validate: async (value, values, { signal }) => {
+      await sleep(400, signal);
+      return TAKEN_USERNAMES.includes(value.toLowerCase()) ? 'That username is taken' : undefined;
+    },
+  },
+  email: {
+    label: 'Email',
+    required: true,
+    pattern: EMAIL_PATTERN,
+    debounce: 400,
+    validate: async (value, values, { signal }) =>
+      (await mockUserService.isEmailTaken(value, { signal }))
+        ? 'This email is already registered'
+        : undefined,
+  },
+  age: { label: 'Age', required: true, min: 13, max: 120 },
+  password: {
+    label: 'Password',
+    required: true,
+    minLength: 8,
+    pattern: { value: /\d/, message: 'Password must contain a number' },
+  },
+  confirmPassword: {
+    label: 'Confirm password',
+    required: true,
+    matches: { value: 'password', message: 'Passwords do not match' },
+  },
+  terms: { label: 'I accept the terms', required: 'You must accept the terms' },
+};
+
+const styles = {
+  container: {
+    maxWidth: '360px',
+  },
+  success: {
+    padding: `${vars.space.sm} ${vars.space.md}`,
+    background: vars.color.surfaceAlt,
+    border: `1px solid ${vars.color.success}`,
+    borderRadius: vars.radius.sm,
+  },
+  error: {
+    color: vars.color.danger,
+  },
+};
+
+function SubmitRow({ form, label, busyLabel }) {
+  return (
+    <>
+      {form.submitError && (
+        <p role="alert" style={styles.error}>
+          {form.submitError}
+        </p>
+      )}
+      <button type="submit" disabled={form.isSubmitting}>
+        {form.isSubmitting ? busyLabel : label}
+      </button>{' '}
+      <button type="button" onClick={() => form.reset()} disabled={!form.isDirty || form.isSubmitting}>
+        Clear
+      </button>
+    </>
+  );
+}
+
+function LoginPanel() {
+  const [user, setUser] = useState(null);
+  const form = useForm({ email: '', password: '' }, loginSchema);
+
+  // A wrong email or password comes back as a field error from the server
+  const login = async (values) => {
+    setUser(await mockUserService.login(values));
+  };
+
+  if (user) {
+    return (
+      <p role="status" style={styles.success}>
+        Logged in as {user.name} ({user.email}). <button onClick={() => setUser(null)}>Log out</button>
+      </p>
+    );
+  }
+
+  return (
+    <Form form={form} onSubmit={login}>
+      <Field name="email" type="email" autoComplete="email" />
+      <Field name="password" type="password" autoComplete="current-password" />
+      <SubmitRow form={form} label="Log in" busyLabel="Logging in..." />
+    </Form>
+  );
+}
+
+function RegisterPanel() {
+  const [account, setAccount] = useState(null);
+  const form = useForm(
+    { name: '', username: '', email: '', age: '', password: '', confirmPassword: '', terms: false },
+    registerSchema
+  );
+
+  const register = async (values) => {
+    const user = await mockUserService.register(values);
+    setAccount({ ...user, username: values.username });
+    form.reset();
   };
 
   return (
-    <form onSubmit={handleSubmit}>
-      <div>
-        <label>Email: </label>
-        <input
-          type="email"
-          value={email}
-          onChange={(e) => setEmail(e.target.value)}
-        />
-      </div>
-      <div>
-        <label>Password: </label>
-        <input
-          type="password"
-          value={password}
-          onChange={(e) => setPassword(e.target.value)}
-        />
-      </div>
-      {error && <p style={{ color: 'red' }}>{error}</p>}
-      <button type="submit">Login</button>
-    </form>
+    <>
+      {account && (
+        <p role="status" style={styles.success}>
+          Account created for {account.name} (@{account.username}).
+        </p>
+      )}
+      <Form form={form} onSubmit={register}>
+        <Field name="name" autoComplete="name" />
+        <Field name="username" autoComplete="username" hint="Try 'admin' to see the async check" />
+        <Field name="email" type="email" autoComplete="email" />
+        <Field name="age" type="number" min="13" max="120" />
+        <Field name="password" type="password" autoComplete="new-password" hint="At least 8 characters with a number" />
+        <Field name="confirmPassword" type="password" autoComplete="new-password" />
+        <Field name="terms" type="checkbox" />
+        <SubmitRow form={form} label="Create account" busyLabel="Creating account..." />
+      </Form>
+    </>
+  );
+}
+
+function LoginForm() {
+  return (
+    <div style={styles.container}>
+      <Tabs
+        label="Account"
+        keepMounted
+        tabs={[
+          { id: 'login', label: 'Log in', content: <LoginPanel /> },
+          { id: 'register', label: 'Register', content: <RegisterPanel /> },
+        ]}
+      />
+    </div>
   );
 }
 
@@ -1,18 +1,66 @@
-import React, { useState } from 'react';
-const Modal=()=>{
-  const [isOpen,setIsOpen]=useState(false);
-  const handelOpen=()=>{
-    setIsOpen(!isOpen);
-  }
-  return(
+import { useState } from 'react';
+import Modal from './modal/Modal';
+import useModal from './modal/useModal';
+
+// <Modal> for dialogs that are part of the page, useModal() for questions
+// asked from code: confirm() and prompt() return promises to await.
+const ModalDemo = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [isNestedOpen, setIsNestedOpen] = useState(false);
+  const [name, setName] = useState('brother');
+  const [result, setResult] = useState('');
+  const modal = useModal();
+
+  const handleDelete = async () => {
+    const ok = await modal.confirm({
+      title: 'Delete item?',
+      message: 'This cannot be undone.',
+      confirmLabel: 'Delete',
+      danger: true,
+    });
+    setResult(ok ? 'Deleted' : 'Kept it');
+  };
+
+  const handleRename = async () => {
+    const value = await modal.prompt({
+      title: 'What should we call you?',
+      label: 'Name',
+      defaultValue: name,
+      validate: (text) => (text.trim() ? null : 'Name is required'),
+    });
+    if (value !== null) setName(value.trim());
+    setResult(value === null ? 'Rename cancelled' : `Renamed to ${value.trim()}`);
+  };
+
+  return (
     <div>
-      <button onClick={handelOpen}>{isOpen ?"close":"open"}</button>
-      {isOpen &&<div>
-        <h1>hi brother kaise ho</h1>
-        <h2>Lorem ipsum dolor sit amet, consectetur adipisicing elit. Aut asperiores blanditiis deleniti quisquam nemo quae, cumque vero optio eligendi nisi itaque? A animi, ipsam consequatur quia deserunt necessitatibus impedit minus?</h2>
-        </div>}
+      <button onClick={() => setIsOpen(true)}>open</button>{' '}
+      <button onClick={handleDelete}>delete (confirm)</button>{' '}
+      <button onClick={handleRename}>rename (prompt)</button>
+      {result && <p>{result}</p>}
+
+      <Modal open={isOpen} onClose={() => setIsOpen(false)} title={`hi ${name} kaise ho`}>
+        <p>
+          Lorem ipsum dolor sit amet, consectetur adipisicing elit. Aut asperiores blanditiis
+          deleniti quisquam nemo quae, cumque vero optio eligendi nisi itaque?
+        </p>
+        <p>Escape, the × or a click outside closes it. Tab stays inside.</p>
+        <button onClick={() => setIsNestedOpen(true)}>open another on top</button>{' '}
+        <button onClick={handleDelete}>confirm from inside</button>
+
+        <Modal
+          open={isNestedOpen}
+          onClose={() => setIsNestedOpen(false)}
+          title="Stacked modal"
+          width={360}
+          closeOnBackdrop={false}
+        >
+          <p>Escape closes only this one. The backdrop click is turned off here.</p>
+          <button onClick={() => setIsNestedOpen(false)}>close</button>
+        </Modal>
+      </Modal>
     </div>
-  )
-}
+  );
+};
 
-export default Modal;
+export default ModalDemo;
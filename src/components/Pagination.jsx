@@ -1,40 +1,87 @@
-import React, { useState } from 'react';
+import { useState } from 'react';
+import Pagination from './pagination/Pagination';
+import mockPaginatedApi from './pagination/mockPaginatedApi';
 
-function Pagination() {
-  const items = Array.from({ length: 50 }, (_, i) => `Item ${i + 1}`);
-  const [currentPage, setCurrentPage] = useState(1);
-  const itemsPerPage = 5;
+// Reusable pagination lives in ./pagination: usePagination (local state),
+// useServerPagination (cached pages from an API), PaginationControls (the
+// buttons) and Pagination (a hook + the buttons together).
 
-  const totalPages = Math.ceil(items.length / itemsPerPage);
-  const startIndex = (currentPage - 1) * itemsPerPage;
-  const currentItems = items.slice(startIndex, startIndex + itemsPerPage);
+const items = Array.from({ length: 50 }, (_, i) => `Item ${i + 1}`);
+
+// Pretend server: 237 items, answers after a short delay.
+// Defined outside the component so it is the same function on every render.
+const TOTAL_REMOTE_ITEMS = 237;
+const fakeFetchPage = (page, pageSize) =>
+  new Promise((resolve) => {
+    setTimeout(() => {
+      const start = (page - 1) * pageSize;
+      const end = Math.min(start + pageSize, TOTAL_REMOTE_ITEMS);
+      resolve(
+        Array.from({ length: end - start }, (_, i) => ({
+          id: start + i + 1,
+          name: `Remote item ${start + i + 1}`,
+        }))
+      );
+    }, 300);
+  });
+
+// Server mode loaders for the mock API; module-level so they never change
+const loadOffsetPage = ({ offset, limit }) =>
+  mockPaginatedApi.articles.fetchPage({ offset, limit });
+const loadCursorPage = ({ cursor, limit }) =>
+  mockPaginatedApi.articles.fetchCursor({ cursor, limit });
+
+const renderArticle = (article) => (
+  <li key={article.id}>
+    {article.title} <small>by {article.author}</small>
+  </li>
+);
+
+function PaginationDemo() {
+  const [failureRate, setFailureRate] = useState(mockPaginatedApi.failureRate);
+
+  const changeFailureRate = (e) => {
+    mockPaginatedApi.failureRate = Number(e.target.value);
+    setFailureRate(mockPaginatedApi.failureRate);
+  };
 
   return (
     <div>
-      <ul>
-        {currentItems.map((item, index) => (
-          <li key={index}>{item}</li>
-        ))}
-      </ul>
-      <div>
-        <button
-          disabled={currentPage === 1}
-          onClick={() => setCurrentPage(currentPage - 1)}
-        >
-          Previous
-        </button>
-        <span>
-          Page {currentPage} of {totalPages}
-        </span>
-        <button
-          disabled={currentPage === totalPages}
-          onClick={() => setCurrentPage(currentPage + 1)}
-        >
-          Next
-        </button>
-      </div>
+      <h2>Local items (synced to ?page=&size=)</h2>
+      <Pagination items={items} initialPageSize={5} syncWithUrl />
+
+      <h2>Remote items (total count + fetch callback)</h2>
+      <Pagination totalCount={TOTAL_REMOTE_ITEMS} fetchPage={fakeFetchPage}>
+        {({ pageItems, loading, error }) => {
+          if (loading) return <p>Loading...</p>;
+          if (error) return <p>Error: {error}</p>;
+          return (
+            <ul>
+              {pageItems.map((item) => (
+                <li key={item.id}>{item.name}</li>
+              ))}
+            </ul>
+          );
+        }}
+      </Pagination>
+
+      <h2>Server mode (mock API)</h2>
+      <label>
+        Simulated failure rate{' '}
+        <select value={failureRate} onChange={changeFailureRate}>
+          <option value={0}>0%</option>
+          <option value={0.3}>30%</option>
+          <option value={1}>100%</option>
+        </select>
+      </label>
+
+      <h3>Offset / limit</h3>
+      <Pagination loadPage={loadOffsetPage} renderItem={renderArticle} />
+
+      <h3>Cursor</h3>
+      <Pagination loadPage={loadCursorPage} mode="cursor" renderItem={renderArticle} />
     </div>
   );
 }
 
-export default Pagination;
+export default PaginationDemo;
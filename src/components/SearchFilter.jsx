@@ -1,27 +1,50 @@
-import React, { useState } from "react"
+import SearchFilter from "./search/SearchFilter"
+import { mockProducts } from "../rtk-learning/09-real-world-patterns/mockProducts"
 
-const SearchFilter=()=>{
-const items=["apple","banana","cherry","date","Elderberrry"];
-const [query,setQuery]=useState('');
+// The engine lives in ./search (fuzzyMatch -> search -> useSearch); try
+// typos like "samsng", "hedphones" or "aple", several words like "apple pro",
+// and combine them with the filters.
 
-const filterItems=items.filter((item)=>{
-   return item.toLowerCase().includes(query.toLowerCase());
-})
+const fruits = ["apple", "banana", "cherry", "date", "Elderberrry"].map((name) => ({ name }))
 
-  return(
-    <div>
-      <input
-      type="text"
-      placeholder="Search"
-      value={query}
-      onChange={(e)=>setQuery(e.target.value)}
-      ></input>
-      <ul>
-        {filterItems.map((item,index)=>(
-          <li key={index}>{item}</li>
-        ))}
-      </ul>
+const productFields = [{ name: "name", weight: 2 }, "brand", "category"]
+
+const productFacets = {
+  category: { field: "category", label: "Category" },
+  brand: { field: "brand", label: "Brand" },
+  price: {
+    field: "price",
+    label: "Price",
+    ranges: [
+      { id: "under-100", label: "Under $100", max: 100 },
+      { id: "100-500", label: "$100 – $500", min: 100, max: 500 },
+      { id: "500-1000", label: "$500 – $1000", min: 500, max: 1000 },
+      { id: "over-1000", label: "$1000 and up", min: 1000 },
+    ],
+  },
+}
+
+const SearchFilterDemo = () => {
+  return (
+    <div style={{ maxWidth: "600px" }}>
+      <h2>Products</h2>
+      <SearchFilter
+        items={mockProducts}
+        fields={productFields}
+        facets={productFacets}
+        placeholder="Search products"
+        renderItem={(product, highlight) => (
+          <>
+            <strong>{highlight("name")}</strong> by {highlight("brand")} – ${product.price}{" "}
+            <small>({highlight("category")}, ★ {product.rating})</small>
+          </>
+        )}
+      />
+
+      <h2>Fruits</h2>
+      <SearchFilter items={fruits} fields={["name"]} placeholder="Search fruits" />
     </div>
   )
 }
-export default SearchFilter;
\ No newline at end of file
+
+export default SearchFilterDemo
@@ -1,36 +1,146 @@
-import React, { useState, useRef } from "react";
+import LapTable from "./stopwatch/LapTable";
+import useStopwatch from "./stopwatch/useStopwatch";
+import { formatTime } from "./stopwatch/timerEngine";
+import { vars } from "./theme/tokens";
 
-function StopWatch() {
-  const [time, setTime] = useState(0);
-  const [isRunning, setIsRunning] = useState(false);
-  const persist = useRef(null);
-
-  const start = () => {
-    if (!isRunning) {
-      setIsRunning(true);
-      persist.current = setInterval(() => {
-        setTime((prev) => prev + 1);
-      }, 1000);
-    }
-  };
-
-  const stop = () => {
-    setIsRunning(false);
-    clearInterval(persist.current);
-  };
-
-  const reset = () => {
-    setIsRunning(false);
-    clearInterval(persist.current);
-    setTime(0);
-  };
+// The timing lives in ./stopwatch: timerEngine (start/pause/lap as plain,
+// saveable data), useStopwatch (the hook) and LapTable.
+// Both watches are saved to localStorage: start one and reload the page.
+
+const styles = {
+  section: {
+    maxWidth: "420px",
+    marginBottom: "24px",
+  },
+  display: {
+    fontSize: "48px",
+    fontVariantNumeric: "tabular-nums",
+    margin: "8px 0",
+  },
+  buttons: {
+    display: "flex",
+    gap: "8px",
+    marginBottom: "12px",
+  },
+  alarm: {
+    padding: `${vars.space.sm} ${vars.space.md}`,
+    background: vars.color.surfaceAlt,
+    border: `1px solid ${vars.color.warning}`,
+    borderRadius: vars.radius.sm,
+  },
+};
+
+// A short beep; some browsers block audio until the page has been clicked
+const beep = () => {
+  try {
+    const audio = new AudioContext();
+    const oscillator = audio.createOscillator();
+    oscillator.connect(audio.destination);
+    oscillator.start();
+    oscillator.stop(audio.currentTime + 0.4);
+    oscillator.onended = () => audio.close();
+  } catch (err) {
+    console.warn("Could not play the alarm sound:", err);
+  }
+};
+
+function Stopwatch() {
+  const watch = useStopwatch({ storageKey: "stopwatch" });
+
+  return (
+    <section style={styles.section}>
+      <h2>Stopwatch</h2>
+      <div style={styles.display} role="timer">
+        {formatTime(watch.elapsed)}
+      </div>
+      <div style={styles.buttons}>
+        {watch.running ? (
+          <button onClick={watch.pause}>Stop</button>
+        ) : (
+          <button onClick={watch.start}>{watch.started ? "Resume" : "Start"}</button>
+        )}
+        <button onClick={watch.lap} disabled={!watch.running}>
+          Lap
+        </button>
+        <button onClick={watch.reset} disabled={!watch.started}>
+          Reset
+        </button>
+      </div>
+      <LapTable laps={watch.laps} />
+    </section>
+  );
+}
 
+function Countdown() {
+  const timer = useStopwatch({
+    mode: "countdown",
+    duration: 60000,
+    storageKey: "countdown",
+    onAlarm: beep,
+  });
+  const minutes = Math.floor(timer.duration / 60000);
+  const seconds = Math.floor(timer.duration / 1000) % 60;
+
+  const changeDuration = (mins, secs) =>
+    timer.setDuration((Math.max(0, mins) * 60 + Math.max(0, secs)) * 1000);
+
+  return (
+    <section style={styles.section}>
+      <h2>Timer</h2>
+      <div>
+        <label>
+          Minutes{" "}
+          <input
+            type="number"
+            min="0"
+            value={minutes}
+            disabled={timer.started}
+            onChange={(e) => changeDuration(Number(e.target.value), seconds)}
+            style={{ width: "60px" }}
+          />
+        </label>{" "}
+        <label>
+          Seconds{" "}
+          <input
+            type="number"
+            min="0"
+            max="59"
+            value={seconds}
+            disabled={timer.started}
+            onChange={(e) => changeDuration(minutes, Number(e.target.value))}
+            style={{ width: "60px" }}
+          />
+        </label>
+      </div>
+      <div style={styles.display} role="timer">
+        {formatTime(timer.remaining)}
+      </div>
+      <div style={styles.buttons}>
+        {timer.running ? (
+          <button onClick={timer.pause}>Pause</button>
+        ) : (
+          <button onClick={timer.start} disabled={timer.finished || timer.duration === 0}>
+            {timer.started && !timer.finished ? "Resume" : "Start"}
+          </button>
+        )}
+        <button onClick={timer.reset} disabled={!timer.started}>
+          Reset
+        </button>
+      </div>
+      {timer.finished && (
+        <div role="alert" style={styles.alarm}>
+          ⏰ Time&apos;s up!
+        </div>
+      )}
+    </section>
+  );
+}
+
+function StopWatch() {
   return (
     <div>
-      <h1>{time}s</h1>
-      <button onClick={start}>Start</button>
-      <button onClick={stop}>Stop</button>
-      <button onClick={reset}>Reset</button>
+      <Stopwatch />
+      <Countdown />
     </div>
   );
 }
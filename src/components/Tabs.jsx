@@ -1,39 +1,149 @@
 // 6. Create a Tabs Component
 // Question: Build a Tabs component where clicking a tab displays its content.
+//
+// The reusable version lives in ./tabs; this page shows what it can do.
+// Click a tab, then use Left/Right/Home/End to move between tabs.
 
-import React, { useState } from 'react';
+import { useState } from 'react';
+import { Link, Route, Routes, useLocation } from 'react-router-dom';
+import Tabs from './tabs/Tabs';
+import useRoutedTab from './tabs/useRoutedTab';
+import LessonRouter from '../navigator/LessonRouter';
 
-function Tabs() {
-  const [activeTab, setActiveTab] = useState(0);
+const basicTabs = [
+  { id: 'tab-1', label: 'Tab 1', content: 'Content for Tab 1' },
+  { id: 'tab-2', label: 'Tab 2', content: 'hi i am tab  2' },
+  { id: 'tab-3', label: 'Tab 3', content: 'hello ji i am 3' },
+];
 
-  const tabs = [
-    { title: 'Tab 1', content: 'Content for Tab 1' },
-    { title: 'Tab 2', content: 'hi i am tab  2' },
-    { title: 'Tab 3', content: 'hello ji i am 3' },
-  ];
+const settingsTabs = [
+  { id: 'profile', label: 'Profile', content: 'Name, photo and bio' },
+  { id: 'billing', label: 'Billing', content: 'Cards and invoices' },
+  { id: 'security', label: 'Security', content: 'Password and two-factor' },
+];
 
+function CurrentUrl() {
+  const location = useLocation();
+  return <p>URL: <code>{location.pathname + location.search}</code></p>;
+}
+
+// ?tab=billing
+function QueryParamTabs() {
+  const routed = useRoutedTab({ param: 'tab', defaultValue: 'profile' });
   return (
-    <div>
-      <div className="tab-buttons">
-        {tabs.map((tab, index) => (
-          <button
-            key={index}
-            onClick={() => setActiveTab(index)}
-            style={{
-              fontWeight: activeTab === index ? 'bold' : 'normal',
-              color:activeTab===index?'pink':'white',
-            }}
-          >
-            {tab.title}
-          </button>
-        ))}
-      </div>
-      <div className="tab-content">
-        <p>{tabs[activeTab].content}</p>
-      </div>
-    </div>
+    <>
+      <CurrentUrl />
+      <Tabs label="Settings" tabs={settingsTabs} {...routed} />
+    </>
+  );
+}
+
+// /settings/billing
+function SegmentTabs() {
+  const routed = useRoutedTab({ segment: 'tab', defaultValue: 'profile' });
+  return (
+    <>
+      <CurrentUrl />
+      <Tabs label="Settings" tabs={settingsTabs} {...routed} />
+    </>
+  );
+}
+
+function RoutedTabsDemo() {
+  return (
+    <LessonRouter>
+      <nav>
+        <Link to="/?tab=security">Query param (?tab=security)</Link> |{' '}
+        <Link to="/settings/billing">Path segment (/settings/billing)</Link>
+      </nav>
+      <Routes>
+        <Route path="/" element={<QueryParamTabs />} />
+        <Route path="/settings/:tab?" element={<SegmentTabs />} />
+      </Routes>
+    </LessonRouter>
+  );
+}
+
+// Each file keeps its own text while other tabs are open (keepMounted)
+function FileEditor({ name }) {
+  const [text, setText] = useState(`// ${name}\n`);
+  return (
+    <textarea
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      rows={6}
+      style={{ width: '100%', fontFamily: 'monospace' }}
+    />
   );
 }
 
-export default Tabs;
+let nextFile = 4;
+
+function EditorTabsDemo() {
+  const [files, setFiles] = useState(['App.jsx', 'main.jsx', 'index.css']);
+  const [active, setActive] = useState('App.jsx');
+
+  const addFile = () => {
+    const name = `untitled-${nextFile++}.js`;
+    setFiles((prev) => [...prev, name]);
+    setActive(name);
+  };
+
+  const reorder = (from, to) => {
+    setFiles((prev) => {
+      const next = [...prev];
+      next.splice(to, 0, next.splice(from, 1)[0]);
+      return next;
+    });
+  };
+
+  return (
+    <Tabs
+      label="Open files"
+      tabs={files.map((name) => ({
+        id: name,
+        label: name,
+        closable: true,
+        content: <FileEditor name={name} />,
+      }))}
+      value={active}
+      onChange={setActive}
+      keepMounted
+      onClose={(name) => setFiles((prev) => prev.filter((file) => file !== name))}
+      onReorder={reorder}
+      overflow="menu"
+      addSlot={
+        <button onClick={addFile} aria-label="New file" style={{ padding: '0 12px' }}>
+          +
+        </button>
+      }
+    />
+  );
+}
+
+const manyTabs = Array.from({ length: 20 }, (_, i) => ({
+  id: `month-${i + 1}`,
+  label: `Report ${i + 1}`,
+  content: `Report number ${i + 1}`,
+}));
+
+function TabsDemo() {
+  return (
+    <div style={{ maxWidth: '600px' }}>
+      <h2>Basic</h2>
+      <Tabs label="Basic" tabs={basicTabs} />
+
+      <h2>Synced with the URL</h2>
+      <RoutedTabsDemo />
+
+      <h2>Closable, reorderable, add button, &quot;More&quot; menu</h2>
+      <p>Drag tabs or use Ctrl+Shift+Left/Right; Delete closes. Add files until they stop fitting.</p>
+      <EditorTabsDemo />
+
+      <h2>Scrolling overflow</h2>
+      <Tabs label="Reports" tabs={manyTabs} defaultValue="month-12" />
+    </div>
+  );
+}
 
+export default TabsDemo;
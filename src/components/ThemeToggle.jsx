@@ -1,24 +1,117 @@
-import React, { useState } from 'react';
+import { useTheme } from './theme/themeContext';
+import { vars } from './theme/tokens';
+
+// The theme lives in ./theme: tokens (colors, spacing, type as CSS
+// variables), ThemeProvider (mounted in main.jsx; follows the OS setting and
+// remembers the choice) and useTheme. Switching here restyles the whole app.
+
+const sepiaTheme = {
+  label: 'Sepia',
+  extends: 'light',
+  color: {
+    background: '#f4ecd8',
+    surface: '#fbf5e6',
+    surfaceAlt: '#efe3c8',
+    text: '#5b4636',
+    textMuted: '#8a7560',
+    border: '#d8c8a8',
+    primary: '#a0522d',
+    primarySubtle: '#f3dcc8',
+  },
+};
+
+const styles = {
+  container: {
+    minHeight: '100vh',
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    flexDirection: 'column',
+    gap: vars.space.lg,
+    background: vars.color.background,
+    color: vars.color.text,
+    fontFamily: vars.font.family,
+  },
+  picker: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: vars.space.sm,
+    justifyContent: 'center',
+  },
+  option: {
+    padding: `${vars.space.sm} ${vars.space.md}`,
+    border: `1px solid ${vars.color.border}`,
+    borderRadius: vars.radius.pill,
+    background: vars.color.surface,
+    color: vars.color.text,
+    cursor: 'pointer',
+  },
+  selectedOption: {
+    border: `1px solid ${vars.color.primary}`,
+    background: vars.color.primary,
+    color: vars.color.onPrimary,
+  },
+  swatches: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(4, 1fr)',
+    gap: vars.space.sm,
+    padding: vars.space.lg,
+    background: vars.color.surface,
+    border: `1px solid ${vars.color.border}`,
+    borderRadius: vars.radius.md,
+  },
+  swatch: {
+    height: '40px',
+    borderRadius: vars.radius.sm,
+    border: `1px solid ${vars.color.border}`,
+  },
+  swatchLabel: {
+    fontSize: vars.font.sizeSm,
+    color: vars.color.textMuted,
+    textAlign: 'center',
+  },
+};
+
+const SWATCHES = ['background', 'surface', 'text', 'textMuted', 'border', 'primary', 'danger', 'success'];
 
 function ThemeToggle() {
-  const [isDarkMode, setIsDarkMode] = useState(false);
+  const { theme, choice, systemTheme, themes, setTheme, toggleTheme, registerTheme } = useTheme();
+  const hasSepia = themes.some((t) => t.id === 'sepia');
+  const choices = [{ id: 'system', label: `System (${systemTheme})` }, ...themes];
 
   return (
-    <div
-      style={{
-        background: isDarkMode ? '#333' : '#fff',
-        color: isDarkMode ? '#fff' : '#000',
-        height: '100vh',
-        display: 'flex',
-        justifyContent: 'center',
-        alignItems: 'center',
-        flexDirection: 'column',
-      }}
-    >
-      <h1>{isDarkMode ? 'Dark Mode' : 'Light Mode'}</h1>
-      <button onClick={() => setIsDarkMode(!isDarkMode)}>
-        Toggle Theme
-      </button>
+    <div style={styles.container}>
+      <h1>{themes.find((t) => t.id === theme)?.label} theme</h1>
+
+      <div role="radiogroup" aria-label="Theme" style={styles.picker}>
+        {choices.map((option) => (
+          <button
+            key={option.id}
+            role="radio"
+            aria-checked={choice === option.id}
+            onClick={() => setTheme(option.id)}
+            style={{ ...styles.option, ...(choice === option.id && styles.selectedOption) }}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      <div>
+        <button onClick={toggleTheme}>Toggle light / dark</button>{' '}
+        <button onClick={() => registerTheme('sepia', sepiaTheme)} disabled={hasSepia}>
+          {hasSepia ? 'Sepia theme registered' : 'Register a Sepia theme'}
+        </button>
+      </div>
+
+      <div style={styles.swatches}>
+        {SWATCHES.map((name) => (
+          <div key={name}>
+            <div style={{ ...styles.swatch, background: vars.color[name] }} />
+            <div style={styles.swatchLabel}>{name}</div>
+          </div>
+        ))}
+      </div>
     </div>
   );
 }
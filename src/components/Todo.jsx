@@ -1,69 +1,200 @@
+import { useEffect, useReducer, useState } from "react";
+import { loadTodos, saveTodos } from "./todo/todoStorage";
+import { vars } from "./theme/tokens";
+import {
+  todoReducer,
+  createInitialState,
+  FILTERS,
+  PRIORITIES,
+  parseTags,
+  todayString,
+} from "./todo/todoReducer";
+
+const emptyForm = { text: "", priority: "medium", dueDate: "", tags: "" };
+
+const priorityColors = {
+  low: vars.color.success,
+  medium: vars.color.warning,
+  high: vars.color.danger,
+};
+
+const Todo = () => {
+  // lazy init: read localStorage once, not on every render
+  const [state, dispatch] = useReducer(todoReducer, undefined, () =>
+    createInitialState(loadTodos())
+  );
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [filter, setFilter] = useState("all");
+
+  const tasks = state.present;
+  const today = todayString();
+
+  //save on every change (undo/redo included)
+  useEffect(() => {
+    saveTodos(tasks);
+  }, [tasks]);
+
+  const updateForm = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const formToTodo = () => ({
+    text: form.text.trim(),
+    priority: form.priority,
+    dueDate: form.dueDate,
+    tags: parseTags(form.tags),
+  });
 
-import React from "react";
-import { useState } from "react";
-const Todo=()=>{
-  const [tasks,setTasks]=useState([]);
-  const [input ,setInput]=useState('');
-  const [isEditing,setIsEditing]=useState(false);
-  const [currentIndex,setCurrentIndex]=useState(null);
   //adding the task
-  const addTask=()=>{
-    if(input.trim()!=""){
-      setTasks([...tasks,input]);
-      setInput('');
+  const addTask = () => {
+    if (form.text.trim() !== "") {
+      dispatch({ type: "ADD", payload: formToTodo() });
+      setForm(emptyForm);
     }
-  }
+  };
+
   //remove task
-  const removeTask=(index)=>{
-    setTasks(tasks.filter((task,i)=>{
-      return i!=index;
-    }))
-  }
-  //enable edting
-  const enable=(index)=>{
-    setCurrentIndex(index);
-    setIsEditing(true);
-    setInput(tasks[index]);
-  }
+  const removeTask = (id) => {
+    dispatch({ type: "REMOVE", payload: id });
+    if (id === editingId) cancelEdit();
+  };
+
+  //enable editing
+  const enable = (task) => {
+    setEditingId(task.id);
+    setForm({
+      text: task.text,
+      priority: task.priority,
+      dueDate: task.dueDate,
+      tags: task.tags.join(", "),
+    });
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+  };
+
   //update task
   const updateTask = () => {
-    if (input.trim() !== "") {
-      const updatedTasks = [...tasks];
-      updatedTasks[currentIndex] = input;
-      setTasks(updatedTasks);
-      setInput('');
-      setIsEditing(false);
-      setCurrentIndex(null);
+    if (form.text.trim() !== "") {
+      dispatch({ type: "UPDATE", payload: { id: editingId, changes: formToTodo() } });
+      cancelEdit();
     }
   };
-  
-  return(
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (editingId) updateTask();
+    else addTask();
+  };
+
+  const visibleTasks = tasks.filter((task) => FILTERS[filter](task, today));
+  const counts = Object.fromEntries(
+    Object.keys(FILTERS).map((key) => [
+      key,
+      tasks.filter((task) => FILTERS[key](task, today)).length,
+    ])
+  );
+
+  return (
     <div>
-      <input type="text"
-      value={input}
-      placeholder={isEditing?"upadate task":"add task"}
-      onChange={(e)=>setInput(e.target.value)}
-      />
-      {isEditing ?
-       (<button onClick={updateTask}>update Task</button>)
-        :(<button onClick={addTask}>add task</button>)
-      }
+      <form onSubmit={handleSubmit}>
+        <input
+          type="text"
+          value={form.text}
+          placeholder={editingId ? "update task" : "add task"}
+          onChange={updateForm("text")}
+        />
+        <select value={form.priority} onChange={updateForm("priority")} aria-label="priority">
+          {PRIORITIES.map((priority) => (
+            <option key={priority} value={priority}>
+              {priority}
+            </option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={form.dueDate}
+          onChange={updateForm("dueDate")}
+          aria-label="due date"
+        />
+        <input
+          type="text"
+          value={form.tags}
+          placeholder="tags, comma separated"
+          onChange={updateForm("tags")}
+        />
+        {editingId ? (
+          <>
+            <button type="submit">update task</button>
+            <button type="button" onClick={cancelEdit}>cancel</button>
+          </>
+        ) : (
+          <button type="submit">add task</button>
+        )}
+      </form>
+
+      <div>
+        <button onClick={() => dispatch({ type: "UNDO" })} disabled={state.past.length === 0}>
+          undo
+        </button>
+        <button onClick={() => dispatch({ type: "REDO" })} disabled={state.future.length === 0}>
+          redo
+        </button>
+        <button
+          onClick={() => dispatch({ type: "CLEAR_COMPLETED" })}
+          disabled={counts.completed === 0}
+        >
+          clear completed
+        </button>
+      </div>
+
+      <div>
+        {Object.keys(FILTERS).map((key) => (
+          <button
+            key={key}
+            onClick={() => setFilter(key)}
+            style={{ fontWeight: filter === key ? "bold" : "normal" }}
+          >
+            {key} ({counts[key]})
+          </button>
+        ))}
+      </div>
+
       <ul>
-        {tasks.map((task,index)=>{
-          return(
-            <li key={index}>
-              {task} 
-              <button onClick={()=>enable(index)}>update task</button>
-              <button onClick={()=>removeTask(index)}>remove task</button>
-              </li>
-          )
+        {visibleTasks.map((task) => {
+          const overdue = FILTERS.overdue(task, today);
+          return (
+            <li key={task.id}>
+              <input
+                type="checkbox"
+                checked={task.completed}
+                onChange={() => dispatch({ type: "TOGGLE", payload: task.id })}
+              />
+              <span style={{ textDecoration: task.completed ? "line-through" : "none" }}>
+                {task.text}
+              </span>{" "}
+              <span style={{ color: priorityColors[task.priority] }}>[{task.priority}]</span>{" "}
+              {task.dueDate && (
+                <span style={{ color: overdue ? vars.color.danger : "inherit" }}>
+                  due {task.dueDate}
+                  {overdue && " (overdue)"}
+                </span>
+              )}{" "}
+              {task.tags.map((tag) => (
+                <span key={tag} style={{ marginRight: "4px", color: vars.color.textMuted }}>
+                  #{tag}
+                </span>
+              ))}
+              <button onClick={() => enable(task)}>update task</button>
+              <button onClick={() => removeTask(task.id)}>remove task</button>
+            </li>
+          );
         })}
       </ul>
-      
-   
-
+      {visibleTasks.length === 0 && <p>{`No ${filter === "all" ? "" : `${filter} `}tasks`}</p>}
     </div>
-  )
-}
+  );
+};
 
-export default Todo;
\ No newline at end of file
+export default Todo;
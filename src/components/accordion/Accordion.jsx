@@ -0,0 +1,194 @@
+// Accordion - stacked sections whose panels open and close.
+//
+// From data:
+//   <Accordion items={[{ value: "a", title: "Section A", content: "..." }, ...]} />
+//
+// Or composed, which is how accordions are nested (put one in a panel):
+//   <Accordion type="multiple" defaultValue={["a"]}>
+//     <AccordionItem value="a" title="Section A">...</AccordionItem>
+//     <AccordionItem value="b" title="Section B" disabled>...</AccordionItem>
+//   </Accordion>
+//
+// type: "single" (one panel open; value is a string or null) or "multiple"
+// (any number; value is an array). Pass value + onChange to control it,
+// defaultValue to let the accordion keep it. In single mode collapsible={false}
+// keeps one panel open at all times.
+//
+// Panels are mounted the first time they open (lazy={false} mounts them all up
+// front) and stay mounted afterwards, so their state survives closing.
+//
+// Keyboard (WAI-ARIA accordion pattern): Enter/Space toggle, Up/Down move to
+// the previous/next header, Home/End to the first/last. Headers of a nested
+// accordion belong to that accordion only.
+
+import { createContext, useContext, useId, useRef, useState } from "react";
+import Collapse from "./Collapse";
+import { vars } from "../theme/tokens";
+
+const AccordionContext = createContext(null);
+
+const styles = {
+  item: {
+    borderBottom: `1px solid ${vars.color.border}`,
+  },
+  heading: {
+    margin: 0,
+    fontSize: "1em",
+  },
+  trigger: {
+    display: "flex",
+    width: "100%",
+    justifyContent: "space-between",
+    alignItems: "center",
+    padding: "10px 12px",
+    border: "none",
+    background: "none",
+    font: "inherit",
+    fontWeight: "bold",
+    textAlign: "left",
+    cursor: "pointer",
+  },
+  disabled: {
+    color: vars.color.textMuted,
+    cursor: "not-allowed",
+  },
+  icon: {
+    transition: "transform 0.2s",
+  },
+  panel: {
+    padding: "0 12px 12px",
+  },
+};
+
+const toArray = (value) => (Array.isArray(value) ? value : value == null ? [] : [value]);
+
+export const AccordionItem = ({ value, title, disabled = false, children }) => {
+  const accordion = useContext(AccordionContext);
+  const id = useId();
+  const open = Boolean(accordion?.openValues.includes(value));
+  // Lazy mount: remembered once opened, so closing keeps the content alive
+  const [hasOpened, setHasOpened] = useState(open);
+  if (open && !hasOpened) setHasOpened(true);
+
+  if (!accordion) throw new Error("AccordionItem must be used inside an <Accordion>");
+  const triggerId = `${id}-trigger`;
+  const panelId = `${id}-panel`;
+  const locked = accordion.isLocked(value);
+  const Heading = `h${accordion.headingLevel}`;
+
+  return (
+    <div style={styles.item}>
+      <Heading style={styles.heading}>
+        <button
+          type="button"
+          id={triggerId}
+          data-accordion-trigger={accordion.id}
+          aria-expanded={open}
+          aria-controls={panelId}
+          // the only open panel of a non-collapsible accordion cannot be closed
+          aria-disabled={disabled || locked || undefined}
+          disabled={disabled}
+          onClick={() => !locked && accordion.toggle(value)}
+          onKeyDown={accordion.handleKeyDown}
+          style={{ ...styles.trigger, ...(disabled && styles.disabled) }}
+        >
+          {title}
+          <span aria-hidden="true" style={{ ...styles.icon, transform: open ? "rotate(180deg)" : "none" }}>
+            ▾
+          </span>
+        </button>
+      </Heading>
+      <Collapse open={open} duration={accordion.duration} id={panelId} role="region" aria-labelledby={triggerId}>
+        <div style={styles.panel}>{(hasOpened || !accordion.lazy) && children}</div>
+      </Collapse>
+    </div>
+  );
+};
+
+const Accordion = ({
+  items,
+  type = "single",
+  value,
+  defaultValue = null,
+  onChange,
+  collapsible = true,
+  lazy = true,
+  headingLevel = 3,
+  duration = 200,
+  children,
+}) => {
+  const id = useId();
+  const rootRef = useRef(null);
+  const multiple = type === "multiple";
+
+  const controlled = value !== undefined;
+  const [uncontrolledValue, setUncontrolledValue] = useState(defaultValue);
+  const currentValue = controlled ? value : uncontrolledValue;
+  const openValues = toArray(currentValue);
+
+  const setValue = (next) => {
+    if (!controlled) setUncontrolledValue(next);
+    onChange?.(next);
+  };
+
+  const toggle = (itemValue) => {
+    const isOpen = openValues.includes(itemValue);
+    if (multiple) {
+      setValue(isOpen ? openValues.filter((v) => v !== itemValue) : [...openValues, itemValue]);
+    } else {
+      setValue(isOpen ? null : itemValue);
+    }
+  };
+
+  const isLocked = (itemValue) =>
+    !multiple && !collapsible && openValues.length === 1 && openValues[0] === itemValue;
+
+  const handleKeyDown = (e) => {
+    // Only this accordion's headers, not those of accordions nested in a panel
+    const triggers = [
+      ...rootRef.current.querySelectorAll(`[data-accordion-trigger="${id}"]:not([disabled])`),
+    ];
+    const index = triggers.indexOf(e.currentTarget);
+    const targets = {
+      ArrowDown: triggers[(index + 1) % triggers.length],
+      ArrowUp: triggers[(index - 1 + triggers.length) % triggers.length],
+      Home: triggers[0],
+      End: triggers[triggers.length - 1],
+    };
+    if (!(e.key in targets)) return;
+    e.preventDefault();
+    targets[e.key].focus();
+  };
+
+  const context = {
+    id,
+    openValues,
+    toggle,
+    isLocked,
+    handleKeyDown,
+    lazy,
+    headingLevel,
+    duration,
+  };
+
+  return (
+    <AccordionContext.Provider value={context}>
+      <div ref={rootRef}>
+        {items
+          ? items.map((item, index) => (
+              <AccordionItem
+                key={item.value ?? index}
+                value={item.value ?? String(index)}
+                title={item.title}
+                disabled={item.disabled}
+              >
+                {item.content}
+              </AccordionItem>
+            ))
+          : children}
+      </div>
+    </AccordionContext.Provider>
+  );
+};
+
+export default Accordion;
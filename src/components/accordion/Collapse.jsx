@@ -0,0 +1,55 @@
+// Collapse - shows and hides its children by animating their height.
+//
+// <Collapse open={open}>...</Collapse>
+//
+// height: auto cannot be transitioned, so the content's real height is
+// measured and animated in pixels, then set back to auto once open (so the
+// content can still grow, e.g. a nested accordion opening). Closed content is
+// `hidden`, which takes it out of the tab order and the accessibility tree.
+// Users who ask for reduced motion get no animation.
+
+import { useLayoutEffect, useRef } from "react";
+
+const prefersReducedMotion = () =>
+  window.matchMedia?.("(prefers-reduced-motion: reduce)").matches ?? false;
+
+const Collapse = ({ open, duration = 200, children, ...props }) => {
+  const ref = useRef(null);
+  const firstRun = useRef(true);
+
+  useLayoutEffect(() => {
+    const element = ref.current;
+    const finish = () => {
+      element.style.height = open ? "auto" : "0px";
+      element.hidden = !open;
+    };
+
+    if (firstRun.current || duration === 0 || prefersReducedMotion()) {
+      firstRun.current = false;
+      finish();
+      return;
+    }
+
+    element.hidden = false;
+    // From wherever it is now (it may be mid-animation) to where it is going
+    element.style.height = `${element.getBoundingClientRect().height}px`;
+    void element.offsetHeight; // make the browser apply that before changing it again
+    element.style.height = open ? `${element.scrollHeight}px` : "0px";
+
+    // A timer rather than transitionend, which does not fire if nothing moved
+    const timer = setTimeout(finish, duration);
+    return () => clearTimeout(timer);
+  }, [open, duration]);
+
+  return (
+    <div
+      ref={ref}
+      style={{ overflow: "hidden", transition: `height ${duration}ms ease` }}
+      {...props}
+    >
+      {children}
+    </div>
+  );
+};
+
+export default Collapse;
@@ -0,0 +1,14 @@
+// Sends a signed-out user to the login page, remembering where they were
+// going (see ./returnTo) and why they have to log in (the session's reason).
+//
+// <LoginRedirect to="/login" reason={auth.reason} />
+
+import { Navigate, useLocation } from "react-router-dom";
+import { loginLocation } from "./returnTo";
+
+const LoginRedirect = ({ to = "/login", reason }) => {
+  const location = useLocation();
+  return <Navigate to={loginLocation(to, location)} state={{ from: location, reason }} replace />;
+};
+
+export default LoginRedirect;
@@ -0,0 +1,169 @@
+// authStore - the signed-in session, shared by every component and tab.
+//
+// Plain module state (no provider needed), read in components through
+// useAuth and in other code through getAuthState / getAccessToken:
+//
+//   await login({ email, password });  // rejects with field errors on bad credentials
+//   const token = await getAccessToken(); // refreshed first if it has expired
+//   logout();
+//
+// The session ({ accessToken, refreshToken }) is saved in localStorage, so it
+// survives reloads, and other tabs pick up logins and logouts through the
+// storage event. The access token is refreshed shortly before it expires;
+// when the server refuses (the refresh token expired or was revoked) the
+// session ends with reason "expired".
+//
+// State: { status: "authenticated" | "anonymous", user, expiresAt, reason }
+//   user   - the access token's claims (name, email, role, permissions, ...)
+//   reason - why the last session ended: "logout", "expired" or "other-tab"
+
+import mockAuthServer from "./mockAuthServer";
+import { decodeToken, expiresIn } from "./token";
+
+export const AUTH_STORAGE_KEY = "auth-session";
+
+// Refresh this long before the access token expires (or a fifth of its
+// lifetime for very short-lived tokens)
+const REFRESH_MARGIN = 30000;
+// After a failed refresh that was not a 401 (e.g. network), try again
+const RETRY_DELAY = 5000;
+
+const server = mockAuthServer;
+
+// A stored session is only used if its access token can be read; anything
+// else (an old format, a hand-edited value) counts as logged out
+const hasReadableToken = (session) => {
+  const claims = session?.accessToken ? decodeToken(session.accessToken) : null;
+  return typeof claims?.exp === "number" && typeof claims.iat === "number";
+};
+
+const readSession = (raw) => {
+  try {
+    const session = JSON.parse(raw);
+    return session?.refreshToken && hasReadableToken(session) ? session : null;
+  } catch {
+    return null;
+  }
+};
+
+const loadSession = () => {
+  try {
+    return readSession(localStorage.getItem(AUTH_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+const saveSession = (session) => {
+  try {
+    if (session) localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(session));
+    else localStorage.removeItem(AUTH_STORAGE_KEY);
+  } catch (err) {
+    console.error("Could not save the session:", err);
+  }
+};
+
+const toState = (session, reason = null) => {
+  const user = session ? decodeToken(session.accessToken) : null;
+  return user
+    ? { status: "authenticated", user, expiresAt: user.exp * 1000, reason: null }
+    : { status: "anonymous", user: null, expiresAt: null, reason };
+};
+
+let session = loadSession();
+let state = toState(session);
+const listeners = new Set();
+let refreshTimer = null;
+let refreshing = null;
+
+const scheduleRefresh = (delay) => {
+  clearTimeout(refreshTimer);
+  refreshTimer = null;
+  if (!session) return;
+  if (delay === undefined) {
+    const claims = decodeToken(session.accessToken);
+    const lifetime = (claims.exp - claims.iat) * 1000;
+    delay = expiresIn(claims) - Math.min(REFRESH_MARGIN, lifetime / 5);
+  }
+  refreshTimer = setTimeout(() => refreshSession().catch(() => {}), Math.max(0, delay));
+};
+
+// save: false when the change came from another tab and is already stored
+const setSession = (next, { reason = null, save = true } = {}) => {
+  session = next;
+  state = toState(next, reason);
+  if (save) saveSession(next);
+  scheduleRefresh();
+  listeners.forEach((listener) => listener());
+};
+
+export const subscribeAuth = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const getAuthState = () => state;
+
+export const login = async (credentials) => {
+  const tokens = await server.login(credentials);
+  setSession(tokens);
+  return state.user;
+};
+
+export const logout = ({ reason = "logout" } = {}) => {
+  if (!session) return;
+  server.logout(session.refreshToken).catch(() => {});
+  setSession(null, { reason });
+};
+
+// One refresh at a time; everyone asking meanwhile gets the same promise
+export const refreshSession = () => {
+  if (refreshing) return refreshing;
+  const current = session;
+  if (!current) return Promise.resolve(null);
+
+  refreshing = server
+    .refresh(current.refreshToken)
+    .then(
+      (tokens) => {
+        if (session === current) setSession(tokens);
+        return session;
+      },
+      (err) => {
+        // Another tab may have refreshed first, which used up our refresh token
+        const stored = loadSession();
+        if (stored && stored.refreshToken !== current.refreshToken) {
+          setSession(stored, { save: false });
+          return session;
+        }
+        if (session === current) {
+          if (err.status === 401) setSession(null, { reason: "expired" });
+          else scheduleRefresh(RETRY_DELAY);
+        }
+        throw err;
+      }
+    )
+    .finally(() => {
+      refreshing = null;
+    });
+  return refreshing;
+};
+
+// For API calls: a token that is valid for at least a few more seconds
+export const getAccessToken = async () => {
+  if (!session) return null;
+  if (expiresIn(decodeToken(session.accessToken)) < 5000) await refreshSession();
+  return session?.accessToken ?? null;
+};
+
+// Logins, logouts and refreshes in other tabs
+if (typeof window !== "undefined") {
+  window.addEventListener("storage", (e) => {
+    if (e.key !== AUTH_STORAGE_KEY && e.key !== null) return; // null: storage cleared
+    const next = readSession(e.key === null ? null : e.newValue);
+    if (next?.accessToken === session?.accessToken) return;
+    setSession(next, { reason: next ? null : "other-tab", save: false });
+  });
+}
+
+scheduleRefresh();
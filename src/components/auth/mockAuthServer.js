@@ -0,0 +1,92 @@
+// Mock auth backend standing in for a real token endpoint, in the style of
+// pagination/mockPaginatedApi.js. Users and passwords come from
+// form/mockUserService.
+//
+//   login({ email, password }) -> { accessToken, refreshToken }
+//   refresh(refreshToken)      -> { accessToken, refreshToken } (the old one stops working)
+//   logout(refreshToken)       -> revokes it
+//
+// Access tokens live accessTokenTtl seconds (short, so refreshing can be
+// seen in the demo). Refresh tokens are single use and are kept in
+// localStorage, which plays the server's database: it is shared by all tabs
+// and survives a reload. A refused refresh rejects with status 401.
+
+import mockUserService from "../form/mockUserService";
+import { sleep } from "../utils/sleep";
+import { encodeSegment } from "./token";
+
+const STORAGE_KEY = "mock-auth-server";
+
+// Read on every request, as another tab may have changed it
+const loadRefreshTokens = () => {
+  try {
+    return new Map(JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? []);
+  } catch {
+    return new Map();
+  }
+};
+
+const saveRefreshTokens = (refreshTokens) => {
+  try {
+    const live = [...refreshTokens].filter(([, entry]) => entry.expiresAt > Date.now());
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(live));
+  } catch (err) {
+    console.error("Could not save refresh tokens:", err);
+  }
+};
+
+const randomId = () =>
+  Array.from(crypto.getRandomValues(new Uint8Array(16)), (b) => b.toString(16).padStart(2, "0")).join("");
+
+const unauthorized = (message) => Object.assign(new Error(message), { status: 401 });
+
+export const mockAuthServer = {
+  latency: 400,
+  accessTokenTtl: 60, // seconds
+  refreshTokenTtl: 7 * 24 * 60 * 60,
+
+  issueTokens(user) {
+    const now = Math.floor(Date.now() / 1000);
+    const claims = {
+      sub: String(user.id),
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      permissions: user.permissions,
+      iat: now,
+      exp: now + mockAuthServer.accessTokenTtl,
+    };
+    const accessToken = [encodeSegment({ alg: "none", typ: "JWT" }), encodeSegment(claims), "mock-signature"].join(".");
+    const refreshToken = randomId();
+    const refreshTokens = loadRefreshTokens();
+    refreshTokens.set(refreshToken, { email: user.email, expiresAt: (now + mockAuthServer.refreshTokenTtl) * 1000 });
+    saveRefreshTokens(refreshTokens);
+    return { accessToken, refreshToken };
+  },
+
+  async login(credentials) {
+    const user = await mockUserService.login(credentials); // rejects with field errors
+    return mockAuthServer.issueTokens(user);
+  },
+
+  async refresh(refreshToken) {
+    await sleep(mockAuthServer.latency);
+    const refreshTokens = loadRefreshTokens();
+    const entry = refreshTokens.get(refreshToken);
+    refreshTokens.delete(refreshToken);
+    saveRefreshTokens(refreshTokens);
+    if (!entry || entry.expiresAt < Date.now()) throw unauthorized("Your session has expired");
+    const user = mockUserService.findByEmail(entry.email);
+    if (!user) throw unauthorized("The account no longer exists");
+    return mockAuthServer.issueTokens(user);
+  },
+
+  async logout(refreshToken) {
+    await sleep(mockAuthServer.latency);
+    const refreshTokens = loadRefreshTokens();
+    refreshTokens.delete(refreshToken);
+    saveRefreshTokens(refreshTokens);
+  },
+};
+
+export default mockAuthServer;
@@ -0,0 +1,28 @@
+// Where to go after logging in. withAuth sends people to the login page with
+// the page they wanted both in location.state.from and in ?returnTo= (the
+// state is lost when the login page is reloaded or opened in a new tab).
+
+const toPath = (location) => `${location.pathname}${location.search ?? ""}${location.hash ?? ""}`;
+
+// Only paths on this site, so a crafted link cannot send people elsewhere.
+// Browsers read "/\evil.com" like "//evil.com", so ask the URL parser rather
+// than looking at the first characters.
+const isLocalPath = (path) => {
+  if (typeof path !== "string" || !path.startsWith("/")) return false;
+  try {
+    return new URL(path, window.location.origin).origin === window.location.origin;
+  } catch {
+    return false;
+  }
+};
+
+export const loginLocation = (redirectTo, from) => ({
+  pathname: redirectTo,
+  search: `?returnTo=${encodeURIComponent(toPath(from))}`,
+});
+
+export const getReturnTo = (location, fallback = "/") => {
+  if (location.state?.from) return toPath(location.state.from);
+  const returnTo = new URLSearchParams(location.search).get("returnTo");
+  return isLocalPath(returnTo) ? returnTo : fallback;
+};
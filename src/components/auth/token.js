@@ -0,0 +1,30 @@
+// Access tokens are JWT-shaped: header.payload.signature, each part base64url
+// JSON. The client only reads the payload (the claims); checking the
+// signature is the server's job.
+//
+// decodeToken(token) -> { sub, email, name, role, permissions, iat, exp } or null
+// iat and exp are in seconds, as in a real JWT.
+
+export const encodeSegment = (value) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(value));
+  const binary = Array.from(bytes, (byte) => String.fromCharCode(byte)).join("");
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+export const decodeSegment = (segment) => {
+  const binary = atob(segment.replace(/-/g, "+").replace(/_/g, "/"));
+  return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0))));
+};
+
+export const decodeToken = (token) => {
+  try {
+    return decodeSegment(token.split(".")[1]);
+  } catch {
+    return null;
+  }
+};
+
+// Milliseconds until the token expires (negative once it has)
+export const expiresIn = (claims, now = Date.now()) => claims.exp * 1000 - now;
+
+export const isExpired = (claims, now = Date.now()) => !claims || expiresIn(claims, now) <= 0;
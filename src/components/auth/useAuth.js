@@ -0,0 +1,29 @@
+// useAuth - the session from authStore, re-rendering on login, logout and
+// token refresh (in this tab or another one).
+//
+// const { isAuthenticated, user, hasRole, hasPermission, login, logout } = useAuth();
+// hasRole("admin", "manager")          -> the user has one of them
+// hasPermission("user.read", "user.write") -> the user has all of them
+
+import { useSyncExternalStore } from "react";
+import { getAuthState, login, logout, refreshSession, subscribeAuth } from "./authStore";
+
+export const hasRole = (user, roles) => roles.length === 0 || roles.includes(user?.role);
+
+export const hasPermissions = (user, permissions) =>
+  permissions.every((permission) => user?.permissions?.includes(permission));
+
+const useAuth = () => {
+  const state = useSyncExternalStore(subscribeAuth, getAuthState);
+  return {
+    ...state,
+    isAuthenticated: state.status === "authenticated",
+    hasRole: (...roles) => hasRole(state.user, roles),
+    hasPermission: (...permissions) => hasPermissions(state.user, permissions),
+    login,
+    logout,
+    refresh: refreshSession,
+  };
+};
+
+export default useAuth;
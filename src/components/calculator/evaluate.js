@@ -0,0 +1,312 @@
+// Safe expression evaluator for the Calculator - replaces eval().
+//
+// evaluate("2 + 3 * (4 - 1)") -> 11
+// evaluate("sin(90) + 3!", { angleMode: "deg" }) -> 7
+// evaluate("1e-7 + 1") -> 1.0000001
+//
+// The input goes through two steps:
+// 1. tokenize: "2+3" -> [number 2, operator +, number 3]
+// 2. parse: a recursive-descent parser, one function per precedence level,
+//    lowest first:
+//
+//    expression := term (("+" | "-") term)*
+//    term       := unary (("*" | "/" | "%") unary)*
+//    unary      := ("-" | "+") unary | power
+//    power      := postfix (("^" | "**") unary)?     right-associative
+//    postfix    := primary "!"*                      factorial
+//    primary    := number | constant | function "(" expression ")" | "(" expression ")"
+//
+// So -2^2 is -(2^2) = -4 and 2^3^2 is 2^(3^2) = 512, like in math.
+
+// Thrown for any input that is not a valid expression.
+// `position` is the 1-based character position shown in the message.
+export class CalculatorError extends Error {
+  constructor(message, position) {
+    super(position ? `${message} at position ${position}` : message);
+    this.name = "CalculatorError";
+    this.position = position;
+  }
+}
+
+// Results are rounded to this many significant digits, so 0.1 + 0.2 shows 0.3
+const PRECISION = 12;
+
+const OPERATORS = ["**", "+", "-", "*", "/", "%", "^", "!", "(", ")"];
+
+export const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E,
+};
+
+const factorial = (n, node) => {
+  if (n < 0 || !Number.isInteger(n)) {
+    throw new CalculatorError("Factorial needs a whole number >= 0", node.position);
+  }
+  let result = 1;
+  for (let i = 2; i <= n && Number.isFinite(result); i++) result *= i;
+  return result;
+};
+
+const toRadians = (value, angleMode) =>
+  angleMode === "deg" ? (value * Math.PI) / 180 : value;
+
+// Each function gets (argument, options, node); node is only used for errors
+export const FUNCTIONS = {
+  sin: (x, { angleMode }) => Math.sin(toRadians(x, angleMode)),
+  cos: (x, { angleMode }) => Math.cos(toRadians(x, angleMode)),
+  tan: (x, { angleMode }, node) => {
+    // cos(90deg) is 6e-17, not 0, so check the angle itself
+    if (angleMode === "deg" && Math.abs(x % 180) === 90) {
+      throw new CalculatorError("tan is undefined here", node.position);
+    }
+    return Math.tan(toRadians(x, angleMode));
+  },
+  log: (x, options, node) => {
+    if (x <= 0) throw new CalculatorError("log needs a number > 0", node.position);
+    return Math.log10(x);
+  },
+  ln: (x, options, node) => {
+    if (x <= 0) throw new CalculatorError("ln needs a number > 0", node.position);
+    return Math.log(x);
+  },
+  sqrt: (x, options, node) => {
+    if (x < 0) throw new CalculatorError("sqrt needs a number >= 0", node.position);
+    return Math.sqrt(x);
+  },
+};
+
+const describe = (token) =>
+  token.type === "end" ? "end of expression" : `"${token.value}"`;
+
+// =============================================================================
+// TOKENIZER
+// =============================================================================
+
+export const tokenize = (expression) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    // Numbers: 12, 1.5, .5, 1e-7 - a second "." is an error, not a silent
+    // cut-off. The exponent is how JavaScript writes very small and very large
+    // results, so a result put back into the input can be evaluated again.
+    if (/[\d.]/.test(char)) {
+      const start = i;
+      let dots = 0;
+      while (i < expression.length && /[\d.]/.test(expression[i])) {
+        if (expression[i] === "." && ++dots > 1) {
+          throw new CalculatorError('Unexpected "."', i + 1);
+        }
+        i++;
+      }
+      if (expression.slice(start, i) === ".") {
+        throw new CalculatorError('Unexpected "."', start + 1);
+      }
+      const exponent = /^e[+-]?\d+/i.exec(expression.slice(i));
+      if (exponent) i += exponent[0].length;
+      const text = expression.slice(start, i);
+      tokens.push({ type: "number", value: Number(text), position: start + 1 });
+      continue;
+    }
+
+    // Names: function names and constants (sin, pi, ...)
+    if (/[a-z]/i.test(char)) {
+      const start = i;
+      while (i < expression.length && /[a-z]/i.test(expression[i])) i++;
+      const name = expression.slice(start, i).toLowerCase();
+      if (!(name in FUNCTIONS) && !(name in CONSTANTS)) {
+        throw new CalculatorError(`Unknown name "${name}"`, start + 1);
+      }
+      tokens.push({ type: "name", value: name, position: start + 1 });
+      continue;
+    }
+
+    const operator = OPERATORS.find((op) => expression.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: "operator", value: operator, position: i + 1 });
+      i += operator.length;
+      continue;
+    }
+
+    throw new CalculatorError(`Unexpected character "${char}"`, i + 1);
+  }
+
+  tokens.push({ type: "end", value: null, position: expression.length + 1 });
+  return tokens;
+};
+
+// =============================================================================
+// PARSER
+// =============================================================================
+
+// Builds a tree of { type: "number" | "constant" | "call" | "unary" | "binary" | "factorial", ... } nodes
+export const parse = (expression) => {
+  const tokens = tokenize(expression);
+  let current = 0;
+
+  const peek = () => tokens[current];
+  const next = () => tokens[current++];
+  const isOperator = (...values) =>
+    peek().type === "operator" && values.includes(peek().value);
+
+  const unexpected = (token) =>
+    new CalculatorError(`Unexpected ${describe(token)}`, token.position);
+
+  const parseExpression = () => {
+    let node = parseTerm();
+    while (isOperator("+", "-")) {
+      const { value, position } = next();
+      node = { type: "binary", operator: value, left: node, right: parseTerm(), position };
+    }
+    return node;
+  };
+
+  const parseTerm = () => {
+    let node = parseUnary();
+    while (isOperator("*", "/", "%")) {
+      const { value, position } = next();
+      node = { type: "binary", operator: value, left: node, right: parseUnary(), position };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (isOperator("-", "+")) {
+      const { value, position } = next();
+      return { type: "unary", operator: value, argument: parseUnary(), position };
+    }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parsePostfix();
+    if (isOperator("^", "**")) {
+      const { position } = next();
+      // unary, not power: allows 2^-1 and makes 2^3^2 right-associative
+      return { type: "binary", operator: "^", left: base, right: parseUnary(), position };
+    }
+    return base;
+  };
+
+  const parsePostfix = () => {
+    let node = parsePrimary();
+    while (isOperator("!")) {
+      const { position } = next();
+      node = { type: "factorial", argument: node, position };
+    }
+    return node;
+  };
+
+  const parseGroup = (opening) => {
+    const node = parseExpression();
+    if (!isOperator(")")) {
+      const closing = peek();
+      throw closing.type === "end"
+        ? new CalculatorError(`Missing ")" for "(" at position ${opening.position}`)
+        : unexpected(closing);
+    }
+    next();
+    return node;
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    if (token.type === "number") {
+      return { type: "number", value: token.value, position: token.position };
+    }
+
+    if (token.type === "name") {
+      if (token.value in CONSTANTS) {
+        return { type: "constant", name: token.value, position: token.position };
+      }
+      if (!isOperator("(")) {
+        throw new CalculatorError(`Expected "(" after "${token.value}"`, peek().position);
+      }
+      const argument = parseGroup(next());
+      return { type: "call", name: token.value, argument, position: token.position };
+    }
+
+    if (token.type === "operator" && token.value === "(") {
+      return parseGroup(token);
+    }
+
+    throw unexpected(token);
+  };
+
+  if (peek().type === "end") {
+    throw new CalculatorError("Expression is empty");
+  }
+
+  const tree = parseExpression();
+  if (peek().type !== "end") {
+    throw unexpected(peek());
+  }
+  return tree;
+};
+
+// =============================================================================
+// EVALUATOR
+// =============================================================================
+
+const BINARY = {
+  "+": (a, b) => a + b,
+  "-": (a, b) => a - b,
+  "*": (a, b) => a * b,
+  "/": (a, b, node) => {
+    if (b === 0) throw new CalculatorError("Division by zero", node.position);
+    return a / b;
+  },
+  "%": (a, b, node) => {
+    if (b === 0) throw new CalculatorError("Modulo by zero", node.position);
+    return a % b;
+  },
+  "^": (a, b) => a ** b,
+};
+
+const evaluateNode = (node, options) => {
+  switch (node.type) {
+    case "number":
+      return node.value;
+    case "constant":
+      return CONSTANTS[node.name];
+    case "call":
+      return FUNCTIONS[node.name](evaluateNode(node.argument, options), options, node);
+    case "factorial":
+      return factorial(evaluateNode(node.argument, options), node);
+    case "unary": {
+      const value = evaluateNode(node.argument, options);
+      return node.operator === "-" ? -value : value;
+    }
+    case "binary":
+      return BINARY[node.operator](
+        evaluateNode(node.left, options),
+        evaluateNode(node.right, options),
+        node
+      );
+    default:
+      throw new CalculatorError(`Unknown node "${node.type}"`);
+  }
+};
+
+export const round = (value) => Number(value.toPrecision(PRECISION));
+
+// Pure: same string and options in, same number out.
+// Throws CalculatorError on bad input.
+// options.angleMode: "rad" (default) or "deg" for sin/cos/tan
+export const evaluate = (expression, { angleMode = "rad" } = {}) => {
+  const result = evaluateNode(parse(expression), { angleMode });
+  if (!Number.isFinite(result)) {
+    throw new CalculatorError("Result is not a finite number");
+  }
+  return round(result);
+};
+
+export default evaluate;
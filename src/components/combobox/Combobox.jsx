@@ -0,0 +1,329 @@
+// Combobox - a search box with a list of suggestions loaded as you type
+// (WAI-ARIA combobox pattern with a listbox popup).
+//
+// <Combobox
+//   label="City"
+//   getSuggestions={(query, signal) =>
+//     fetch(`/api/cities?q=${query}`, { signal }).then((res) => res.json())}
+//   getLabel={(city) => city.name}
+//   onSelect={(city) => setCity(city)}
+//   recentKey="city-search"
+// />
+//
+// Requests start once the query is minLength characters long and has not
+// changed for delay ms; see useSuggestions for cancelling and caching.
+// renderOption(item, { active }) customises a row (getLabel is used otherwise).
+//
+// With recentKey, picked suggestions and submitted queries (Enter with no
+// option highlighted, reported through onSubmit) are remembered in
+// localStorage and offered while the box is empty.
+//
+// Keyboard: Down/Up open the list and move through it, Enter picks the
+// highlighted option, Escape closes the list (or clears the box if it is
+// already closed).
+
+import { useEffect, useId, useRef, useState } from "react";
+import useDebouncedValue from "./useDebouncedValue";
+import useSuggestions from "./useSuggestions";
+import { addRecent, loadRecent, saveRecent } from "./recentSearches";
+import { vars } from "../theme/tokens";
+
+const styles = {
+  wrapper: {
+    position: "relative",
+  },
+  label: {
+    display: "block",
+    marginBottom: "4px",
+    fontWeight: "bold",
+  },
+  input: {
+    width: "100%",
+    padding: "8px",
+    boxSizing: "border-box",
+  },
+  popup: {
+    position: "absolute",
+    left: 0,
+    right: 0,
+    top: "100%",
+    zIndex: 10,
+    marginTop: "2px",
+    background: vars.color.surface,
+    border: `1px solid ${vars.color.border}`,
+    borderRadius: "4px",
+    boxShadow: vars.shadow.popup,
+  },
+  popupHeader: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    padding: "6px 12px 2px",
+    fontSize: "12px",
+    color: vars.color.textMuted,
+  },
+  listbox: {
+    maxHeight: "240px",
+    overflowY: "auto",
+    margin: 0,
+    padding: "4px 0",
+    listStyle: "none",
+  },
+  option: {
+    padding: "6px 12px",
+    cursor: "pointer",
+  },
+  activeOption: {
+    background: vars.color.primarySubtle,
+  },
+  message: {
+    padding: "8px 12px",
+    color: vars.color.textMuted,
+  },
+  error: {
+    padding: "8px 12px",
+    color: vars.color.danger,
+  },
+  linkButton: {
+    padding: 0,
+    border: "none",
+    background: "none",
+    color: vars.color.primary,
+    cursor: "pointer",
+  },
+  visuallyHidden: {
+    position: "absolute",
+    width: "1px",
+    height: "1px",
+    overflow: "hidden",
+    clip: "rect(0 0 0 0)",
+    whiteSpace: "nowrap",
+  },
+};
+
+// Buttons inside the popup must not take focus from the input, or the blur
+// would close the popup before the click lands
+const keepFocus = (e) => e.preventDefault();
+
+const Combobox = ({
+  getSuggestions,
+  onSelect,
+  onSubmit,
+  getLabel = (item) => String(item),
+  getKey = (item) => item.id ?? getLabel(item),
+  renderOption,
+  label,
+  placeholder = "Type to search...",
+  delay = 300,
+  minLength = 2,
+  recentKey = null,
+  maxRecent = 5,
+}) => {
+  const id = useId();
+  const listId = `${id}-listbox`;
+  const optionId = (index) => `${id}-option-${index}`;
+  const listRef = useRef(null);
+
+  const [inputValue, setInputValue] = useState("");
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [recent, setRecent] = useState(() => (recentKey ? loadRecent(recentKey) : []));
+
+  const query = inputValue.trim();
+  const debouncedQuery = useDebouncedValue(query, delay);
+  const searching = query.length >= minLength;
+  const { status, items, retry } = useSuggestions(getSuggestions, debouncedQuery, {
+    enabled: debouncedQuery.length >= minLength,
+  });
+  // Typed, but the request for it has not started yet
+  const pending = searching && debouncedQuery !== query;
+
+  const options = searching
+    ? items.map((item) => ({ key: getKey(item), label: getLabel(item), item }))
+    : recent.map((entry) => ({ key: entry, label: entry, recent: true }));
+
+  // New results: nothing is highlighted until the user moves into the list
+  const [shownOptions, setShownOptions] = useState(options);
+  if (shownOptions.length !== options.length || shownOptions.some((o, i) => o.key !== options[i].key)) {
+    setShownOptions(options);
+    setActiveIndex(-1);
+  }
+
+  let message = null;
+  if (searching && status === "error" && !pending) {
+    message = (
+      <div style={styles.error}>
+        Could not load suggestions.{" "}
+        <button type="button" onMouseDown={keepFocus} onClick={retry} style={styles.linkButton}>
+          Try again
+        </button>
+      </div>
+    );
+  } else if (searching && options.length === 0) {
+    message = (
+      <div style={styles.message}>
+        {pending || status === "loading" ? "Loading…" : `No results for "${query}"`}
+      </div>
+    );
+  }
+
+  const expanded = open && (options.length > 0 || message !== null);
+
+  const announcement = !expanded
+    ? ""
+    : !searching
+      ? `${options.length} recent ${options.length === 1 ? "search" : "searches"}`
+      : status === "error" && !pending
+        ? "Could not load suggestions"
+        : pending || status === "loading"
+          ? "Loading suggestions"
+          : options.length === 0
+            ? "No results"
+            : `${options.length} ${options.length === 1 ? "suggestion" : "suggestions"} available`;
+
+  useEffect(() => {
+    if (activeIndex < 0) return;
+    listRef.current?.children[activeIndex]?.scrollIntoView?.({ block: "nearest" });
+  }, [activeIndex]);
+
+  const remember = (entry) => {
+    if (!recentKey || !entry) return;
+    const next = addRecent(recent, entry, maxRecent);
+    setRecent(next);
+    saveRecent(recentKey, next);
+  };
+
+  const clearRecent = () => {
+    setRecent([]);
+    saveRecent(recentKey, []);
+  };
+
+  const choose = (option) => {
+    if (option.recent) {
+      // Search again for it; the list stays open with the new suggestions
+      setInputValue(option.label);
+      return;
+    }
+    setInputValue(option.label);
+    setOpen(false);
+    remember(option.label);
+    onSelect?.(option.item);
+  };
+
+  const handleKeyDown = (e) => {
+    const count = options.length;
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault();
+        if (!open) setOpen(true);
+        else if (count) setActiveIndex((activeIndex + 1) % count);
+        break;
+      case "ArrowUp":
+        e.preventDefault();
+        if (!open) setOpen(true);
+        else if (count) setActiveIndex(activeIndex <= 0 ? count - 1 : activeIndex - 1);
+        break;
+      case "Enter":
+        if (expanded && activeIndex >= 0 && activeIndex < count) {
+          e.preventDefault();
+          choose(options[activeIndex]);
+        } else if (query) {
+          e.preventDefault();
+          setOpen(false);
+          remember(query);
+          onSubmit?.(query);
+        }
+        break;
+      case "Escape":
+        if (expanded) {
+          e.preventDefault();
+          setOpen(false);
+          setActiveIndex(-1);
+        } else if (inputValue) {
+          e.preventDefault();
+          setInputValue("");
+        }
+        break;
+      default:
+    }
+  };
+
+  return (
+    <div style={styles.wrapper}>
+      {label && (
+        <label htmlFor={`${id}-input`} style={styles.label}>
+          {label}
+        </label>
+      )}
+      <input
+        id={`${id}-input`}
+        type="text"
+        role="combobox"
+        autoComplete="off"
+        aria-autocomplete="list"
+        aria-expanded={expanded}
+        aria-controls={listId}
+        aria-activedescendant={expanded && activeIndex >= 0 ? optionId(activeIndex) : undefined}
+        aria-label={label ? undefined : placeholder}
+        placeholder={placeholder}
+        value={inputValue}
+        onChange={(e) => {
+          setInputValue(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+        style={styles.input}
+      />
+
+      <div style={{ ...styles.popup, display: expanded ? "block" : "none" }}>
+        {expanded && !searching && (
+          <div style={styles.popupHeader}>
+            <span>Recent searches</span>
+            <button type="button" onMouseDown={keepFocus} onClick={clearRecent} style={styles.linkButton}>
+              Clear
+            </button>
+          </div>
+        )}
+        <ul
+          ref={listRef}
+          id={listId}
+          role="listbox"
+          aria-label={searching ? "Suggestions" : "Recent searches"}
+          style={{ ...styles.listbox, ...(options.length === 0 && { padding: 0 }) }}
+        >
+          {expanded &&
+            options.map((option, index) => {
+              const active = index === activeIndex;
+              return (
+                <li
+                  key={option.key}
+                  id={optionId(index)}
+                  role="option"
+                  aria-selected={active}
+                  onMouseDown={keepFocus}
+                  onMouseEnter={() => setActiveIndex(index)}
+                  onClick={() => choose(option)}
+                  style={{ ...styles.option, ...(active && styles.activeOption) }}
+                >
+                  {!option.recent && renderOption
+                    ? renderOption(option.item, { active })
+                    : option.recent
+                      ? `🕘 ${option.label}`
+                      : option.label}
+                </li>
+              );
+            })}
+        </ul>
+        {expanded && message}
+      </div>
+
+      <div role="status" style={styles.visuallyHidden}>
+        {announcement}
+      </div>
+    </div>
+  );
+};
+
+export default Combobox;
@@ -0,0 +1,57 @@
+// Mock city search backend for the Combobox demo, in the style of
+// pagination/mockPaginatedApi.js.
+//
+// searchCities(query, signal) -> [{ id, name, country }], at most 8, names
+// starting with the query first. It honours signal like fetch does: an
+// aborted request rejects with an AbortError.
+//
+// Set mockCitiesApi.latency / failureRate (0..1) to try slow or failing
+// requests; mockCitiesApi.requests counts the requests that were answered.
+
+import { sleep } from "../utils/sleep";
+
+const cities = [
+  ["Amsterdam", "Netherlands"], ["Athens", "Greece"], ["Auckland", "New Zealand"],
+  ["Bangalore", "India"], ["Bangkok", "Thailand"], ["Barcelona", "Spain"],
+  ["Beijing", "China"], ["Berlin", "Germany"], ["Bogotá", "Colombia"],
+  ["Boston", "United States"], ["Brussels", "Belgium"], ["Buenos Aires", "Argentina"],
+  ["Cairo", "Egypt"], ["Cape Town", "South Africa"], ["Chennai", "India"],
+  ["Chicago", "United States"], ["Copenhagen", "Denmark"], ["Delhi", "India"],
+  ["Dubai", "United Arab Emirates"], ["Dublin", "Ireland"], ["Hanoi", "Vietnam"],
+  ["Helsinki", "Finland"], ["Hong Kong", "China"], ["Hyderabad", "India"],
+  ["Istanbul", "Turkey"], ["Jakarta", "Indonesia"], ["Kolkata", "India"],
+  ["Lagos", "Nigeria"], ["Lima", "Peru"], ["Lisbon", "Portugal"],
+  ["London", "United Kingdom"], ["Los Angeles", "United States"], ["Madrid", "Spain"],
+  ["Manila", "Philippines"], ["Melbourne", "Australia"], ["Mexico City", "Mexico"],
+  ["Milan", "Italy"], ["Montreal", "Canada"], ["Moscow", "Russia"],
+  ["Mumbai", "India"], ["Munich", "Germany"], ["Nairobi", "Kenya"],
+  ["New York", "United States"], ["Oslo", "Norway"], ["Paris", "France"],
+  ["Prague", "Czechia"], ["Pune", "India"], ["Rome", "Italy"],
+  ["San Francisco", "United States"], ["Santiago", "Chile"], ["São Paulo", "Brazil"],
+  ["Seoul", "South Korea"], ["Shanghai", "China"], ["Singapore", "Singapore"],
+  ["Stockholm", "Sweden"], ["Sydney", "Australia"], ["Tokyo", "Japan"],
+  ["Toronto", "Canada"], ["Vancouver", "Canada"], ["Vienna", "Austria"],
+  ["Warsaw", "Poland"], ["Zurich", "Switzerland"],
+].map(([name, country], i) => ({ id: i + 1, name, country }));
+
+export const mockCitiesApi = {
+  latency: 600,
+  failureRate: 0,
+  requests: 0,
+
+  async searchCities(query, signal) {
+    await sleep(mockCitiesApi.latency, signal);
+    mockCitiesApi.requests += 1;
+    if (Math.random() < mockCitiesApi.failureRate) {
+      throw new Error("Server error (simulated)");
+    }
+    const needle = query.trim().toLowerCase();
+    const matches = cities.filter(
+      (city) => city.name.toLowerCase().includes(needle) || city.country.toLowerCase().includes(needle)
+    );
+    const startsWith = (city) => city.name.toLowerCase().startsWith(needle);
+    return [...matches.filter(startsWith), ...matches.filter((city) => !startsWith(city))].slice(0, 8);
+  },
+};
+
+export default mockCitiesApi;
@@ -0,0 +1,24 @@
+// Recent searches, newest first, kept in localStorage under a key per
+// combobox so different search boxes do not share a history.
+
+export const loadRecent = (key) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(saved) ? saved.filter((entry) => typeof entry === "string") : [];
+  } catch (err) {
+    console.error("Could not load recent searches:", err);
+    return [];
+  }
+};
+
+export const saveRecent = (key, entries) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(entries));
+  } catch (err) {
+    console.error("Could not save recent searches:", err);
+  }
+};
+
+// Moves an entry to the front (matching case-insensitively) and drops the oldest
+export const addRecent = (entries, entry, max) =>
+  [entry, ...entries.filter((e) => e.toLowerCase() !== entry.toLowerCase())].slice(0, max);
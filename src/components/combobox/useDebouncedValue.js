@@ -0,0 +1,18 @@
+// useDebouncedValue - value, but only once it has stopped changing for delay ms.
+//
+// const debouncedQuery = useDebouncedValue(query, 300);
+
+import { useEffect, useState } from "react";
+
+const useDebouncedValue = (value, delay) => {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debounced;
+};
+
+export default useDebouncedValue;
@@ -0,0 +1,67 @@
+// useSuggestions - loads suggestions for a query, e.g. for Combobox.
+//
+// const { status, items, error, retry } = useSuggestions(getSuggestions, query, {
+//   enabled: query.length >= 2,
+// });
+//
+// getSuggestions(query, signal) returns a promise of an array. When the query
+// changes before it settles, signal is aborted and the late answer is ignored,
+// so results never belong to an older query. Answers are cached per query
+// (the last cacheSize of them), so going back to a query is instant.
+//
+// status: "idle" (not enabled) | "loading" | "success" | "error". While
+// loading, items still holds the previous results so the list does not flicker.
+
+import { useCallback, useEffect, useRef, useState } from "react";
+
+const isAbort = (err, signal) => signal.aborted || err?.name === "AbortError";
+
+const useSuggestions = (getSuggestions, query, { enabled = true, cacheSize = 50 } = {}) => {
+  const [state, setState] = useState({ status: "idle", items: [], error: null });
+  const [attempt, setAttempt] = useState(0);
+  const cache = useRef(new Map());
+  // Latest function without restarting the request when the parent re-renders
+  const getSuggestionsRef = useRef(getSuggestions);
+  getSuggestionsRef.current = getSuggestions;
+
+  useEffect(() => {
+    if (!enabled) {
+      setState({ status: "idle", items: [], error: null });
+      return;
+    }
+
+    const cached = cache.current.get(query);
+    if (cached) {
+      setState({ status: "success", items: cached, error: null });
+      return;
+    }
+
+    const controller = new AbortController();
+    setState((prev) => ({ ...prev, status: "loading", error: null }));
+
+    Promise.resolve()
+      .then(() => getSuggestionsRef.current(query, controller.signal))
+      .then(
+        (items) => {
+          if (controller.signal.aborted) return;
+          cache.current.set(query, items);
+          if (cache.current.size > cacheSize) {
+            cache.current.delete(cache.current.keys().next().value);
+          }
+          setState({ status: "success", items, error: null });
+        },
+        (err) => {
+          if (isAbort(err, controller.signal)) return;
+          setState({ status: "error", items: [], error: err });
+        }
+      );
+
+    return () => controller.abort();
+  }, [query, enabled, cacheSize, attempt]);
+
+  const retry = useCallback(() => setAttempt((n) => n + 1), []);
+
+  return { ...state, retry };
+};
+
+export default useSuggestions;
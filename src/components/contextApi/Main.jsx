@@ -1,6 +1,7 @@
 // Main.jsx
 import React, { useContext } from "react";
 import { ThemeContext } from "./ThemeContext";
+import { vars } from "../theme/tokens";
 
 const Main = () => {
   const { theme } = useContext(ThemeContext); // Access the current theme
@@ -8,8 +9,8 @@ const Main = () => {
   return (
     <main
       style={{
-        background: theme === "light" ? "#fff" : "#121212",
-        color: theme === "light" ? "#000" : "#fff",
+        background: vars.color.background,
+        color: vars.color.text,
         minHeight: "100vh",
         padding: "2rem",
       }}
@@ -1,6 +1,7 @@
 // Navbar.jsx
 import React, { useContext } from "react";
 import { ThemeContext } from "./ThemeContext";
+import { vars } from "../theme/tokens";
 
 const Navbar = () => {
   const { theme, toggleTheme } = useContext(ThemeContext); // Access theme and toggle function
@@ -8,8 +9,8 @@ const Navbar = () => {
   return (
     <nav
       style={{
-        background: theme === "light" ? "#f9f9f9" : "#333",
-        color: theme === "light" ? "#000" : "#fff",
+        background: vars.color.surfaceAlt,
+        color: vars.color.text,
         padding: "1rem",
       }}
     >
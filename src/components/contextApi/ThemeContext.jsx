@@ -3,22 +3,8 @@
 
 
 // ThemeContext.jsx
-import React, { createContext, useState } from "react";
-
-// Create Context
-export const ThemeContext = createContext();
-
-// Create a Provider Component
-export const ThemeProvider = ({ children }) => {
-  const [theme, setTheme] = useState("light"); // Global state: theme
-
-  const toggleTheme = () => {
-    setTheme((prevTheme) => (prevTheme === "light" ? "dark" : "light")); // Toggle between light and dark
-  };
-
-  return (
-    <ThemeContext.Provider value={{ theme, toggleTheme }}>
-      {children}
-    </ThemeContext.Provider>
-  );
-};
+// The app has a single theme context, in ../theme: ThemeProvider keeps the
+// theme ("light", "dark", ...) and toggleTheme, and is mounted in main.jsx.
+// This lesson's Navbar and Main read it with useContext like any other context.
+export { ThemeContext } from "../theme/themeContext";
+export { default as ThemeProvider } from "../theme/ThemeProvider";
@@ -1,18 +1,50 @@
+import { useState } from "react";
 import useFetch from "./useFetch";
+
+// Switching authors changes the url: the old request is aborted, and authors
+// seen in the last 30 seconds come straight from the cache.
 const Master=()=>{
-  const { data, loading, error } = useFetch(
-    'https://jsonplaceholder.typicode.com/posts'
+  const [userId, setUserId] = useState(1);
+  const { data, loading, error, isFetching, isStale, refetch, mutate } = useFetch(
+    `https://jsonplaceholder.typicode.com/posts?userId=${userId}`,
+    { staleTime: 30000 }
   );
-  
-  if (loading) return <p>Loading...</p>;
-  if (error) return <p>Error: {error}</p>;
-  
+
+  const removePost = (id) => mutate((posts) => posts.filter((post) => post.id !== id));
+
   return (
-    <ul>
-      {data.map((post) => (
-        <li key={post.id}>{post.title}</li>
-      ))}
-    </ul>
+    <div>
+      <label>
+        Author{" "}
+        <select value={userId} onChange={(e) => setUserId(Number(e.target.value))}>
+          {[1, 2, 3, 4, 5].map((id) => (
+            <option key={id} value={id}>
+              User {id}
+            </option>
+          ))}
+        </select>
+      </label>{" "}
+      <button onClick={() => refetch()} disabled={isFetching}>
+        {isFetching ? "Refreshing..." : "Refresh"}
+      </button>{" "}
+      {data && <small>{isStale ? "(stale)" : "(fresh)"}</small>}
+
+      {loading && <p>Loading...</p>}
+      {error && (
+        <p>
+          Error: {error.message} <button onClick={() => refetch()}>Try again</button>
+        </p>
+      )}
+      {data && (
+        <ul>
+          {data.map((post) => (
+            <li key={post.id}>
+              {post.title} <button onClick={() => removePost(post.id)}>Hide</button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
   );
 }
-export default Master;
\ No newline at end of file
+export default Master;
@@ -0,0 +1,133 @@
+// fetchCache - the shared request cache behind useFetch.
+//
+// One entry per request (method + url + body + headers), holding
+//   { data, error, updatedAt, isFetching }
+// and the components subscribed to it:
+//
+//   const key = getCacheKey(url, { method, body, headers });
+//   const unsubscribe = subscribeQuery(key, onChange, cacheTime);
+//   fetchQuery(key, { fetcher, retry, retryDelay }, owner); // joins a request already in flight
+//   releaseQuery(key, owner);   // the last owner leaving aborts the request
+//   setQueryData(key, (posts) => [newPost, ...posts]);
+//
+// fetcher(signal) does the actual request. Entries nobody is subscribed to
+// are dropped cacheTime ms after the last subscriber leaves.
+
+import { sleep } from "../utils/sleep";
+
+export const DEFAULT_CACHE_TIME = 5 * 60 * 1000;
+
+const EMPTY = Object.freeze({ data: undefined, error: null, updatedAt: 0, isFetching: false });
+
+const entries = new Map();
+
+export const getCacheKey = (url, { method = "GET", body = null, headers = null } = {}) =>
+  JSON.stringify([method.toUpperCase(), url, body, headers]);
+
+const entryFor = (key) => {
+  let entry = entries.get(key);
+  if (!entry) {
+    entry = {
+      state: EMPTY,
+      listeners: new Set(),
+      request: null,
+      // Bumped by setQueryData, so a response that started earlier is ignored
+      version: 0,
+      cacheTime: DEFAULT_CACHE_TIME,
+      gcTimer: null,
+    };
+    entries.set(key, entry);
+  }
+  return entry;
+};
+
+const update = (entry, patch) => {
+  entry.state = { ...entry.state, ...patch };
+  entry.listeners.forEach((listener) => listener());
+};
+
+const scheduleGc = (key, entry) => {
+  clearTimeout(entry.gcTimer);
+  if (entry.listeners.size || entry.request) return;
+  entry.gcTimer = setTimeout(() => {
+    if (!entry.listeners.size && !entry.request) entries.delete(key);
+  }, entry.cacheTime);
+};
+
+// Network errors, 5xx and 429 are worth another try; other 4xx are not
+const isRetryable = (err) => {
+  const status = err.response?.status ?? err.status;
+  return status === undefined || status >= 500 || status === 429;
+};
+
+const defaultRetryDelay = (attempt) => Math.min(1000 * 2 ** attempt, 30000);
+
+const withRetry = async (fetcher, { retry = 0, retryDelay = defaultRetryDelay }, signal) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetcher(signal);
+    } catch (err) {
+      if (signal.aborted || attempt >= retry || !isRetryable(err)) throw err;
+      await sleep(typeof retryDelay === "function" ? retryDelay(attempt) : retryDelay, signal);
+    }
+  }
+};
+
+export const getQueryState = (key) => entries.get(key)?.state ?? EMPTY;
+
+export const subscribeQuery = (key, listener, cacheTime = DEFAULT_CACHE_TIME) => {
+  const entry = entryFor(key);
+  clearTimeout(entry.gcTimer);
+  entry.cacheTime = cacheTime;
+  entry.listeners.add(listener);
+  return () => {
+    entry.listeners.delete(listener);
+    scheduleGc(key, entry);
+  };
+};
+
+// Resolves with the entry's state once the request settles (it never rejects:
+// failures end up in state.error)
+export const fetchQuery = (key, config, owner) => {
+  const entry = entryFor(key);
+  if (!entry.request) {
+    const controller = new AbortController();
+    const request = { controller, owners: new Set(), version: entry.version, promise: null };
+    entry.request = request;
+    update(entry, { isFetching: true });
+
+    request.promise = withRetry(config.fetcher, config, controller.signal).then(
+      (data) => ({ data }),
+      (error) => ({ error })
+    ).then(({ data, error }) => {
+      // Aborted requests were already cleared by releaseQuery
+      if (entry.request !== request) return entry.state;
+      entry.request = null;
+      if (error) update(entry, { error, isFetching: false });
+      else if (entry.version !== request.version) update(entry, { isFetching: false });
+      else update(entry, { data, error: null, updatedAt: Date.now(), isFetching: false });
+      scheduleGc(key, entry);
+      return entry.state;
+    });
+  }
+  entry.request.owners.add(owner);
+  return entry.request.promise;
+};
+
+export const releaseQuery = (key, owner) => {
+  const entry = entries.get(key);
+  const request = entry?.request;
+  if (!request || !request.owners.delete(owner) || request.owners.size) return;
+  request.controller.abort();
+  entry.request = null;
+  update(entry, { isFetching: false });
+  scheduleGc(key, entry);
+};
+
+export const setQueryData = (key, dataOrUpdater) => {
+  const entry = entryFor(key);
+  const data = typeof dataOrUpdater === "function" ? dataOrUpdater(entry.state.data) : dataOrUpdater;
+  entry.version += 1;
+  update(entry, { data, error: null, updatedAt: Date.now() });
+  scheduleGc(key, entry);
+};
@@ -81,30 +81,140 @@
 // export default useFetch;
 
 ////4th way useing axios library
-import { useState, useEffect } from "react";
+// import { useState, useEffect } from "react";
+// import axios from "axios";
+//
+// const useFetch = (url) => {
+//   const [data, setData] = useState(null);
+//   const [loading, setLoading] = useState(true);
+//   const [error, setError] = useState(null);
+//
+//   const fetchData = async () => {
+//     try {
+//       setLoading(true);
+//       const response = await axios.get(url);
+//       setData(response.data);
+//     } catch (err) {
+//       setError(err.message);
+//     } finally {
+//       setLoading(false);
+//     }
+//   };
+//   useEffect(() => {
+//     fetchData();
+//   }, [url]);
+//
+//   return { data, loading, error };
+// };
+//
+// export default useFetch;
+
+////5th way: cancellable, retried and cached (see ./fetchCache)
+//
+// const { data, loading, error, isFetching, isStale, refetch, mutate } = useFetch(url, options);
+//
+// Options (all optional):
+//   method, body, headers - the request (default GET); part of the cache key
+//   retry      - extra attempts after a network error, 5xx or 429 (default 2)
+//   retryDelay - ms, or (attempt) => ms (default 1s, 2s, 4s ... up to 30s)
+//   staleTime  - ms the data counts as fresh; fresh data is not fetched again
+//                on mount (default 0: always refetch, showing the cached data meanwhile)
+//   cacheTime  - ms unused data stays cached (default 5 minutes)
+//   enabled    - false (or no url) to not fetch yet
+//
+// Components asking for the same request at the same time share one request.
+// Changing the url, or unmounting, aborts the request unless another
+// component still waits for it.
+//
+// loading is true until there is data (or an error); isFetching on any
+// request, including background refetches. error is the axios error, or null.
+// refetch() resolves with { data, error }. mutate(data or (data) => newData,
+// { revalidate }) changes the cached data for every component using it.
+import { useCallback, useEffect, useReducer, useRef, useSyncExternalStore } from "react";
 import axios from "axios";
+import {
+  DEFAULT_CACHE_TIME,
+  fetchQuery,
+  getCacheKey,
+  getQueryState,
+  releaseQuery,
+  setQueryData,
+  subscribeQuery,
+} from "./fetchCache";
+
+const noSubscription = () => () => {};
 
-const useFetch = (url) => {
-  const [data, setData] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  const fetchData = async () => {
-    try {
-      setLoading(true);
-      const response = await axios.get(url);
-      setData(response.data);
-    } catch (err) {
-      setError(err.message);
-    } finally {
-      setLoading(false);
+const useFetch = (url, options = {}) => {
+  const {
+    method = "GET",
+    body,
+    headers,
+    retry = 2,
+    retryDelay,
+    staleTime = 0,
+    cacheTime = DEFAULT_CACHE_TIME,
+    enabled = true,
+  } = options;
+  const key = url ? getCacheKey(url, { method, body, headers }) : null;
+
+  // This hook instance, as one of the owners of a shared request
+  const owner = useRef({}).current;
+  const config = useRef(null);
+  useEffect(() => {
+    config.current = {
+      fetcher: (signal) => axios({ url, method, data: body, headers, signal }).then((res) => res.data),
+      retry,
+      retryDelay,
+    };
+  });
+
+  const subscribe = useCallback(
+    (listener) => subscribeQuery(key, listener, cacheTime),
+    [key, cacheTime]
+  );
+  const state = useSyncExternalStore(key ? subscribe : noSubscription, () => getQueryState(key));
+
+  useEffect(() => {
+    if (!key) return;
+    const { data, updatedAt } = getQueryState(key);
+    if (enabled && (data === undefined || Date.now() - updatedAt >= staleTime)) {
+      fetchQuery(key, config.current, owner);
     }
-  };
+    return () => releaseQuery(key, owner);
+  }, [key, enabled, staleTime, owner]);
+
+  // Re-render when the data turns stale
+  const [, rerender] = useReducer((n) => n + 1, 0);
+  const staleIn = state.updatedAt + staleTime - Date.now();
   useEffect(() => {
-    fetchData();
-  }, [url]);
+    if (!state.updatedAt || staleIn <= 0 || staleIn === Infinity) return;
+    const timer = setTimeout(rerender, staleIn);
+    return () => clearTimeout(timer);
+  }, [state.updatedAt, staleIn]);
+
+  const refetch = useCallback(
+    () => (key ? fetchQuery(key, config.current, owner) : Promise.resolve(getQueryState(key))),
+    [key, owner]
+  );
 
-  return { data, loading, error };
+  const mutate = useCallback(
+    (dataOrUpdater, { revalidate = false } = {}) => {
+      if (!key) return;
+      setQueryData(key, dataOrUpdater);
+      if (revalidate) return refetch();
+    },
+    [key, refetch]
+  );
+
+  return {
+    data: state.data,
+    error: state.error,
+    loading: Boolean(key) && enabled && state.data === undefined && (state.isFetching || !state.error),
+    isFetching: state.isFetching,
+    isStale: state.data === undefined || staleIn <= 0,
+    refetch,
+    mutate,
+  };
 };
 
 export default useFetch;
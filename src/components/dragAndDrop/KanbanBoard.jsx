@@ -0,0 +1,124 @@
+// KanbanBoard - columns of cards that can be reordered and moved between
+// columns with the mouse, touch or keyboard (see useDragAndDrop).
+//
+// <KanbanBoard
+//   columns={[{ id: "todo", title: "To do", items: [{ id: 1, title: "Write docs" }] }, ...]}
+//   onChange={(from, to) => setColumns((prev) => moveItem(prev, from, to))}
+// />
+//
+// The board is controlled: it only shows the move while dragging, and the
+// parent applies it in onChange (useState, a reducer or a Redux slice).
+// A single list is just a board with one column.
+
+import useDragAndDrop from "./useDragAndDrop";
+import { vars } from "../theme/tokens";
+
+const styles = {
+  board: {
+    display: "flex",
+    gap: "12px",
+    alignItems: "flex-start",
+    overflowX: "auto",
+  },
+  column: {
+    flex: "1 0 200px",
+    padding: "8px",
+    background: vars.color.surfaceAlt,
+    borderRadius: "6px",
+  },
+  title: {
+    margin: "0 0 8px",
+    fontSize: "1em",
+  },
+  list: {
+    listStyle: "none",
+    margin: 0,
+    padding: 0,
+    minHeight: "40px", // an empty column still needs somewhere to drop
+  },
+  card: {
+    padding: "8px",
+    margin: "0 0 6px",
+    border: `1px solid ${vars.color.border}`,
+    borderRadius: "4px",
+    background: vars.color.surface,
+    cursor: "grab",
+    userSelect: "none",
+    touchAction: "none", // otherwise touch scrolls the page instead of dragging
+  },
+  activeCard: {
+    opacity: 0.4,
+    border: `1px dashed ${vars.color.textMuted}`,
+  },
+  ghost: {
+    position: "fixed",
+    pointerEvents: "none", // elementFromPoint has to see what is underneath
+    zIndex: 1000,
+    boxShadow: vars.shadow.popup,
+    cursor: "grabbing",
+  },
+  visuallyHidden: {
+    position: "absolute",
+    width: "1px",
+    height: "1px",
+    overflow: "hidden",
+    clip: "rect(0 0 0 0)",
+    whiteSpace: "nowrap",
+  },
+};
+
+const defaultRenderItem = (item) => item.title ?? item.label ?? String(item.id);
+
+const KanbanBoard = ({ columns, onChange, renderItem = defaultRenderItem, getLabel }) => {
+  const dnd = useDragAndDrop({ columns, onChange, getLabel });
+
+  return (
+    <div>
+      <div style={styles.board}>
+        {dnd.columns.map((column) => (
+          <section key={column.id} style={styles.column} aria-label={column.title}>
+            <h3 style={styles.title}>
+              {column.title} ({column.items.length})
+            </h3>
+            <ul style={styles.list} {...dnd.listProps(column.id)}>
+              {column.items.map((item, index) => (
+                <li
+                  key={item.id}
+                  {...dnd.itemProps(column.id, index, item)}
+                  style={{ ...styles.card, ...(dnd.activeId === item.id && styles.activeCard) }}
+                >
+                  {renderItem(item)}
+                </li>
+              ))}
+            </ul>
+          </section>
+        ))}
+      </div>
+
+      {dnd.ghost && (
+        <div
+          style={{
+            ...styles.card,
+            ...styles.ghost,
+            left: dnd.ghost.x,
+            top: dnd.ghost.y,
+            width: dnd.ghost.width,
+            boxSizing: "border-box",
+          }}
+          aria-hidden="true"
+        >
+          {renderItem(dnd.ghost.item)}
+        </div>
+      )}
+
+      <p id={dnd.instructionsId} style={styles.visuallyHidden}>
+        {dnd.instructions}
+      </p>
+      <div aria-live="assertive" style={styles.visuallyHidden}>
+        {dnd.announcement}
+      </div>
+    </div>
+  );
+};
+
+export default KanbanBoard;
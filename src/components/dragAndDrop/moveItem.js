@@ -0,0 +1,39 @@
+// Pure helpers for moving an item between lists.
+//
+// columns: [{ id, title, items: [{ id, ... }] }]
+// position: { listId, index }
+//
+// `to.index` is where the item ends up once it has been taken out of its old
+// place, so moving the first item of a 3-item list to the end is
+// { index: 0 } -> { index: 2 }. This is the shape onChange(from, to) reports,
+// and it can be applied directly with moveItem (or in a reducer).
+
+export const moveItem = (columns, from, to) => {
+  const source = columns.find((column) => column.id === from.listId);
+  const item = source?.items[from.index];
+  if (!item) return columns;
+
+  const withoutItem = columns.map((column) =>
+    column.id === from.listId
+      ? { ...column, items: column.items.filter((_, i) => i !== from.index) }
+      : column
+  );
+
+  return withoutItem.map((column) => {
+    if (column.id !== to.listId) return column;
+    const items = [...column.items];
+    const index = Math.min(Math.max(to.index, 0), items.length);
+    items.splice(index, 0, item);
+    return { ...column, items };
+  });
+};
+
+export const isSamePosition = (a, b) => a.listId === b.listId && a.index === b.index;
+
+export const findPosition = (columns, itemId) => {
+  for (const column of columns) {
+    const index = column.items.findIndex((item) => item.id === itemId);
+    if (index !== -1) return { listId: column.id, index };
+  }
+  return null;
+};
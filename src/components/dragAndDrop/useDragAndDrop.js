@@ -0,0 +1,266 @@
+// useDragAndDrop - the state behind KanbanBoard: moving items within and
+// between lists with a pointer (mouse, touch, pen) or the keyboard.
+//
+// const dnd = useDragAndDrop({ columns, onChange });
+// dnd.columns               -> columns with the dragged item already at its new place
+// dnd.listProps(listId)     -> spread on each list
+// dnd.itemProps(listId, index, item) -> spread on each item
+//
+// Pointer: press and move a few pixels to pick an item up; it follows the
+// pointer (dnd.ghost) and the list shows where it will land. Pointer events
+// cover touch too, without HTML5 drag events.
+// Keyboard: space/enter lifts the focused item, arrows move it (up/down in
+// the list, left/right to the next list), space/enter drops, escape cancels.
+// Every step is announced through dnd.announcement (render it in a live region).
+//
+// Nothing changes until the drop: then onChange(from, to) is called with two
+// { listId, index } positions (see moveItem.js) and the parent updates its data.
+
+import { useCallback, useEffect, useId, useRef, useState } from "react";
+import { findPosition, isSamePosition, moveItem } from "./moveItem";
+
+// How far the pointer has to move before a press becomes a drag, so clicks
+// and taps still work
+const DRAG_THRESHOLD = 5;
+
+const defaultGetLabel = (item) => item.title ?? item.label ?? String(item.id);
+
+const useDragAndDrop = ({ columns, onChange, getLabel = defaultGetLabel }) => {
+  // { itemId, origin, current, mode: "pointer" | "keyboard", x, y, grab }
+  const [drag, setDrag] = useState(null);
+  const [announcement, setAnnouncement] = useState("");
+  const instructionsId = useId();
+  // Tags this board's lists and items, so another board on the page is not a drop target
+  const boardId = useId();
+
+  const displayColumns = drag ? moveItem(columns, drag.origin, drag.current) : columns;
+
+  // Window listeners and keyboard handlers read these instead of stale closures
+  const latest = useRef({});
+  latest.current = { columns, displayColumns, drag, onChange, getLabel };
+  const pressed = useRef(null); // pointer is down on an item, not dragging yet
+  const itemElements = useRef(new Map());
+
+  // "position 2 of 4 in To do", counted in `lists` (by default the ones on screen)
+  const describe = useCallback((position, lists = latest.current.displayColumns) => {
+    const column = lists.find((c) => c.id === position.listId);
+    return `position ${position.index + 1} of ${column.items.length} in ${column.title ?? column.id}`;
+  }, []);
+
+  const labelOf = useCallback((itemId) => {
+    const { columns: lists, getLabel: label } = latest.current;
+    const position = findPosition(lists, itemId);
+    return label(lists.find((c) => c.id === position.listId).items[position.index]);
+  }, []);
+
+  const drop = useCallback(() => {
+    const { drag: current, onChange: notify } = latest.current;
+    if (!current) return;
+    setAnnouncement(`Dropped ${labelOf(current.itemId)}, ${describe(current.current)}.`);
+    setDrag(null);
+    if (!isSamePosition(current.origin, current.current)) {
+      notify?.(current.origin, current.current);
+    }
+  }, [describe, labelOf]);
+
+  const cancel = useCallback(() => {
+    const { drag: current } = latest.current;
+    if (!current) return;
+    setAnnouncement(
+      `Cancelled. ${labelOf(current.itemId)} is back at ${describe(current.origin, latest.current.columns)}.`
+    );
+    setDrag(null);
+  }, [describe, labelOf]);
+
+  // Where the pointer is, as a position in the lists on screen (null when it
+  // is not over one of this board's lists)
+  const positionAt = useCallback(
+    (x, y) => {
+      const { displayColumns: lists, drag: current } = latest.current;
+      const target = document.elementFromPoint(x, y);
+      const element = target?.closest("[data-dnd-item], [data-dnd-list]");
+      if (element?.dataset.dndBoard !== boardId) return null;
+
+      const { listId } = element.dataset;
+      const list = lists.find((c) => c.id === listId);
+      if (!list) return null;
+      if (element.hasAttribute("data-dnd-item")) {
+        return { listId, index: Number(element.dataset.index) };
+      }
+      // empty space in a list means "at the end"; the dragged item itself
+      // does not count in the list it is being dragged out of
+      return { listId, index: listId === current.current.listId ? list.items.length - 1 : list.items.length };
+    },
+    [boardId]
+  );
+
+  useEffect(() => {
+    const handleMove = (e) => {
+      const { drag: current } = latest.current;
+      const press = pressed.current;
+
+      if (!current && press && press.pointerId === e.pointerId) {
+        if (Math.hypot(e.clientX - press.x, e.clientY - press.y) < DRAG_THRESHOLD) return;
+        pressed.current = null;
+        setAnnouncement(`Picked up ${labelOf(press.itemId)}, ${describe(press.origin)}.`);
+        setDrag({
+          itemId: press.itemId,
+          origin: press.origin,
+          current: press.origin,
+          mode: "pointer",
+          x: e.clientX,
+          y: e.clientY,
+          grab: press.grab,
+        });
+        return;
+      }
+
+      if (current?.mode !== "pointer") return;
+      e.preventDefault();
+      const position = positionAt(e.clientX, e.clientY);
+      setDrag((prev) =>
+        prev && {
+          ...prev,
+          x: e.clientX,
+          y: e.clientY,
+          current: position && !isSamePosition(position, prev.current) ? position : prev.current,
+        }
+      );
+    };
+
+    const handleUp = () => {
+      pressed.current = null;
+      if (latest.current.drag?.mode === "pointer") drop();
+    };
+
+    const handleCancel = () => {
+      pressed.current = null;
+      if (latest.current.drag?.mode === "pointer") cancel();
+    };
+
+    window.addEventListener("pointermove", handleMove);
+    window.addEventListener("pointerup", handleUp);
+    window.addEventListener("pointercancel", handleCancel);
+    return () => {
+      window.removeEventListener("pointermove", handleMove);
+      window.removeEventListener("pointerup", handleUp);
+      window.removeEventListener("pointercancel", handleCancel);
+    };
+  }, [drop, cancel, describe, labelOf, positionAt]);
+
+  // Moving to another list remounts the item, so keep focus on it
+  useEffect(() => {
+    if (drag?.mode !== "keyboard") return;
+    const element = itemElements.current.get(drag.itemId);
+    if (element && document.activeElement !== element) element.focus();
+  }, [drag]);
+
+  const moveBy = (current, key) => {
+    const { displayColumns: lists } = latest.current;
+    const listIndex = lists.findIndex((c) => c.id === current.listId);
+    const length = lists[listIndex].items.length;
+
+    if (key === "ArrowUp") return { ...current, index: Math.max(current.index - 1, 0) };
+    if (key === "ArrowDown") return { ...current, index: Math.min(current.index + 1, length - 1) };
+
+    const next = lists[listIndex + (key === "ArrowLeft" ? -1 : 1)];
+    if (!next) return current;
+    return { listId: next.id, index: Math.min(current.index, next.items.length) };
+  };
+
+  const handleKeyDown = (e, listId, index, item) => {
+    const { drag: current } = latest.current;
+
+    if (!current) {
+      if (e.key === " " || e.key === "Enter") {
+        e.preventDefault();
+        const origin = { listId, index };
+        setAnnouncement(
+          `Picked up ${getLabel(item)}, ${describe(origin)}. ` +
+            "Use the arrow keys to move, space or enter to drop, escape to cancel."
+        );
+        setDrag({ itemId: item.id, origin, current: origin, mode: "keyboard" });
+      }
+      return;
+    }
+
+    if (current.mode !== "keyboard" || current.itemId !== item.id) return;
+
+    if (e.key === " " || e.key === "Enter") {
+      e.preventDefault();
+      drop();
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      cancel();
+    } else if (["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight"].includes(e.key)) {
+      e.preventDefault();
+      const position = moveBy(current.current, e.key);
+      if (isSamePosition(position, current.current)) return;
+      // counted in the lists as they will be after this move
+      const lists = moveItem(columns, current.origin, position);
+      setAnnouncement(`${getLabel(item)} moved to ${describe(position, lists)}.`);
+      setDrag({ ...current, current: position });
+    }
+  };
+
+  const handlePointerDown = (e, listId, index, item) => {
+    // primary mouse button only; touch and pen always report 0
+    if (e.button !== 0 || latest.current.drag) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    pressed.current = {
+      pointerId: e.pointerId,
+      itemId: item.id,
+      origin: { listId, index },
+      x: e.clientX,
+      y: e.clientY,
+      grab: { x: e.clientX - rect.left, y: e.clientY - rect.top, width: rect.width },
+    };
+  };
+
+  const listProps = (listId) => ({
+    "data-dnd-list": "",
+    "data-dnd-board": boardId,
+    "data-list-id": listId,
+  });
+
+  const itemProps = (listId, index, item) => ({
+    ref: (element) => {
+      if (element) itemElements.current.set(item.id, element);
+      else itemElements.current.delete(item.id);
+    },
+    "data-dnd-item": "",
+    "data-dnd-board": boardId,
+    "data-list-id": listId,
+    "data-index": index,
+    tabIndex: 0,
+    "aria-roledescription": "draggable item",
+    "aria-describedby": instructionsId,
+    onPointerDown: (e) => handlePointerDown(e, listId, index, item),
+    onKeyDown: (e) => handleKeyDown(e, listId, index, item),
+  });
+
+  const ghostItem =
+    drag?.mode === "pointer"
+      ? displayColumns.find((c) => c.id === drag.current.listId)?.items[drag.current.index]
+      : null;
+
+  return {
+    columns: displayColumns,
+    activeId: drag?.itemId ?? null,
+    ghost: ghostItem && {
+      item: ghostItem,
+      x: drag.x - drag.grab.x,
+      y: drag.y - drag.grab.y,
+      width: drag.grab.width,
+    },
+    announcement,
+    instructionsId,
+    instructions:
+      "Press space or enter to pick up. Use the arrow keys to move, space or enter to drop, escape to cancel.",
+    listProps,
+    itemProps,
+    cancel,
+  };
+};
+
+export default useDragAndDrop;
@@ -0,0 +1,103 @@
+// Field - label, input and error message for one field of the surrounding
+// <Form>. The label comes from the schema unless given.
+//
+// <Field name="email" type="email" autoComplete="email" />
+// <Field name="bio" as="textarea" hint="Optional, shown on your profile" />
+// <Field name="country" as="select">
+//   <option value="in">India</option>
+// </Field>
+// <Field name="terms" type="checkbox" label="I accept the terms" />
+//
+// Other props go to the input. The error is linked with aria-describedby
+// and announced when it appears.
+
+import { useId } from "react";
+import { useFormContext } from "./formContext";
+import { vars } from "../theme/tokens";
+
+const styles = {
+  field: {
+    marginBottom: "12px",
+  },
+  label: {
+    display: "block",
+    marginBottom: "4px",
+    fontWeight: "bold",
+  },
+  input: {
+    width: "100%",
+    padding: "8px",
+    boxSizing: "border-box",
+    border: `1px solid ${vars.color.border}`,
+    borderRadius: "4px",
+  },
+  invalidInput: {
+    border: `1px solid ${vars.color.danger}`,
+  },
+  hint: {
+    display: "block",
+    marginTop: "4px",
+    color: vars.color.textMuted,
+    fontSize: "13px",
+  },
+  error: {
+    margin: "4px 0 0",
+    color: vars.color.danger,
+    fontSize: "13px",
+  },
+};
+
+const Field = ({ name, label, as: Input = "input", type = "text", hint, children, ...rest }) => {
+  const form = useFormContext();
+  const id = useId();
+  const rules = form.schema[name] ?? {};
+  const text = label ?? rules.label ?? name;
+  const error = form.errors[name];
+  const hintId = `${id}-hint`;
+  const errorId = `${id}-error`;
+  const describedBy = [hint && hintId, error && errorId].filter(Boolean).join(" ") || undefined;
+
+  const inputProps = {
+    id,
+    "aria-describedby": describedBy,
+    "aria-required": Boolean(rules.required) || undefined,
+    ...(Input === "input" && { type }),
+    ...rest,
+    ...form.register(name),
+  };
+
+  const errorMessage = error && (
+    <p id={errorId} role="alert" style={styles.error}>
+      {error}
+    </p>
+  );
+
+  if (type === "checkbox") {
+    return (
+      <div style={styles.field}>
+        <label htmlFor={id}>
+          <input {...inputProps} /> {text}
+        </label>
+        {hint && <small id={hintId} style={styles.hint}>{hint}</small>}
+        {errorMessage}
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.field}>
+      <label htmlFor={id} style={styles.label}>
+        {text}
+        {rules.required && " *"}
+      </label>
+      <Input {...inputProps} style={{ ...styles.input, ...(error && styles.invalidInput) }}>
+        {children}
+      </Input>
+      {form.validating[name] && <small style={styles.hint}>Checking…</small>}
+      {hint && <small id={hintId} style={styles.hint}>{hint}</small>}
+      {errorMessage}
+    </div>
+  );
+};
+
+export default Field;
@@ -0,0 +1,22 @@
+// Form - a <form> wired to a useForm() result, so the <Field>s inside it
+// need only a name.
+//
+// const form = useForm({ email: "" }, { email: { label: "Email", required: true } });
+// <Form form={form} onSubmit={(values) => api.save(values)}>
+//   <Field name="email" type="email" />
+//   <button type="submit">Save</button>
+// </Form>
+//
+// Browser validation is turned off (noValidate); the schema decides.
+
+import { FormContext } from "./formContext";
+
+const Form = ({ form, onSubmit, children, ...rest }) => (
+  <FormContext.Provider value={form}>
+    <form noValidate onSubmit={form.handleSubmit(onSubmit)} {...rest}>
+      {children}
+    </form>
+  </FormContext.Provider>
+);
+
+export default Form;
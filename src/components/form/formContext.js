@@ -0,0 +1,11 @@
+// The useForm result shared by <Form> with the <Field>s inside it.
+
+import { createContext, useContext } from "react";
+
+export const FormContext = createContext(null);
+
+export const useFormContext = () => {
+  const form = useContext(FormContext);
+  if (!form) throw new Error("useFormContext must be used inside a <Form>");
+  return form;
+};
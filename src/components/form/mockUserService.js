@@ -0,0 +1,130 @@
+// Mock user backend for the form demos (LoginForm, and the LoginPage in
+// routing-learning/06-route-guards), in the style of
+// pagination/mockPaginatedApi.js.
+//
+// Failed requests reject like a real API client would after a 401/422
+// response: an Error whose errors property maps field names to messages,
+// which useForm shows on the matching fields.
+//
+//   login({ email, password })      -> user (without password)
+//   register({ name, email, ... })  -> user; errors.email when it is taken
+//   isEmailTaken(email, { signal }) -> boolean, for an "already registered" check
+//   findByEmail(email)              -> user (without password) or null, no delay
+//
+// Registered users only live until the page is reloaded. Set latency or
+// failureRate (0..1) to try slow or failing requests.
+
+import { sleep } from "../utils/sleep";
+
+export const MOCK_USERS = {
+  "admin@example.com": {
+    id: 1,
+    email: "admin@example.com",
+    password: "admin123",
+    name: "Admin User",
+    role: "admin",
+    permissions: ["user.read", "user.write", "admin.access", "reports.view"],
+    authLevel: 3, // Full authentication
+    mfaEnabled: true,
+    emailVerified: true,
+  },
+  "manager@example.com": {
+    id: 2,
+    email: "manager@example.com",
+    password: "manager123",
+    name: "Manager User",
+    role: "manager",
+    permissions: ["user.read", "reports.view"],
+    authLevel: 2, // Email verified
+    mfaEnabled: false,
+    emailVerified: true,
+  },
+  "user@example.com": {
+    id: 3,
+    email: "user@example.com",
+    password: "user123",
+    name: "Regular User",
+    role: "user",
+    permissions: ["profile.read", "profile.write"],
+    authLevel: 1, // Basic login
+    mfaEnabled: false,
+    emailVerified: false,
+  },
+};
+
+const users = new Map(Object.entries(MOCK_USERS));
+
+// What a client would throw for a response like
+// { message: "...", errors: { email: "..." } }
+const fieldError = (status, message, errors) =>
+  Object.assign(new Error(message), { status, errors });
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+const withoutPassword = (user) => {
+  const copy = { ...user };
+  delete copy.password;
+  return copy;
+};
+
+export const mockUserService = {
+  latency: 700,
+  failureRate: 0,
+
+  async request(signal) {
+    await sleep(mockUserService.latency, signal);
+    if (Math.random() < mockUserService.failureRate) {
+      throw new Error("Server error (simulated)");
+    }
+  },
+
+  list: () => [...users.values()].map(withoutPassword),
+
+  findByEmail: (email) => {
+    const user = users.get(normalizeEmail(email));
+    return user ? withoutPassword(user) : null;
+  },
+
+  async isEmailTaken(email, { signal } = {}) {
+    await mockUserService.request(signal);
+    return users.has(normalizeEmail(email));
+  },
+
+  async login({ email, password }) {
+    await mockUserService.request();
+    const user = users.get(normalizeEmail(email));
+    if (!user) {
+      throw fieldError(401, "Login failed", { email: "No account with this email" });
+    }
+    if (user.password !== password) {
+      throw fieldError(401, "Login failed", { password: "Incorrect password" });
+    }
+    return withoutPassword(user);
+  },
+
+  async register({ name, email, password }) {
+    await mockUserService.request();
+    const key = normalizeEmail(email);
+    // Checked again here: another sign-up may have taken it since the form asked
+    if (users.has(key)) {
+      throw fieldError(422, "Registration failed", {
+        email: "An account with this email already exists",
+      });
+    }
+    const user = {
+      id: users.size + 1,
+      email: key,
+      password,
+      name,
+      role: "user",
+      permissions: ["profile.read", "profile.write"],
+      authLevel: 1,
+      mfaEnabled: false,
+      emailVerified: false,
+    };
+    users.set(key, user);
+    return withoutPassword(user);
+  },
+};
+
+export default mockUserService;
@@ -0,0 +1,80 @@
+// rules - checks one field's value against its schema entry.
+//
+// const schema = {
+//   email: { label: "Email", required: true, pattern: { value: /^\S+@\S+\.\S+$/, message: "Enter a valid email" } },
+//   password: { label: "Password", required: true, minLength: 8 },
+//   confirm: { label: "Password confirmation", required: true, matches: "password" },
+//   age: { label: "Age", min: 13, max: 120 },
+//   username: { label: "Username", validate: async (value, values) => ... },
+// };
+// checkRules("password", { password: "abc" }, schema) -> "Password must be at least 8 characters"
+//
+// Every rule takes its value directly (minLength: 8) or as { value, message }
+// to replace the default message; required also takes the message itself.
+// Rules run in the order below and the first failure wins. An empty,
+// optional field passes without running the others.
+//
+// validate(value, values, { signal }) is the escape hatch: return an error
+// message, or nothing when the value is fine. It may return a promise (e.g.
+// to ask the server). checkRules leaves it out; useForm calls it once the
+// other rules pass, aborts signal when a newer check replaces this one, and
+// with debounce: 400 on the field waits until typing has paused that long.
+//
+// Cross-field rules: matches: "password" compares with another field, and
+// deps: ["startDate"] on a field with a custom validate re-checks it when
+// those fields change (matches adds its field to deps automatically).
+
+export const isEmpty = (value) =>
+  value == null ||
+  value === false ||
+  (typeof value === "string" && value.trim() === "") ||
+  (Array.isArray(value) && value.length === 0);
+
+const isOptions = (rule) => rule !== null && typeof rule === "object" && !(rule instanceof RegExp);
+const ruleValue = (rule) => (isOptions(rule) ? rule.value : rule);
+const ruleMessage = (rule, fallback) => (isOptions(rule) && rule.message) || fallback;
+
+const labelOf = (schema, name) => schema[name]?.label ?? name;
+
+// [rule, passes(value, ruleValue, values), default message(label, ruleValue, schema)]
+const checks = [
+  ["minLength", (value, n) => String(value).length >= n, (label, n) => `${label} must be at least ${n} characters`],
+  ["maxLength", (value, n) => String(value).length <= n, (label, n) => `${label} must be at most ${n} characters`],
+  ["min", (value, n) => Number(value) >= n, (label, n) => `${label} must be at least ${n}`],
+  ["max", (value, n) => Number(value) <= n, (label, n) => `${label} must be at most ${n}`],
+  ["pattern", (value, re) => re.test(String(value)), (label) => `${label} is not valid`],
+  [
+    "matches",
+    (value, other, values) => value === values[other],
+    (label, other, schema) => `${label} must match ${labelOf(schema, other)}`,
+  ],
+];
+
+// The built-in rules only (everything but validate); sync
+export const checkRules = (name, values, schema) => {
+  const field = schema[name];
+  if (!field) return undefined;
+  const value = values[name];
+  const label = labelOf(schema, name);
+
+  if (field.required && isEmpty(value)) {
+    return typeof field.required === "string" ? field.required : ruleMessage(field.required, `${label} is required`);
+  }
+  if (isEmpty(value)) return undefined;
+
+  for (const [rule, passes, message] of checks) {
+    if (field[rule] === undefined) continue;
+    const expected = ruleValue(field[rule]);
+    if (!passes(value, expected, values)) {
+      return ruleMessage(field[rule], message(label, expected, schema));
+    }
+  }
+
+  return undefined;
+};
+
+// Fields to re-check when `name` changes
+export const dependentsOf = (name, schema) =>
+  Object.keys(schema).filter(
+    (other) => ruleValue(schema[other].matches) === name || schema[other].deps?.includes(name)
+  );
@@ -0,0 +1,267 @@
+// useForm - form state and validation driven by a schema (see rules.js).
+//
+// const form = useForm(
+//   { email: "", password: "" },
+//   {
+//     email: { label: "Email", required: true, pattern: /^\S+@\S+\.\S+$/ },
+//     password: { label: "Password", required: true, minLength: 6 },
+//   }
+// );
+//
+// <form onSubmit={form.handleSubmit(async (values) => api.login(values))}>
+//   <input {...form.register("email")} />
+//   {form.errors.email && <span>{form.errors.email}</span>}
+//   <button disabled={form.isSubmitting}>Log in</button>
+// </form>
+//
+// Or let <Form form={form}> and <Field name="email" /> do the wiring.
+//
+// When errors show up: a field is checked when it loses focus, and from
+// then on (or after the first submit) on every change, so nobody is told
+// their email is invalid while still typing it. validateOn: "change" checks
+// from the first keystroke instead.
+//
+// Async validators (validate returning a promise) get an AbortSignal that
+// is aborted when a newer check of the field starts, and a field with
+// debounce: ms is only checked once typing pauses that long (blur and submit
+// check right away).
+//
+// handleSubmit(onSubmit) checks every field (waiting for async validators),
+// focuses the first invalid one, and only then calls onSubmit(values, form).
+// An error thrown by onSubmit ends up in submitError, unless it carries
+// field errors from the server: throw (or let the API client throw) an error
+// with errors: { email: "Already registered" } and each message is shown on
+// its field; messages for fields the form does not have go to submitError.
+//
+// Also returned: touched and dirty (per field), isDirty, isValid,
+// validating (fields whose async validator is running), submitCount,
+// setValue, setFieldTouched, setError, validate() and reset(values?).
+
+import { useEffect, useRef, useState } from "react";
+import { checkRules, dependentsOf, isEmpty } from "./rules";
+import { sleep } from "../utils/sleep";
+
+const isPromise = (value) => typeof value?.then === "function";
+
+const withoutKey = (object, key) => {
+  if (!(key in object)) return object;
+  const next = { ...object };
+  delete next[key];
+  return next;
+};
+
+const useForm = (initialValues, schema = {}, { validateOn = "blur" } = {}) => {
+  const [values, setValues] = useState(initialValues);
+  const [errors, setErrors] = useState({});
+  const [touched, setTouched] = useState({});
+  const [validating, setValidating] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitCount, setSubmitCount] = useState(0);
+  const [submitError, setSubmitError] = useState(null);
+  const [initial, setInitial] = useState(initialValues);
+
+  // Async code and event handlers need the latest values, not the ones
+  // from the render they were created in
+  const latest = useRef({});
+  latest.current = { values, touched, submitCount, schema };
+  // Each field's latest check: { controller, promise }. A check that is
+  // replaced is aborted and hands over to the newer one.
+  const checks = useRef({});
+  const elements = useRef({});
+  const submitting = useRef(false);
+
+  const setFieldError = (name, error) =>
+    setErrors((prev) => {
+      if (prev[name] === error) return prev;
+      return error ? { ...prev, [name]: error } : withoutKey(prev, name);
+    });
+
+  // Checks one field and shows the result; resolves to the error (or undefined)
+  const runField = (name, vals, { debounced = false } = {}) => {
+    checks.current[name]?.controller.abort();
+    const controller = new AbortController();
+    const { signal } = controller;
+    const field = latest.current.schema[name];
+
+    const settle = (error) => {
+      // A newer check took over; its outcome is the one that counts
+      if (signal.aborted) return checks.current[name]?.promise;
+      setFieldError(name, error || undefined);
+      setValidating((prev) => withoutKey(prev, name));
+      return error || undefined;
+    };
+
+    let result;
+    try {
+      result = checkRules(name, vals, latest.current.schema);
+      if (!result && field?.validate && !isEmpty(vals[name])) {
+        const call = () => field.validate(vals[name], vals, { signal });
+        result = debounced && field.debounce ? sleep(field.debounce, signal).then(call) : call();
+      }
+    } catch (err) {
+      result = err.message;
+    }
+
+    let promise;
+    if (isPromise(result)) {
+      setValidating((prev) => ({ ...prev, [name]: true }));
+      promise = result
+        .then(
+          (error) => error || undefined,
+          (err) => (signal.aborted ? undefined : err?.message || "Could not be checked")
+        )
+        .then(settle);
+    } else {
+      promise = Promise.resolve(settle(result));
+    }
+    checks.current[name] = { controller, promise };
+    return promise;
+  };
+
+  const cancelCheck = (name) => {
+    checks.current[name]?.controller.abort();
+    delete checks.current[name];
+  };
+
+  // Nothing left running after unmount
+  useEffect(() => {
+    const running = checks.current;
+    return () => Object.keys(running).forEach((name) => running[name].controller.abort());
+  }, []);
+
+  const shouldValidate = (name) =>
+    validateOn === "change" || latest.current.touched[name] || latest.current.submitCount > 0;
+
+  const setValue = (name, value) => {
+    const next = { ...latest.current.values, [name]: value };
+    latest.current.values = next;
+    setValues(next);
+    if (shouldValidate(name)) runField(name, next, { debounced: true });
+    dependentsOf(name, latest.current.schema)
+      .filter(shouldValidate)
+      .forEach((dependent) => runField(dependent, next, { debounced: true }));
+  };
+
+  const setFieldTouched = (name) => {
+    latest.current.touched = { ...latest.current.touched, [name]: true };
+    setTouched(latest.current.touched);
+    runField(name, latest.current.values);
+  };
+
+  // For errors found elsewhere, e.g. by the server; cleared by the next check
+  const setError = (name, message) => {
+    cancelCheck(name);
+    setFieldError(name, message);
+    setValidating((prev) => withoutKey(prev, name));
+  };
+
+  // Checks every field; resolves to { fieldName: error } for the invalid ones
+  const validateAll = async () => {
+    const vals = latest.current.values;
+    const names = Object.keys(latest.current.schema);
+    const results = await Promise.all(names.map((name) => runField(name, vals)));
+    return Object.fromEntries(names.map((name, i) => [name, results[i]]).filter(([, error]) => error));
+  };
+
+  const validate = async () => Object.keys(await validateAll()).length === 0;
+
+  const reset = (nextValues = initial) => {
+    Object.keys(checks.current).forEach(cancelCheck);
+    latest.current = { ...latest.current, values: nextValues, touched: {}, submitCount: 0 };
+    setInitial(nextValues);
+    setValues(nextValues);
+    setErrors({});
+    setTouched({});
+    setValidating({});
+    setSubmitCount(0);
+    setSubmitError(null);
+  };
+
+  const showSubmitError = (err) => {
+    const fieldErrors = err?.errors && typeof err.errors === "object" ? err.errors : {};
+    const names = Object.keys(latest.current.schema).filter((name) => fieldErrors[name]);
+    names.forEach((name) => setError(name, fieldErrors[name]));
+    elements.current[names[0]]?.focus();
+
+    if (names.length === 0) {
+      setSubmitError(err?.message || "Something went wrong");
+      return;
+    }
+    const others = Object.keys(fieldErrors)
+      .filter((name) => !names.includes(name))
+      .map((name) => fieldErrors[name]);
+    setSubmitError(others.length ? others.join(" ") : null);
+  };
+
+  const handleSubmit = (onSubmit) => async (e) => {
+    e?.preventDefault();
+    if (submitting.current) return;
+    submitting.current = true;
+    setIsSubmitting(true);
+    setSubmitError(null);
+    latest.current.submitCount += 1;
+    setSubmitCount(latest.current.submitCount);
+
+    try {
+      const invalid = await validateAll();
+      const firstInvalid = Object.keys(latest.current.schema).find((name) => invalid[name]);
+      if (firstInvalid) {
+        elements.current[firstInvalid]?.focus();
+        return;
+      }
+      await onSubmit(latest.current.values, form);
+    } catch (err) {
+      showSubmitError(err);
+    } finally {
+      submitting.current = false;
+      setIsSubmitting(false);
+    }
+  };
+
+  // Props for a native input, select or textarea
+  const register = (name) => {
+    const value = values[name];
+    return {
+      name,
+      ref: (element) => {
+        if (element) elements.current[name] = element;
+        else delete elements.current[name];
+      },
+      onChange: (e) => setValue(name, e.target.type === "checkbox" ? e.target.checked : e.target.value),
+      onBlur: () => setFieldTouched(name),
+      "aria-invalid": Boolean(errors[name]),
+      ...(typeof value === "boolean" ? { checked: value } : { value: value ?? "" }),
+    };
+  };
+
+  const dirty = Object.fromEntries(
+    Object.keys(values)
+      .filter((name) => values[name] !== initial[name])
+      .map((name) => [name, true])
+  );
+
+  const form = {
+    values,
+    errors,
+    touched,
+    dirty,
+    isDirty: Object.keys(dirty).length > 0,
+    isValid: Object.keys(errors).length === 0,
+    validating,
+    isValidating: Object.keys(validating).length > 0,
+    isSubmitting,
+    submitCount,
+    submitError,
+    schema,
+    setValue,
+    setFieldTouched,
+    setError,
+    validate,
+    reset,
+    handleSubmit,
+    register,
+  };
+  return form;
+};
+
+export default useForm;
@@ -0,0 +1,197 @@
+// Demo of withAuth: a small app with public, signed-in-only and role- or
+// permission-restricted pages. The mock auth server (../auth/mockAuthServer)
+// issues one-minute access tokens, so the automatic refresh can be watched
+// in the session panel. Open the demo in two tabs and log out in one.
+
+import { useEffect, useState } from "react";
+import { Link, Navigate, Route, Routes, useLocation, useNavigate } from "react-router-dom";
+import LessonRouter from "../../navigator/LessonRouter";
+import Dashboard from "./Dashboard";
+import withAuth from "./withAuth";
+import useAuth from "../auth/useAuth";
+import { getReturnTo } from "../auth/returnTo";
+import Form from "../form/Form";
+import Field from "../form/Field";
+import useForm from "../form/useForm";
+import { vars } from "../theme/tokens";
+
+const styles = {
+  nav: {
+    display: "flex",
+    gap: vars.space.md,
+    alignItems: "center",
+    padding: `${vars.space.sm} 0`,
+    borderBottom: `1px solid ${vars.color.border}`,
+  },
+  session: {
+    marginLeft: "auto",
+    fontSize: vars.font.sizeSm,
+    color: vars.color.textMuted,
+  },
+  page: {
+    maxWidth: "420px",
+    padding: `${vars.space.md} 0`,
+  },
+  notice: {
+    padding: `${vars.space.sm} ${vars.space.md}`,
+    border: `1px solid ${vars.color.border}`,
+    borderRadius: vars.radius.sm,
+    background: vars.color.surfaceAlt,
+  },
+};
+
+const REASONS = {
+  logout: "You have logged out.",
+  expired: "Your session has expired. Please log in again.",
+  "other-tab": "You were logged out in another tab.",
+};
+
+const DEMO_ACCOUNTS = [
+  { email: "admin@example.com", password: "admin123", label: "Admin" },
+  { email: "manager@example.com", password: "manager123", label: "Manager" },
+  { email: "user@example.com", password: "user123", label: "User" },
+];
+
+const loginSchema = {
+  email: { label: "Email", required: true },
+  password: { label: "Password", required: true },
+};
+
+// Seconds left on the access token, ticking
+const useSecondsLeft = (expiresAt) => {
+  const [now, setNow] = useState(Date.now);
+  useEffect(() => {
+    if (!expiresAt) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [expiresAt]);
+  return expiresAt ? Math.max(0, Math.round((expiresAt - now) / 1000)) : null;
+};
+
+const SessionPanel = () => {
+  const { isAuthenticated, user, expiresAt, logout, refresh } = useAuth();
+  const secondsLeft = useSecondsLeft(expiresAt);
+
+  if (!isAuthenticated) {
+    return (
+      <span style={styles.session}>
+        Not logged in · <Link to="/login">Log in</Link>
+      </span>
+    );
+  }
+  return (
+    <span style={styles.session}>
+      {user.name} ({user.role}) · token expires in {secondsLeft}s{" "}
+      <button onClick={() => refresh().catch(() => {})}>Refresh now</button>{" "}
+      <button onClick={() => logout()}>Log out</button>
+    </span>
+  );
+};
+
+const LoginPage = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { isAuthenticated, login, reason } = useAuth();
+  const form = useForm({ email: "", password: "" }, loginSchema);
+  const returnTo = getReturnTo(location, "/dashboard");
+  const message = REASONS[location.state?.reason ?? reason];
+
+  if (isAuthenticated && !form.isSubmitting) return <Navigate to={returnTo} replace />;
+
+  // Wrong credentials come back as field errors (see useForm)
+  const submit = async (credentials) => {
+    await login(credentials);
+    navigate(returnTo, { replace: true });
+  };
+
+  const fill = (account) => {
+    form.setValue("email", account.email);
+    form.setValue("password", account.password);
+  };
+
+  return (
+    <div style={styles.page}>
+      <h2>Log in</h2>
+      {message && <p style={styles.notice}>{message}</p>}
+      {returnTo !== "/dashboard" && (
+        <p>
+          You will be taken back to <code>{returnTo}</code>.
+        </p>
+      )}
+      <Form form={form} onSubmit={submit}>
+        <Field name="email" type="email" autoComplete="email" />
+        <Field name="password" type="password" autoComplete="current-password" />
+        {form.submitError && <p role="alert">{form.submitError}</p>}
+        <button type="submit" disabled={form.isSubmitting}>
+          {form.isSubmitting ? "Logging in..." : "Log in"}
+        </button>
+      </Form>
+      <p>
+        Demo accounts:{" "}
+        {DEMO_ACCOUNTS.map((account) => (
+          <button key={account.email} type="button" onClick={() => fill(account)}>
+            {account.label}
+          </button>
+        ))}
+      </p>
+    </div>
+  );
+};
+
+const Home = () => (
+  <div style={styles.page}>
+    <h2>Home</h2>
+    <p>Anyone can see this page. Try the others while logged out, or as different users:</p>
+    <ul>
+      <li>Dashboard - any logged in user</li>
+      <li>Reports - needs the reports.view permission (admin, manager)</li>
+      <li>Admin - needs the admin role</li>
+    </ul>
+  </div>
+);
+
+const Reports = () => (
+  <div style={styles.page}>
+    <h2>Reports</h2>
+    <p>Quarterly numbers would go here.</p>
+  </div>
+);
+
+const AdminPanel = () => {
+  const { user } = useAuth();
+  return (
+    <div style={styles.page}>
+      <h2>Admin</h2>
+      <p>Signed in as {user.email} with permissions: {user.permissions.join(", ")}.</p>
+    </div>
+  );
+};
+
+// Wrapped once, outside any component, like a module's default export would be
+const ProtectedDashboard = withAuth(Dashboard);
+const ProtectedReports = withAuth(Reports, { permissions: ["reports.view"] });
+const ProtectedAdmin = withAuth(AdminPanel, {
+  roles: ["admin"],
+  fallback: <p role="alert">Only admins can see this page.</p>,
+});
+
+const AuthDemo = () => (
+  <LessonRouter>
+    <nav style={styles.nav}>
+      <Link to="/">Home</Link>
+      <Link to="/dashboard">Dashboard</Link>
+      <Link to="/reports?range=q3">Reports</Link>
+      <Link to="/admin">Admin</Link>
+      <SessionPanel />
+    </nav>
+    <Routes>
+      <Route path="/" element={<Home />} />
+      <Route path="/login" element={<LoginPage />} />
+      <Route path="/dashboard" element={<ProtectedDashboard />} />
+      <Route path="/reports" element={<ProtectedReports />} />
+      <Route path="/admin" element={<ProtectedAdmin />} />
+    </Routes>
+  </LessonRouter>
+);
+
+export default AuthDemo;
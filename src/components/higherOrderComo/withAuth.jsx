@@ -1,21 +1,44 @@
-import React from "react";
-import { useNavigate } from "react-router-dom";
-// localStorage.setItem("authToken", "yourTokenHere");
+// withAuth - only renders the wrapped component for a signed-in user who is
+// allowed to see it (session from ../auth/authStore).
+//
+// export default withAuth(Dashboard);
+// export default withAuth(AdminPanel, { roles: ["admin"] });
+// export default withAuth(Reports, { permissions: ["reports.view"], fallback: <NoAccess /> });
+//
+// Options:
+//   roles       - the user needs one of these roles
+//   permissions - the user needs all of these permissions
+//   redirectTo  - login page for signed-out users (default "/login"). The page
+//                 they wanted goes along (see ../auth/returnTo), so the login
+//                 page can send them back. Use null to show fallback instead.
+//   fallback    - rendered when the user may not see the page
+//
+// It re-renders when the session changes anywhere: logging out in another
+// tab, or the session expiring, sends the user to the login page right away.
 
-const withAuth = (WrappedComponent) => {
-  return (props) => {
-    // const navigate = useNavigate(); // For redirection
-    const isAuthenticated = localStorage.getItem("authToken"); // Check if token exists
+import { useInRouterContext } from "react-router-dom";
+import useAuth from "../auth/useAuth";
+import LoginRedirect from "../auth/LoginRedirect";
 
-    if (!isAuthenticated) {
-      // Redirect to login page if not authenticated
-      // navigate("/login");
-      return <>you are not authrize</>; // Do not render anything
+const withAuth = (WrappedComponent, { roles = [], permissions = [], redirectTo = "/login", fallback } = {}) => {
+  const WithAuth = (props) => {
+    const auth = useAuth();
+    const inRouter = useInRouterContext();
+
+    if (!auth.isAuthenticated) {
+      if (redirectTo && inRouter) return <LoginRedirect to={redirectTo} reason={auth.reason} />;
+      return fallback ?? <p>Please log in to see this page.</p>;
+    }
+
+    if (!auth.hasRole(...roles) || !auth.hasPermission(...permissions)) {
+      return fallback ?? <p role="alert">You do not have access to this page.</p>;
     }
 
-    // If authenticated, render the wrapped component
     return <WrappedComponent {...props} />;
   };
+
+  WithAuth.displayName = `withAuth(${WrappedComponent.displayName || WrappedComponent.name || "Component"})`;
+  return WithAuth;
 };
 
 export default withAuth;
@@ -0,0 +1,170 @@
+// InfiniteScroll - loads more items when the end of the list comes into view.
+//
+// Window scrolling:
+//   <InfiniteScroll loadMore={loadNextPage} hasMore={hasMore}>
+//     {items.map((item) => <Row key={item.id} item={item} />)}
+//   </InfiniteScroll>
+//
+// Inside a scrollable box: pass height and the box scrolls instead of the page.
+//   <InfiniteScroll loadMore={loadNextPage} hasMore={hasMore} height={400}>...</InfiniteScroll>
+//
+// Windowed (virtualized): pass items, rowHeight and renderItem instead of
+// children; only the visible rows are rendered. Needs height as well.
+//   <InfiniteScroll loadMore={loadNextPage} hasMore={hasMore} height={400}
+//     items={items} rowHeight={40} renderItem={(item) => item.name} />
+//
+// Both directions (feeds, chats): loadPrevious/hasPrevious load older items
+// when the top comes into view. The caller prepends them, and the scroll
+// offset is moved by however much the list grew, so what the user was
+// looking at stays put. Only one direction loads at a time.
+//
+// Coming back to the list: pass restoreKey (from useRestoredFeed) and the
+// scroll offset is saved under it and put back on the next mount.
+//
+// loadMore/loadPrevious must return a promise. While one runs `loader` is
+// shown at that end; if it rejects, the error is shown with a Retry button.
+
+import { useLayoutEffect, useRef, useState } from "react";
+import useInfiniteLoader from "./useInfiniteLoader";
+import VirtualList from "./VirtualList";
+import { readFeedEntry, updateFeedEntry } from "./feedCache";
+import { vars } from "../theme/tokens";
+
+const LoadStatus = ({ status, loader }) =>
+  status.error ? (
+    <div role="alert">
+      <p style={{ color: vars.color.danger }}>Error: {status.error}</p>
+      <button onClick={status.retry}>Retry</button>
+    </div>
+  ) : (
+    status.loading && loader
+  );
+
+const InfiniteScroll = ({
+  loadMore,
+  hasMore,
+  loadPrevious,
+  hasPrevious = false,
+  restoreKey,
+  height,
+  rootMargin,
+  loader = <p>Loading more...</p>,
+  endMessage = null,
+  items,
+  rowHeight,
+  renderItem,
+  getKey,
+  overscan,
+  children,
+}) => {
+  const [container, setContainer] = useState(null);
+  const scrollable = height != null;
+  // a scrollable box has to be mounted before it can be the observer root
+  const ready = !scrollable || container !== null;
+
+  const getScroller = () => (scrollable ? container : document.scrollingElement);
+
+  // scrollHeight when older items were last asked for, null when not loading them
+  const heightBeforePrepend = useRef(null);
+
+  // Which end is loading. The other end waits, so the growth from a prepend
+  // is all above the viewport and can be measured.
+  const [loadingEnd, setLoadingEnd] = useState(null);
+  const loadingEndRef = useRef(null); // both ends can fire in the same tick
+
+  const loadAt = (end, load) => async () => {
+    if (loadingEndRef.current) return;
+    loadingEndRef.current = end;
+    setLoadingEnd(end);
+    if (end === "top") heightBeforePrepend.current = getScroller()?.scrollHeight ?? null;
+    try {
+      await load();
+    } finally {
+      loadingEndRef.current = null;
+      setLoadingEnd(null);
+    }
+  };
+
+  const bottom = useInfiniteLoader({
+    loadMore: loadAt("bottom", () => loadMore()),
+    hasMore: hasMore && ready && loadingEnd !== "top",
+    root: scrollable ? container : null,
+    rootMargin,
+  });
+
+  const top = useInfiniteLoader({
+    loadMore: loadAt("top", () => loadPrevious()),
+    hasMore: Boolean(loadPrevious) && hasPrevious && ready && loadingEnd !== "bottom",
+    root: scrollable ? container : null,
+    rootMargin,
+  });
+
+  // Runs after every render: anything added above the viewport while older
+  // items load (the loader, then the items) pushes the content down, so scroll
+  // down by the same amount.
+  useLayoutEffect(() => {
+    const scroller = getScroller();
+    if (heightBeforePrepend.current === null || !scroller) return;
+    const grown = scroller.scrollHeight - heightBeforePrepend.current;
+    if (grown !== 0) scroller.scrollTop += grown;
+    heightBeforePrepend.current = top.loading ? scroller.scrollHeight : null;
+  });
+
+  // Put the saved offset back, then keep it up to date while scrolling
+  useLayoutEffect(() => {
+    if (!restoreKey || !ready) return;
+    const scroller = scrollable ? container : document.scrollingElement;
+    const saved = readFeedEntry(restoreKey)?.scrollTop;
+    if (saved != null) scroller.scrollTop = saved;
+
+    const target = scrollable ? container : window;
+    const save = () => updateFeedEntry(restoreKey, { scrollTop: scroller.scrollTop });
+    target.addEventListener("scroll", save, { passive: true });
+    return () => target.removeEventListener("scroll", save);
+  }, [restoreKey, ready, scrollable, container]);
+
+  const header = loadPrevious ? (
+    <>
+      <div ref={top.sentinelRef} style={{ height: 1 }} aria-hidden="true" />
+      <LoadStatus status={top} loader={loader} />
+    </>
+  ) : null;
+
+  const footer = (
+    <>
+      <LoadStatus status={bottom} loader={loader} />
+      {!hasMore && endMessage}
+      <div ref={bottom.sentinelRef} style={{ height: 1 }} aria-hidden="true" />
+    </>
+  );
+
+  if (items && rowHeight) {
+    return (
+      <VirtualList
+        items={items}
+        rowHeight={rowHeight}
+        height={height}
+        overscan={overscan}
+        renderItem={renderItem}
+        getKey={getKey}
+        header={header}
+        footer={footer}
+        containerRef={setContainer}
+      />
+    );
+  }
+
+  return (
+    <div
+      ref={scrollable ? setContainer : undefined}
+      style={scrollable ? { height, overflowY: "auto" } : undefined}
+      aria-busy={top.loading || bottom.loading}
+    >
+      {header}
+      {children}
+      {footer}
+    </div>
+  );
+};
+
+export default InfiniteScroll;
@@ -0,0 +1,62 @@
+// VirtualList - windowed rendering for long lists with a fixed row height.
+//
+// Only the rows inside the scroll viewport (plus `overscan` rows above and
+// below) are in the DOM; a spacer as tall as the whole list keeps the
+// scrollbar right. 10,000 rows stay at a few dozen DOM nodes.
+//
+// <VirtualList items={rows} rowHeight={40} height={400} renderItem={(row) => row.name} />
+//
+// header and footer are rendered before and after the rows, inside the scroll
+// container (that is where InfiniteScroll puts its loaders and sentinels).
+// Keep the header short: row positions do not account for it, overscan does.
+
+import { useState } from "react";
+
+const VirtualList = ({
+  items,
+  rowHeight,
+  height,
+  overscan = 5,
+  renderItem,
+  getKey = (item, index) => index,
+  header = null,
+  footer = null,
+  containerRef,
+}) => {
+  const [scrollTop, setScrollTop] = useState(0);
+
+  const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const end = Math.min(items.length, Math.ceil((scrollTop + height) / rowHeight) + overscan);
+
+  return (
+    <div
+      ref={containerRef}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      style={{ height, overflowY: "auto" }}
+    >
+      {header}
+      <div style={{ height: items.length * rowHeight, position: "relative" }}>
+        {items.slice(start, end).map((item, i) => {
+          const index = start + i;
+          return (
+            <div
+              key={getKey(item, index)}
+              style={{
+                position: "absolute",
+                top: index * rowHeight,
+                left: 0,
+                right: 0,
+                height: rowHeight,
+              }}
+            >
+              {renderItem(item, index)}
+            </div>
+          );
+        })}
+      </div>
+      {footer}
+    </div>
+  );
+};
+
+export default VirtualList;
@@ -0,0 +1,26 @@
+// feedCache - where infinite lists park their state while the user is on
+// another page, so coming back shows the same items at the same scroll offset.
+//
+// Entries are keyed by whatever the caller chooses; useRestoredFeed uses the
+// React Router location key, which is different for every history entry.
+// It lives in memory: it survives navigation inside the app, not a reload.
+//
+// entry: { state, scrollTop }
+
+const MAX_ENTRIES = 20;
+
+const entries = new Map();
+
+export const readFeedEntry = (key) => entries.get(key);
+
+export const updateFeedEntry = (key, patch) => {
+  const entry = { ...entries.get(key), ...patch };
+  // Re-insert so the Map stays ordered from least to most recently used
+  entries.delete(key);
+  entries.set(key, entry);
+  if (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+};
+
+export const clearFeedCache = () => entries.clear();
@@ -0,0 +1,69 @@
+// useInfiniteLoader - calls loadMore() when a sentinel element scrolls into view.
+//
+// const { sentinelRef, loading, error, retry } = useInfiniteLoader({ loadMore, hasMore });
+// ...
+// <div ref={sentinelRef} />   // put it after the last item
+//
+// - loadMore must return a promise; only one load runs at a time, however
+//   often the sentinel fires.
+// - A failed load stops loading until retry() is called, so a broken API is
+//   not hammered on every scroll.
+// - root: the scrollable element, or null for the window. Pass the element
+//   itself (from a callback ref / state), not a ref object: a ref's .current
+//   is still null during the first render.
+// - rootMargin: start loading this far before the sentinel is actually visible.
+
+import { useCallback, useEffect, useRef, useState } from "react";
+
+const useInfiniteLoader = ({ loadMore, hasMore, root = null, rootMargin = "200px" }) => {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Bumped after every load so the observer is re-created: a new observer
+  // reports straight away, which loads again if the sentinel is still visible
+  // (e.g. the first page was too short to fill the screen).
+  const [loadCount, setLoadCount] = useState(0);
+  const [sentinel, setSentinel] = useState(null);
+
+  const loadingRef = useRef(false); // state updates are async, this is not
+  const loadMoreRef = useRef(loadMore);
+  loadMoreRef.current = loadMore; // always call the latest one, never a stale closure
+
+  const load = useCallback(async () => {
+    if (loadingRef.current) return;
+    loadingRef.current = true;
+    setLoading(true);
+    setError(null);
+    try {
+      await loadMoreRef.current();
+    } catch (err) {
+      setError(err.message || String(err));
+    } finally {
+      loadingRef.current = false;
+      setLoading(false);
+      setLoadCount((count) => count + 1);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!sentinel || !hasMore || error) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) load();
+      },
+      { root, rootMargin }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [sentinel, hasMore, error, root, rootMargin, load, loadCount]);
+
+  return {
+    // callback ref, so the observer follows the sentinel if it remounts
+    sentinelRef: setSentinel,
+    loading,
+    error,
+    retry: load,
+  };
+};
+
+export default useInfiniteLoader;
@@ -0,0 +1,39 @@
+// useRestoredFeed - useState for an infinite list that survives leaving the
+// route and coming back.
+//
+// const [feed, setFeed, restoreKey] = useRestoredFeed("posts", { items: [] });
+// ...
+// <InfiniteScroll restoreKey={restoreKey} ...>
+//
+// The state is remembered per history entry (location.key): going back to the
+// list brings back the loaded pages, and InfiniteScroll uses the same key to
+// put the scroll offset back. Following a link to the list is a new history
+// entry, so it starts fresh, like a browser does with a new page.
+//
+// id tells apart several lists on the same route. A router's first entry
+// (and any entry it did not push itself) has the key "default" every time,
+// so give the id something that changes when the router is mounted again,
+// or an old feed comes back on a new visit.
+
+import { useEffect, useState } from "react";
+import { useLocation } from "react-router-dom";
+import { readFeedEntry, updateFeedEntry } from "./feedCache";
+
+const useRestoredFeed = (id, initialState) => {
+  const location = useLocation();
+  const restoreKey = `${id}@${location.key}`;
+
+  const [state, setState] = useState(() => {
+    const entry = readFeedEntry(restoreKey);
+    if (entry && "state" in entry) return entry.state;
+    return typeof initialState === "function" ? initialState() : initialState;
+  });
+
+  useEffect(() => {
+    updateFeedEntry(restoreKey, { state });
+  }, [restoreKey, state]);
+
+  return [state, setState, restoreKey];
+};
+
+export default useRestoredFeed;
@@ -0,0 +1,211 @@
+// Modal - a dialog rendered into document.body, above everything else.
+//
+// <Modal open={open} onClose={() => setOpen(false)} title="Edit profile">
+//   ...
+// </Modal>
+//
+// - Closes on Escape and on a click on the backdrop (both can be turned off).
+//   onClose gets the reason: "escape", "backdrop" or "button" (the ×).
+// - Tab and Shift+Tab stay inside the dialog. Focus goes to initialFocusRef,
+//   or the first focusable element, and back to whatever had it on close.
+// - The page behind does not scroll while a modal is open.
+// - Modals can be opened from inside modals; the newest one is on top and is
+//   the only one that reacts to Escape and keeps focus (see modalStack.js).
+
+import { useEffect, useId, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import { isTopModal, pushModal, removeModal } from "./modalStack";
+import { vars } from "../theme/tokens";
+
+const FOCUSABLE = [
+  "a[href]",
+  "button:not([disabled])",
+  "input:not([disabled]):not([type='hidden'])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  "[tabindex]:not([tabindex='-1'])",
+].join(",");
+
+const styles = {
+  backdrop: {
+    position: "fixed",
+    inset: 0,
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    padding: "16px",
+    background: "rgba(0, 0, 0, 0.5)",
+  },
+  dialog: {
+    width: "100%",
+    maxHeight: "100%",
+    overflowY: "auto",
+    padding: "20px",
+    borderRadius: "8px",
+    background: vars.color.surface,
+    color: vars.color.text,
+    boxShadow: "0 10px 30px rgba(0, 0, 0, 0.3)",
+    outline: "none",
+  },
+  header: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: "12px",
+    marginBottom: "12px",
+  },
+  title: {
+    margin: 0,
+    fontSize: "1.25em",
+  },
+  close: {
+    border: "none",
+    background: "none",
+    fontSize: "1.5em",
+    lineHeight: 1,
+    cursor: "pointer",
+  },
+  footer: {
+    display: "flex",
+    justifyContent: "flex-end",
+    gap: "8px",
+    marginTop: "16px",
+  },
+};
+
+// Mounted only while open, so mounting is opening and unmounting is closing
+const ModalDialog = ({
+  onClose,
+  title,
+  children,
+  footer,
+  role = "dialog",
+  width = 480,
+  closeOnBackdrop = true,
+  closeOnEscape = true,
+  showCloseButton = true,
+  initialFocusRef,
+}) => {
+  const id = useId();
+  const titleId = `${id}-title`;
+  const dialogRef = useRef(null);
+  const [level, setLevel] = useState(0);
+  const pressedOnBackdrop = useRef(false);
+
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  useEffect(() => {
+    const previouslyFocused = document.activeElement;
+    setLevel(pushModal(id));
+
+    const dialog = dialogRef.current;
+    const first = initialFocusRef?.current ?? dialog.querySelector(FOCUSABLE);
+    (first ?? dialog).focus();
+
+    return () => {
+      removeModal(id);
+      // The element may be gone by now (e.g. the button that opened a nested modal)
+      if (previouslyFocused?.isConnected) previouslyFocused.focus();
+    };
+  }, [id, initialFocusRef]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!isTopModal(id)) return;
+
+      if (e.key === "Escape" && closeOnEscape) {
+        e.stopPropagation();
+        onCloseRef.current?.("escape");
+        return;
+      }
+
+      if (e.key !== "Tab") return;
+      const dialog = dialogRef.current;
+      const focusable = [...dialog.querySelectorAll(FOCUSABLE)];
+      if (focusable.length === 0) {
+        e.preventDefault();
+        dialog.focus();
+        return;
+      }
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const outside = !dialog.contains(document.activeElement);
+      if (e.shiftKey && (document.activeElement === first || outside)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (document.activeElement === last || outside)) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    // Focus can also leave by clicking outside (when the backdrop does not close)
+    const handleFocusIn = (e) => {
+      if (isTopModal(id) && !dialogRef.current.contains(e.target)) {
+        dialogRef.current.focus();
+      }
+    };
+
+    document.addEventListener("keydown", handleKeyDown);
+    document.addEventListener("focusin", handleFocusIn);
+    return () => {
+      document.removeEventListener("keydown", handleKeyDown);
+      document.removeEventListener("focusin", handleFocusIn);
+    };
+  }, [id, closeOnEscape]);
+
+  // Only a click that starts and ends on the backdrop closes: selecting text
+  // in the dialog and letting go outside of it should not
+  const backdropProps = {
+    onMouseDown: (e) => {
+      pressedOnBackdrop.current = e.target === e.currentTarget;
+    },
+    onClick: (e) => {
+      if (closeOnBackdrop && pressedOnBackdrop.current && e.target === e.currentTarget) {
+        onCloseRef.current?.("backdrop");
+      }
+      pressedOnBackdrop.current = false;
+    },
+  };
+
+  return createPortal(
+    <div style={{ ...styles.backdrop, zIndex: 1000 + level * 10 }} {...backdropProps}>
+      <div
+        ref={dialogRef}
+        role={role}
+        aria-modal="true"
+        aria-labelledby={title ? titleId : undefined}
+        tabIndex={-1}
+        style={{ ...styles.dialog, maxWidth: width }}
+      >
+        {(title || showCloseButton) && (
+          <div style={styles.header}>
+            {title && (
+              <h2 id={titleId} style={styles.title}>
+                {title}
+              </h2>
+            )}
+            {showCloseButton && (
+              <button
+                type="button"
+                style={styles.close}
+                onClick={() => onCloseRef.current?.("button")}
+                aria-label="Close"
+              >
+                ×
+              </button>
+            )}
+          </div>
+        )}
+        {children}
+        {footer && <div style={styles.footer}>{footer}</div>}
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+const Modal = ({ open, ...props }) => (open ? <ModalDialog {...props} /> : null);
+
+export default Modal;
@@ -0,0 +1,181 @@
+// ModalProvider - hosts the dialogs opened through useModal() / confirm() /
+// prompt(). Mount it once near the top of the app (main.jsx does).
+//
+// Every helper returns a promise that settles when the dialog closes:
+//   open(render)      -> whatever render's close(value) was called with
+//   confirm(options)  -> true / false
+//   prompt(options)   -> the entered string, or null when cancelled
+
+import { Fragment, useEffect, useMemo, useRef, useState } from "react";
+import Modal from "./Modal";
+import { ModalContext, registerModalHost } from "./modalContext";
+import { vars } from "../theme/tokens";
+
+const styles = {
+  button: {
+    padding: "6px 14px",
+    border: `1px solid ${vars.color.border}`,
+    borderRadius: "4px",
+    background: vars.color.surface,
+    cursor: "pointer",
+  },
+  primary: {
+    background: vars.color.primary,
+    borderColor: vars.color.primary,
+    color: vars.color.onPrimary,
+  },
+  danger: {
+    background: vars.color.danger,
+    borderColor: vars.color.danger,
+    color: vars.color.onPrimary,
+  },
+  input: {
+    width: "100%",
+    padding: "6px",
+    boxSizing: "border-box",
+  },
+  error: {
+    color: vars.color.danger,
+    margin: "6px 0 0",
+  },
+};
+
+const ConfirmDialog = ({
+  title = "Are you sure?",
+  message,
+  confirmLabel = "OK",
+  cancelLabel = "Cancel",
+  danger = false,
+  onClose,
+}) => {
+  const confirmRef = useRef(null);
+  const cancelRef = useRef(null);
+
+  return (
+    <Modal
+      open
+      role="alertdialog"
+      title={title}
+      onClose={() => onClose(false)}
+      // a destructive action should not be one Enter press away
+      initialFocusRef={danger ? cancelRef : confirmRef}
+      footer={
+        <>
+          <button ref={cancelRef} style={styles.button} onClick={() => onClose(false)}>
+            {cancelLabel}
+          </button>
+          <button
+            ref={confirmRef}
+            style={{ ...styles.button, ...(danger ? styles.danger : styles.primary) }}
+            onClick={() => onClose(true)}
+          >
+            {confirmLabel}
+          </button>
+        </>
+      }
+    >
+      {message && <p style={{ margin: 0 }}>{message}</p>}
+    </Modal>
+  );
+};
+
+const PromptDialog = ({
+  title = "Enter a value",
+  message,
+  label,
+  defaultValue = "",
+  placeholder,
+  confirmLabel = "OK",
+  cancelLabel = "Cancel",
+  validate,
+  onClose,
+}) => {
+  const [value, setValue] = useState(defaultValue);
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const problem = validate?.(value);
+    if (problem) {
+      setError(problem);
+      inputRef.current.focus();
+      return;
+    }
+    onClose(value);
+  };
+
+  return (
+    <Modal open title={title} onClose={() => onClose(null)} initialFocusRef={inputRef}>
+      <form onSubmit={handleSubmit} noValidate>
+        {message && <p style={{ marginTop: 0 }}>{message}</p>}
+        <label>
+          {label}
+          <input
+            ref={inputRef}
+            value={value}
+            placeholder={placeholder}
+            onChange={(e) => {
+              setValue(e.target.value);
+              setError(null);
+            }}
+            aria-invalid={error ? true : undefined}
+            style={styles.input}
+          />
+        </label>
+        {error && (
+          <p role="alert" style={styles.error}>
+            {error}
+          </p>
+        )}
+        <div style={{ display: "flex", justifyContent: "flex-end", gap: "8px", marginTop: "16px" }}>
+          <button type="button" style={styles.button} onClick={() => onClose(null)}>
+            {cancelLabel}
+          </button>
+          <button type="submit" style={{ ...styles.button, ...styles.primary }}>
+            {confirmLabel}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+const ModalProvider = ({ children }) => {
+  // { id, render } in the order they were opened; later ones stack on top
+  const [dialogs, setDialogs] = useState([]);
+  const nextId = useRef(0);
+
+  const api = useMemo(() => {
+    const open = (render) =>
+      new Promise((resolve) => {
+        const id = ++nextId.current;
+        const close = (value) => {
+          setDialogs((prev) => prev.filter((dialog) => dialog.id !== id));
+          resolve(value);
+        };
+        setDialogs((prev) => [...prev, { id, render: () => render(close) }]);
+      });
+
+    return {
+      open,
+      confirm: (options = {}) =>
+        open((close) => <ConfirmDialog {...options} onClose={close} />),
+      prompt: (options = {}) =>
+        open((close) => <PromptDialog {...options} onClose={close} />),
+    };
+  }, []);
+
+  useEffect(() => registerModalHost(api), [api]);
+
+  return (
+    <ModalContext.Provider value={api}>
+      {children}
+      {dialogs.map((dialog) => (
+        <Fragment key={dialog.id}>{dialog.render()}</Fragment>
+      ))}
+    </ModalContext.Provider>
+  );
+};
+
+export default ModalProvider;
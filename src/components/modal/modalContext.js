@@ -0,0 +1,24 @@
+// Shared by ModalProvider and useModal. The provider also registers itself
+// here, so confirm() and prompt() can be called from plain functions (event
+// handlers in other modules, thunks) that cannot use a hook.
+
+import { createContext } from "react";
+
+export const ModalContext = createContext(null);
+
+// Mounted providers, newest last
+const hosts = [];
+
+export const registerModalHost = (api) => {
+  hosts.push(api);
+  return () => {
+    const index = hosts.indexOf(api);
+    if (index !== -1) hosts.splice(index, 1);
+  };
+};
+
+export const getModalHost = () => {
+  const host = hosts[hosts.length - 1];
+  if (!host) throw new Error("Modal helpers need a <ModalProvider> to be mounted");
+  return host;
+};
@@ -0,0 +1,38 @@
+// modalStack - which modals are open, in the order they were opened.
+//
+// Only the top one reacts to Escape and keeps focus, so a confirm opened from
+// inside a modal closes on its own. The page behind stays scroll-locked while
+// any modal is open, and is unlocked as it was when the last one closes.
+
+const stack = [];
+let savedBodyStyle = null;
+
+const lockScroll = () => {
+  const { body, documentElement } = document;
+  savedBodyStyle = { overflow: body.style.overflow, paddingRight: body.style.paddingRight };
+  // Keep the content from shifting sideways when the scrollbar disappears
+  const scrollbarWidth = window.innerWidth - documentElement.clientWidth;
+  if (scrollbarWidth > 0) body.style.paddingRight = `${scrollbarWidth}px`;
+  body.style.overflow = "hidden";
+};
+
+const unlockScroll = () => {
+  Object.assign(document.body.style, savedBodyStyle);
+  savedBodyStyle = null;
+};
+
+// Returns the modal's level (0 for the first one), used for its z-index
+export const pushModal = (id) => {
+  if (stack.length === 0) lockScroll();
+  stack.push(id);
+  return stack.length - 1;
+};
+
+export const removeModal = (id) => {
+  const index = stack.indexOf(id);
+  if (index === -1) return;
+  stack.splice(index, 1);
+  if (stack.length === 0) unlockScroll();
+};
+
+export const isTopModal = (id) => stack[stack.length - 1] === id;
@@ -0,0 +1,38 @@
+// useModal - open dialogs from code and await the answer.
+//
+// const modal = useModal();
+// if (await modal.confirm({ message: "Delete this post?", danger: true })) { ... }
+// const name = await modal.prompt({ title: "Rename", defaultValue: post.title }); // null if cancelled
+// const result = await modal.open((close) => (
+//   <Modal open onClose={() => close()} title="Custom">
+//     <button onClick={() => close("picked")}>Pick</button>
+//   </Modal>
+// ));
+//
+// confirm, prompt and openModal are also exported as plain functions for code
+// outside components; they use the most recently mounted ModalProvider.
+
+import { useContext } from "react";
+import { ModalContext, getModalHost } from "./modalContext";
+
+const useModal = () => {
+  const modal = useContext(ModalContext);
+  if (!modal) throw new Error("useModal must be used inside a <ModalProvider>");
+  return modal;
+};
+
+// These return promises, so a missing provider rejects instead of throwing:
+// confirm(...).then(...).catch(...) handles it like any other failure
+const withHost = (call) => {
+  try {
+    return call(getModalHost());
+  } catch (err) {
+    return Promise.reject(err);
+  }
+};
+
+export const openModal = (render) => withHost((host) => host.open(render));
+export const confirm = (options) => withHost((host) => host.confirm(options));
+export const prompt = (options) => withHost((host) => host.prompt(options));
+
+export default useModal;
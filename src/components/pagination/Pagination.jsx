@@ -0,0 +1,101 @@
+// Pagination - a pagination hook + PaginationControls in one component.
+//
+// Local array:
+// <Pagination items={products} renderItem={(p) => <li key={p.id}>{p.name}</li>} />
+//
+// Total count + fetch callback:
+// <Pagination totalCount={500} fetchPage={fetchPage} syncWithUrl>
+//   {({ pageItems, loading }) => (loading ? <p>Loading...</p> : <List items={pageItems} />)}
+// </Pagination>
+//
+// Server mode (cached pages, prefetch, per-page loading/error), offset or cursor:
+// <Pagination loadPage={({ cursor, limit }) => api.fetchCursor({ cursor, limit })} mode="cursor" />
+//
+// Passing loadPage switches to useServerPagination, otherwise usePagination is
+// used. Their options are accepted as props; pageSizeOptions, siblings,
+// showFirstLast and showJump go to the controls.
+
+import usePagination from "./usePagination";
+import useServerPagination from "./useServerPagination";
+import PaginationControls from "./PaginationControls";
+import { vars } from "../theme/tokens";
+
+const defaultRenderItem = (item, index) => <li key={index}>{String(item)}</li>;
+
+const PaginatedView = ({ pagination, renderItem, children, controls }) => {
+  const { startIndex, endIndex, totalCount, pageItems, loading, error, retry } = pagination;
+
+  return (
+    <div>
+      {typeof children === "function" ? (
+        children(pagination)
+      ) : (
+        <>
+          {loading && <p>Loading...</p>}
+          {error && (
+            <p style={{ color: vars.color.danger }}>
+              Error: {error} {retry && <button onClick={() => retry()}>Retry</button>}
+            </p>
+          )}
+          <ul>{pageItems.map((item, index) => renderItem(item, startIndex + index))}</ul>
+        </>
+      )}
+      {!loading && !error && (
+        <p>
+          Showing {pageItems.length === 0 ? 0 : startIndex + 1}–{endIndex}
+          {totalCount !== null && ` of ${totalCount}`}
+        </p>
+      )}
+      <PaginationControls pagination={pagination} {...controls} />
+    </div>
+  );
+};
+
+const LocalPagination = ({ options, ...view }) => (
+  <PaginatedView pagination={usePagination(options)} {...view} />
+);
+
+const ServerPagination = ({ options, ...view }) => (
+  <PaginatedView pagination={useServerPagination(options)} {...view} />
+);
+
+const Pagination = ({
+  items,
+  totalCount,
+  fetchPage,
+  loadPage,
+  mode,
+  prefetch,
+  initialPage,
+  initialPageSize,
+  syncWithUrl,
+  pageSizeOptions,
+  siblings,
+  showFirstLast,
+  showJump,
+  renderItem = defaultRenderItem,
+  children,
+}) => {
+  const view = {
+    renderItem,
+    children,
+    controls: { pageSizeOptions, siblings, showFirstLast, showJump },
+  };
+
+  // key: switching modes swaps hooks, so start the new one from scratch
+  return loadPage ? (
+    <ServerPagination
+      key="server"
+      options={{ loadPage, mode, prefetch, initialPageSize }}
+      {...view}
+    />
+  ) : (
+    <LocalPagination
+      key="local"
+      options={{ items, totalCount, fetchPage, initialPage, initialPageSize, syncWithUrl }}
+      {...view}
+    />
+  );
+};
+
+export default Pagination;
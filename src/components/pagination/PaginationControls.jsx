@@ -0,0 +1,146 @@
+// PaginationControls - the buttons, jump box and page-size select.
+// Takes the object returned by usePagination or useServerPagination, so it
+// works for local and remote lists alike. With server pagination each page
+// button also shows whether that page is loading, cached or failed.
+
+import { useState } from "react";
+import { getPageRange, START_ELLIPSIS, END_ELLIPSIS } from "./getPageRange";
+import { vars } from "../theme/tokens";
+
+const styles = {
+  controls: {
+    display: "flex",
+    flexWrap: "wrap",
+    alignItems: "center",
+    gap: "6px",
+    marginTop: "10px",
+  },
+  page: {
+    minWidth: "32px",
+    padding: "4px 8px",
+    border: `1px solid ${vars.color.border}`,
+    borderRadius: "4px",
+    background: vars.color.surface,
+    cursor: "pointer",
+  },
+  currentPage: {
+    background: vars.color.primary,
+    borderColor: vars.color.primary,
+    color: vars.color.onPrimary,
+  },
+  // server pagination only, keyed by pageStatus()
+  loading: {
+    opacity: 0.5,
+  },
+  success: {
+    fontWeight: "bold",
+  },
+  error: {
+    borderColor: vars.color.danger,
+    color: vars.color.danger,
+  },
+  jumpInput: {
+    width: "60px",
+  },
+};
+
+const PaginationControls = ({
+  pagination,
+  pageSizeOptions = [5, 10, 20, 50],
+  siblings = 1,
+  showFirstLast = true,
+  showJump = true,
+}) => {
+  const { page, pageSize, totalPages, setPage, setPageSize, pageStatus } = pagination;
+  const [jumpTo, setJumpTo] = useState("");
+
+  const handleJump = (e) => {
+    e.preventDefault();
+    const target = Number(jumpTo);
+    if (Number.isInteger(target) && target >= 1 && target <= totalPages) {
+      setPage(target);
+      setJumpTo("");
+    }
+  };
+
+  const pageStyle = (item) => {
+    const status = pageStatus ? styles[pageStatus(item)] : null;
+    const current = item === page ? styles.currentPage : null;
+    return { ...styles.page, ...status, ...current };
+  };
+
+  return (
+    <nav style={styles.controls} aria-label="Pagination">
+      {showFirstLast && (
+        <button style={styles.page} onClick={pagination.first} disabled={!pagination.canPrev}>
+          « First
+        </button>
+      )}
+      <button style={styles.page} onClick={pagination.prev} disabled={!pagination.canPrev}>
+        ‹ Previous
+      </button>
+
+      {getPageRange(page, totalPages, siblings).map((item) =>
+        item === START_ELLIPSIS || item === END_ELLIPSIS ? (
+          <span key={item} aria-hidden="true">
+            …
+          </span>
+        ) : (
+          <button
+            key={item}
+            style={pageStyle(item)}
+            onClick={() => setPage(item)}
+            aria-current={item === page ? "page" : undefined}
+            aria-label={`Page ${item}`}
+            title={pageStatus ? `Page ${item}: ${pageStatus(item)}` : undefined}
+          >
+            {item}
+          </button>
+        )
+      )}
+
+      <button style={styles.page} onClick={pagination.next} disabled={!pagination.canNext}>
+        Next ›
+      </button>
+      {showFirstLast && (
+        <button style={styles.page} onClick={pagination.last} disabled={!pagination.canNext}>
+          Last »
+        </button>
+      )}
+
+      {showJump && (
+        <form onSubmit={handleJump}>
+          <label>
+            Go to{" "}
+            <input
+              type="number"
+              min={1}
+              max={totalPages}
+              value={jumpTo}
+              onChange={(e) => setJumpTo(e.target.value)}
+              style={styles.jumpInput}
+            />
+          </label>{" "}
+          <button type="submit" style={styles.page}>
+            Go
+          </button>
+        </form>
+      )}
+
+      {pageSizeOptions.length > 0 && (
+        <label>
+          Per page{" "}
+          <select value={pageSize} onChange={(e) => setPageSize(Number(e.target.value))}>
+            {pageSizeOptions.map((size) => (
+              <option key={size} value={size}>
+                {size}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+    </nav>
+  );
+};
+
+export default PaginationControls;
@@ -0,0 +1,37 @@
+// Which page buttons to show, with ellipses for the gaps.
+//
+// getPageRange(6, 20)  -> [1, "start-ellipsis", 5, 6, 7, "end-ellipsis", 20]
+// getPageRange(2, 5)   -> [1, 2, 3, 4, 5]
+//
+// siblings: how many pages to show on each side of the current one.
+// The result always has the same length once pages are hidden, so the
+// buttons do not jump around while paging.
+
+export const START_ELLIPSIS = "start-ellipsis";
+export const END_ELLIPSIS = "end-ellipsis";
+
+const range = (from, to) =>
+  Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+export const getPageRange = (current, total, siblings = 1) => {
+  // first + last + current + siblings on both sides + two ellipses
+  const slots = siblings * 2 + 5;
+  if (total <= slots) return range(1, total);
+
+  const left = Math.max(current - siblings, 1);
+  const right = Math.min(current + siblings, total);
+  const showStartEllipsis = left > 3;
+  const showEndEllipsis = right < total - 2;
+  // pages shown next to first/last when only one ellipsis is needed
+  const edgeCount = 3 + siblings * 2;
+
+  if (!showStartEllipsis) {
+    return [...range(1, edgeCount), END_ELLIPSIS, total];
+  }
+  if (!showEndEllipsis) {
+    return [1, START_ELLIPSIS, ...range(total - edgeCount + 1, total)];
+  }
+  return [1, START_ELLIPSIS, ...range(left, right), END_ELLIPSIS, total];
+};
+
+export default getPageRange;
@@ -0,0 +1,62 @@
+// Mock paginated backend (same idea as mockApiService in
+// rtk-learning/09-real-world-patterns/RealWorldExample.jsx) so server-mode
+// pagination can be tried and tested offline.
+//
+// Two styles, because real APIs use both:
+//   offset/limit: fetchPage({ offset, limit })  -> { items, total }
+//   cursor:       fetchCursor({ cursor, limit }) -> { items, nextCursor }
+//
+// Set mockPaginatedApi.failureRate (0..1) to make some requests fail, which
+// is handy for checking the error and retry states.
+
+import { sleep } from "../utils/sleep";
+
+const TOTAL_ARTICLES = 137;
+
+const allArticles = Array.from({ length: TOTAL_ARTICLES }, (_, i) => ({
+  id: i + 1,
+  title: `Article ${i + 1}`,
+  author: ["Asha", "Ravi", "Meera", "John"][i % 4],
+}));
+
+// Cursors are opaque to the client; here it is just the next id, base64'd
+const encodeCursor = (index) => btoa(`article:${index}`);
+const decodeCursor = (cursor) => {
+  const index = Number(atob(cursor).split(":")[1]);
+  if (!Number.isInteger(index)) throw new Error("Invalid cursor");
+  return index;
+};
+
+export const mockPaginatedApi = {
+  latency: 500,
+  failureRate: 0,
+
+  async request() {
+    await sleep(this.latency);
+    if (Math.random() < this.failureRate) {
+      throw new Error("Server error (simulated)");
+    }
+  },
+
+  articles: {
+    fetchPage: async ({ offset = 0, limit = 10 } = {}) => {
+      await mockPaginatedApi.request();
+      return {
+        items: allArticles.slice(offset, offset + limit),
+        total: allArticles.length,
+      };
+    },
+
+    fetchCursor: async ({ cursor = null, limit = 10 } = {}) => {
+      await mockPaginatedApi.request();
+      const start = cursor ? decodeCursor(cursor) : 0;
+      const end = start + limit;
+      return {
+        items: allArticles.slice(start, end),
+        nextCursor: end < allArticles.length ? encodeCursor(end) : null,
+      };
+    },
+  },
+};
+
+export default mockPaginatedApi;
@@ -0,0 +1,159 @@
+// usePagination - page state for any list, local or remote.
+//
+// Local: pass the whole array, get back the current page's slice.
+//   const pagination = usePagination({ items: products, initialPageSize: 5 });
+//   pagination.pageItems -> products for the current page
+//
+// Remote: pass the total count and a fetch callback; it is called with
+// (page, pageSize) whenever either changes. Wrap it in useCallback, otherwise
+// it refetches on every render.
+//   const pagination = usePagination({ totalCount: 500, fetchPage });
+//
+// syncWithUrl keeps page and size in ?page=&size= so a reload or a shared
+// link opens the same page. Pass an object to rename the params:
+//   usePagination({ items, syncWithUrl: { pageParam: "p", sizeParam: "per" } })
+
+import { useCallback, useEffect, useState } from "react";
+
+const DEFAULT_PARAMS = { pageParam: "page", sizeParam: "size" };
+
+const readPositiveInt = (params, name) => {
+  const value = Number(params.get(name));
+  return Number.isInteger(value) && value > 0 ? value : null;
+};
+
+const readUrl = ({ pageParam, sizeParam }) => {
+  const params = new URLSearchParams(window.location.search);
+  return {
+    page: readPositiveInt(params, pageParam),
+    pageSize: readPositiveInt(params, sizeParam),
+  };
+};
+
+// replaceState, not pushState: paging should not fill up the back button.
+// history.state is passed through untouched so React Router keeps working.
+const writeUrl = ({ pageParam, sizeParam }, page, pageSize) => {
+  const url = new URL(window.location.href);
+  url.searchParams.set(pageParam, page);
+  url.searchParams.set(sizeParam, pageSize);
+  if (url.href !== window.location.href) {
+    window.history.replaceState(window.history.state, "", url);
+  }
+};
+
+const usePagination = ({
+  items,
+  totalCount,
+  fetchPage,
+  initialPage = 1,
+  initialPageSize = 10,
+  syncWithUrl = false,
+} = {}) => {
+  const urlParams = syncWithUrl
+    ? { ...DEFAULT_PARAMS, ...(syncWithUrl === true ? {} : syncWithUrl) }
+    : null;
+  const { pageParam, sizeParam } = urlParams || {};
+
+  const [page, setPageState] = useState(
+    () => (urlParams && readUrl(urlParams).page) || initialPage
+  );
+  const [pageSize, setPageSizeState] = useState(
+    () => (urlParams && readUrl(urlParams).pageSize) || initialPageSize
+  );
+
+  // remote mode only
+  const [remoteItems, setRemoteItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const total = items ? items.length : totalCount ?? 0;
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+  // Derived instead of stored, so a shrinking list never leaves us past the end
+  const currentPage = Math.min(Math.max(page, 1), totalPages);
+
+  const setPage = useCallback(
+    (next) => {
+      setPageState((prev) => {
+        const value = typeof next === "function" ? next(prev) : next;
+        return Math.min(Math.max(Math.floor(value) || 1, 1), totalPages);
+      });
+    },
+    [totalPages]
+  );
+
+  // Keeps the first item of the current page on screen after the size changes
+  const setPageSize = useCallback(
+    (size) => {
+      const firstItem = (currentPage - 1) * pageSize;
+      setPageSizeState(size);
+      setPageState(Math.floor(firstItem / size) + 1);
+    },
+    [currentPage, pageSize]
+  );
+
+  useEffect(() => {
+    if (!pageParam) return;
+    writeUrl({ pageParam, sizeParam }, currentPage, pageSize);
+  }, [pageParam, sizeParam, currentPage, pageSize]);
+
+  // Back/forward can change the query string under us
+  useEffect(() => {
+    if (!pageParam) return;
+    const handlePopState = () => {
+      const fromUrl = readUrl({ pageParam, sizeParam });
+      if (fromUrl.page) setPageState(fromUrl.page);
+      if (fromUrl.pageSize) setPageSizeState(fromUrl.pageSize);
+    };
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, [pageParam, sizeParam]);
+
+  useEffect(() => {
+    if (items || !fetchPage) return;
+    let ignore = false; // a slow old page must not overwrite a newer one
+
+    setLoading(true);
+    setError(null);
+    Promise.resolve(fetchPage(currentPage, pageSize))
+      .then((data) => {
+        if (!ignore) setRemoteItems(data);
+      })
+      .catch((err) => {
+        if (!ignore) setError(err.message || String(err));
+      })
+      .finally(() => {
+        if (!ignore) setLoading(false);
+      });
+
+    return () => {
+      ignore = true;
+    };
+  }, [items, fetchPage, currentPage, pageSize]);
+
+  const startIndex = (currentPage - 1) * pageSize;
+  const pageItems = items
+    ? items.slice(startIndex, startIndex + pageSize)
+    : remoteItems;
+
+  return {
+    page: currentPage,
+    pageSize,
+    totalPages,
+    totalCount: total,
+    startIndex,
+    endIndex: Math.min(startIndex + pageSize, total), // exclusive
+    pageItems,
+    loading,
+    error,
+    setPage,
+    setPageSize,
+    canPrev: currentPage > 1,
+    canNext: currentPage < totalPages,
+    prev: () => setPage(currentPage - 1),
+    next: () => setPage(currentPage + 1),
+    first: () => setPage(1),
+    last: () => setPage(totalPages),
+  };
+};
+
+export default usePagination;
@@ -0,0 +1,171 @@
+// useServerPagination - pages loaded from an API, one request per page.
+//
+// Returns the same shape as usePagination, so PaginationControls works with
+// either, plus a few server-only extras (pageStatus, retry, refresh).
+//
+// Offset/limit APIs (total is known):
+//   useServerPagination({
+//     loadPage: ({ offset, limit }) => api.fetchPage({ offset, limit }), // -> { items, total }
+//   })
+//
+// Cursor APIs (total is not known, pages are discovered one at a time):
+//   useServerPagination({
+//     mode: "cursor",
+//     loadPage: ({ cursor, limit }) => api.fetchCursor({ cursor, limit }), // -> { items, nextCursor }
+//   })
+//
+// Visited pages are cached, so going back is instant, and the next page is
+// prefetched once the current one has loaded. Changing the page size clears
+// the cache, because every page boundary moves.
+
+import { useCallback, useEffect, useRef, useState } from "react";
+
+const useServerPagination = ({
+  loadPage,
+  mode = "offset",
+  initialPageSize = 10,
+  prefetch = true,
+} = {}) => {
+  const [page, setPageState] = useState(1);
+  const [pageSize, setPageSizeState] = useState(initialPageSize);
+  // page number -> { status: "loading" | "success" | "error", items, error, nextCursor }
+  const [cache, setCache] = useState({});
+  const [total, setTotal] = useState(null); // offset mode only
+
+  // Read inside async code, where state from the closure would be stale
+  const cacheRef = useRef(cache);
+  cacheRef.current = cache;
+  // Bumped when the cache is thrown away; late responses from before are ignored
+  const generation = useRef(0);
+
+  const isCursor = mode === "cursor";
+
+  // Cursor mode: a page can only be loaded once the page before it told us
+  // where it ends. Undefined means "not reachable yet".
+  const cursorFor = useCallback((n) => {
+    if (n === 1) return null;
+    const previous = cacheRef.current[n - 1];
+    return previous?.status === "success" ? previous.nextCursor ?? undefined : undefined;
+  }, []);
+
+  let totalPages;
+  if (isCursor) {
+    // Every loaded page that has a next cursor makes one more page reachable
+    totalPages = 1;
+    while (cache[totalPages]?.status === "success" && cache[totalPages].nextCursor) {
+      totalPages++;
+    }
+  } else {
+    totalPages = total === null ? page : Math.max(1, Math.ceil(total / pageSize));
+  }
+  const currentPage = Math.min(page, totalPages);
+
+  const fetchPage = useCallback(
+    async (n, { force = false } = {}) => {
+      const existing = cacheRef.current[n];
+      if (!force && existing && existing.status !== "error") return;
+
+      const cursor = isCursor ? cursorFor(n) : undefined;
+      if (isCursor && cursor === undefined) return;
+
+      const requestGeneration = generation.current;
+      const updateEntry = (entry) => setCache((prev) => ({ ...prev, [n]: entry }));
+      // Mark it right away so a second call in the same tick does not refetch
+      const loadingEntry = { status: "loading", items: existing?.items ?? [] };
+      cacheRef.current = { ...cacheRef.current, [n]: loadingEntry };
+      updateEntry(loadingEntry);
+
+      try {
+        const result = await loadPage(
+          isCursor
+            ? { cursor, limit: pageSize, page: n }
+            : { offset: (n - 1) * pageSize, limit: pageSize, page: n }
+        );
+        if (requestGeneration !== generation.current) return;
+        if (!isCursor && typeof result.total === "number") setTotal(result.total);
+        updateEntry({
+          status: "success",
+          items: result.items,
+          nextCursor: result.nextCursor ?? null,
+        });
+      } catch (err) {
+        if (requestGeneration !== generation.current) return;
+        updateEntry({ status: "error", items: [], error: err.message || String(err) });
+      }
+    },
+    [loadPage, isCursor, cursorFor, pageSize]
+  );
+
+  const reset = useCallback(() => {
+    generation.current++;
+    cacheRef.current = {};
+    setCache({});
+    setTotal(null);
+  }, []);
+
+  // Load the page being looked at (again after a reset or page size change)
+  const currentEntry = cache[currentPage];
+  useEffect(() => {
+    if (!currentEntry) fetchPage(currentPage);
+  }, [fetchPage, currentPage, currentEntry]);
+
+  // ...and warm up the next one as soon as it has loaded
+  useEffect(() => {
+    if (!prefetch || currentEntry?.status !== "success") return;
+    if (currentPage < totalPages) fetchPage(currentPage + 1);
+  }, [prefetch, currentEntry, currentPage, totalPages, fetchPage]);
+
+  const setPage = useCallback(
+    (next) => {
+      setPageState((prev) => {
+        const value = typeof next === "function" ? next(prev) : next;
+        return Math.min(Math.max(Math.floor(value) || 1, 1), totalPages);
+      });
+    },
+    [totalPages]
+  );
+
+  const setPageSize = useCallback(
+    (size) => {
+      const firstItem = (currentPage - 1) * pageSize;
+      reset();
+      setPageSizeState(size);
+      // Cursors belong to the old page size, so cursor mode starts over
+      setPageState(isCursor ? 1 : Math.floor(firstItem / size) + 1);
+    },
+    [currentPage, pageSize, reset, isCursor]
+  );
+
+  const startIndex = (currentPage - 1) * pageSize;
+  const pageItems = currentEntry?.items ?? [];
+
+  return {
+    mode,
+    page: currentPage,
+    pageSize,
+    totalPages,
+    // Cursor APIs do not say how many there are
+    totalCount: isCursor ? null : total ?? 0,
+    startIndex,
+    endIndex: startIndex + pageItems.length, // exclusive
+    pageItems,
+    loading: !currentEntry || currentEntry.status === "loading",
+    error: currentEntry?.status === "error" ? currentEntry.error : null,
+    pageStatus: (n) => cache[n]?.status ?? "idle",
+    retry: (n = currentPage) => fetchPage(n, { force: true }),
+    refresh: () => {
+      reset();
+      if (isCursor) setPageState(1);
+    },
+    setPage,
+    setPageSize,
+    canPrev: currentPage > 1,
+    canNext: currentPage < totalPages,
+    prev: () => setPage(currentPage - 1),
+    next: () => setPage(currentPage + 1),
+    first: () => setPage(1),
+    last: () => setPage(totalPages),
+  };
+};
+
+export default useServerPagination;
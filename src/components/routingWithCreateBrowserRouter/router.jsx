@@ -8,7 +8,9 @@ import Settings from "./Settings";
 import NotFound from "./NotFound";
 import MainCom from "./MainCom"; // Import MainCom
 
-const router = createBrowserRouter([
+// Route objects are exported on their own so the lesson navigator can mount
+// them under the lesson's path (see navigator/LessonRouter.jsx)
+export const routes = [
   {
     path: "/",
     element: <MainCom />, // MainCom as the parent layout
@@ -41,6 +43,8 @@ const router = createBrowserRouter([
     path: "*", // Catch-all route for 404
     element: <NotFound />,
   },
-]);
+];
+
+const router = createBrowserRouter(routes);
 
 export default router;
@@ -0,0 +1,30 @@
+// Highlight - renders text with the given [start, end) ranges in <mark>.
+// Overlapping or touching ranges are merged first.
+
+const mergeRanges = (ranges) => {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const [start, end] of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  }
+  return merged;
+};
+
+const Highlight = ({ text, ranges = [] }) => {
+  const value = String(text ?? "");
+  if (ranges.length === 0) return value;
+
+  const parts = [];
+  let position = 0;
+  for (const [start, end] of mergeRanges(ranges)) {
+    if (start > position) parts.push(value.slice(position, start));
+    parts.push(<mark key={start}>{value.slice(start, end)}</mark>);
+    position = end;
+  }
+  if (position < value.length) parts.push(value.slice(position));
+  return <>{parts}</>;
+};
+
+export default Highlight;
@@ -0,0 +1,150 @@
+// SearchFilter - a search box, facet filters with counts and the ranked
+// results, built on useSearch.
+//
+// <SearchFilter
+//   items={products}
+//   fields={[{ name: "name", weight: 2 }, "brand"]}
+//   facets={{ category: { field: "category", label: "Category" } }}
+//   renderItem={(product, highlight) => <>{highlight("name")} – ${product.price}</>}
+// />
+//
+// renderItem gets the item and highlight(field), which returns that field with
+// the matched parts marked. Without renderItem the first field is shown.
+
+import Highlight from "./Highlight";
+import useSearch from "./useSearch";
+import { getField } from "./search";
+import { vars } from "../theme/tokens";
+
+const styles = {
+  input: {
+    width: "100%",
+    padding: "8px",
+    boxSizing: "border-box",
+  },
+  facet: {
+    border: "none",
+    padding: 0,
+    margin: "12px 0 0",
+  },
+  legend: {
+    fontWeight: "bold",
+    marginBottom: "4px",
+  },
+  chips: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: "6px",
+  },
+  chip: {
+    padding: "4px 10px",
+    border: `1px solid ${vars.color.border}`,
+    borderRadius: "16px",
+    background: vars.color.surface,
+    cursor: "pointer",
+  },
+  selectedChip: {
+    background: vars.color.primary,
+    border: `1px solid ${vars.color.primary}`,
+    color: vars.color.onPrimary,
+  },
+  emptyChip: {
+    opacity: 0.5,
+  },
+  summary: {
+    display: "flex",
+    alignItems: "center",
+    gap: "8px",
+    margin: "12px 0 4px",
+  },
+};
+
+const SearchFilter = ({
+  items,
+  fields,
+  facets,
+  renderItem,
+  getKey = (item, index) => item.id ?? index,
+  placeholder = "Search",
+  initialQuery,
+  initialFilters,
+}) => {
+  const {
+    query,
+    setQuery,
+    toggleFilter,
+    clearFilters,
+    hasFilters,
+    results,
+    facetCounts,
+    total,
+  } = useSearch(items, { fields, facets, initialQuery, initialFilters });
+
+  const firstField = typeof fields[0] === "string" ? fields[0] : fields[0].name;
+
+  return (
+    <div>
+      <input
+        type="search"
+        placeholder={placeholder}
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        aria-label={placeholder}
+        style={styles.input}
+      />
+
+      {Object.entries(facetCounts).map(([facetId, options]) => (
+        <fieldset key={facetId} style={styles.facet}>
+          <legend style={styles.legend}>{facets[facetId].label ?? facetId}</legend>
+          <div style={styles.chips}>
+            {options.map((option) => (
+              <button
+                key={option.id}
+                type="button"
+                aria-pressed={option.selected}
+                onClick={() => toggleFilter(facetId, option.id)}
+                style={{
+                  ...styles.chip,
+                  ...(option.count === 0 && !option.selected && styles.emptyChip),
+                  ...(option.selected && styles.selectedChip),
+                }}
+              >
+                {option.label} ({option.count})
+              </button>
+            ))}
+          </div>
+        </fieldset>
+      ))}
+
+      <div style={styles.summary}>
+        <span role="status">
+          {results.length} of {total} {total === 1 ? "result" : "results"}
+        </span>
+        {hasFilters && (
+          <button type="button" onClick={clearFilters}>
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {results.length === 0 ? (
+        <p>No matches{query && ` for "${query}"`}</p>
+      ) : (
+        <ul>
+          {results.map(({ item, matches }, index) => {
+            const highlight = (field) => (
+              <Highlight text={getField(item, field)} ranges={matches[field]} />
+            );
+            return (
+              <li key={getKey(item, index)}>
+                {renderItem ? renderItem(item, highlight) : highlight(firstField)}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SearchFilter;
@@ -0,0 +1,77 @@
+// fuzzyMatch - typo-tolerant matching of one search term against a string.
+//
+// fuzzyMatch("samsng", "Samsung TV") -> { score: 0.45, range: [0, 7] }
+// fuzzyMatch("tv", "Samsung TV")     -> { score: 1.5, range: [8, 10] }
+// fuzzyMatch("xyz", "Samsung TV")    -> null
+//
+// In order of preference:
+//   1. the term appears as is (case-insensitive), best at the start of a word
+//   2. a word in the text is within a few typos of the term (or of the term
+//      while it is still being typed: "samsu" -> "Samsung")
+// range is [start, end) in the original text, for highlighting.
+
+// Typos allowed for a term of this length: none for very short terms,
+// because "tv" is one typo away from far too many words
+export const maxTypos = (length) => (length < 3 ? 0 : length < 6 ? 1 : 2);
+
+// Edit distance counting insert, delete, substitute and swapping two
+// neighbouring letters ("hte" -> "the") as one typo each
+export const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+const WORD = /[\p{L}\p{N}']+/gu;
+
+const isWordStart = (text, index) => index === 0 || !/[\p{L}\p{N}]/u.test(text[index - 1]);
+
+export const fuzzyMatch = (term, text) => {
+  if (text == null) return null;
+  const original = String(text);
+  const haystack = original.toLowerCase();
+  const needle = term.toLowerCase();
+  if (!needle) return null;
+
+  // 1. Substring: prefer a match at a word start over one inside a word
+  let best = null;
+  for (let index = haystack.indexOf(needle); index !== -1; index = haystack.indexOf(needle, index + 1)) {
+    const score = 1 + (isWordStart(haystack, index) ? 0.5 : 0) + (index === 0 ? 0.25 : 0);
+    if (!best || score > best.score) best = { score, range: [index, index + needle.length] };
+  }
+  if (best) return best;
+
+  // 2. Close enough to one of the words
+  const allowed = maxTypos(needle.length);
+  if (allowed === 0) return null;
+
+  for (const match of haystack.matchAll(WORD)) {
+    const word = match[0];
+    // the whole word, or its beginning if the term is a half-typed word
+    const candidates = [word];
+    for (let length = needle.length - 1; length <= needle.length + 1; length++) {
+      if (length > 0 && length < word.length) candidates.push(word.slice(0, length));
+    }
+    for (const candidate of candidates) {
+      const typos = editDistance(needle, candidate);
+      if (typos > allowed) continue;
+      const score = 0.75 - 0.3 * typos;
+      if (!best || score > best.score) {
+        best = { score, range: [match.index, match.index + candidate.length] };
+      }
+    }
+  }
+  return best;
+};
+
+export default fuzzyMatch;
@@ -0,0 +1,110 @@
+// search - free text + facet filtering over an array of objects. Pure, so
+// useSearch can memoize it and it can run anywhere (e.g. in a selector).
+//
+// search(products, {
+//   query: "aple phone",
+//   fields: [{ name: "name", weight: 2 }, "brand", "category"],
+//   facets: {
+//     category: { field: "category" },                    // one option per value
+//     price: { field: "price", ranges: [{ id: "low", label: "Under $100", max: 100 }] },
+//   },
+//   filters: { category: ["electronics"] },              // selected option ids per facet
+// })
+// -> {
+//   results: [{ item, score, matches: { name: [[0, 5]], ... } }],  // best first
+//   facetCounts: { category: [{ id, label, count, selected }], price: [...] },
+// }
+//
+// Every word of the query has to match some field (fuzzily, see fuzzyMatch).
+// Options in one facet are OR-ed, facets are AND-ed. A facet's counts ignore
+// its own selection, so picking "electronics" still shows how many
+// "clothing" results there would be.
+
+import fuzzyMatch from "./fuzzyMatch";
+
+const normalizeField = (field) => (typeof field === "string" ? { name: field, weight: 1 } : { weight: 1, ...field });
+
+export const getField = (item, name) =>
+  name.split(".").reduce((value, key) => (value == null ? value : value[key]), item);
+
+// Range options: min inclusive, max exclusive, either may be left out
+const inRange = (value, { min = -Infinity, max = Infinity }) => value >= min && value < max;
+
+const optionsFor = (facet, items) => {
+  if (facet.ranges) return facet.ranges;
+  const values = [...new Set(items.map((item) => getField(item, facet.field)))].filter((v) => v != null);
+  return values.sort().map((value) => ({ id: String(value), label: facet.format?.(value) ?? String(value), value }));
+};
+
+const matchesOption = (facet, item, option) => {
+  const value = getField(item, facet.field);
+  return facet.ranges ? inRange(value, option) : String(value) === option.id;
+};
+
+const matchesFacet = (facet, item, selected, options) =>
+  !selected?.length ||
+  options.some((option) => selected.includes(option.id) && matchesOption(facet, item, option));
+
+// Score one item against every term; null when some term matches nowhere
+const scoreItem = (item, terms, fields) => {
+  let total = 0;
+  const matches = {};
+  for (const term of terms) {
+    let best = null;
+    for (const field of fields) {
+      const found = fuzzyMatch(term, getField(item, field.name));
+      if (!found) continue;
+      (matches[field.name] ??= []).push(found.range);
+      const score = found.score * field.weight;
+      if (!best || score > best) best = score;
+    }
+    if (best === null) return null;
+    total += best;
+  }
+  return { item, score: total, matches };
+};
+
+export const search = (items, { query = "", fields = [], facets = {}, filters = {} }) => {
+  const terms = query.trim().split(/\s+/).filter(Boolean);
+  const fieldList = fields.map(normalizeField);
+  const facetOptions = Object.fromEntries(
+    Object.entries(facets).map(([id, facet]) => [id, optionsFor(facet, items)])
+  );
+
+  // Text first; facets are applied on top
+  const textMatches = [];
+  items.forEach((item, index) => {
+    const scored = terms.length ? scoreItem(item, terms, fieldList) : { item, score: 0, matches: {} };
+    if (scored) textMatches.push({ ...scored, index });
+  });
+
+  const passes = (entry, skipFacet) =>
+    Object.entries(facets).every(
+      ([id, facet]) => id === skipFacet || matchesFacet(facet, entry.item, filters[id], facetOptions[id])
+    );
+
+  const results = textMatches
+    .filter((entry) => passes(entry))
+    // best score first; equal scores keep the original order
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ item, score, matches }) => ({ item, score, matches }));
+
+  const facetCounts = Object.fromEntries(
+    Object.entries(facets).map(([id, facet]) => {
+      const candidates = textMatches.filter((entry) => passes(entry, id));
+      return [
+        id,
+        facetOptions[id].map((option) => ({
+          id: option.id,
+          label: option.label,
+          count: candidates.filter((entry) => matchesOption(facet, entry.item, option)).length,
+          selected: Boolean(filters[id]?.includes(option.id)),
+        })),
+      ];
+    })
+  );
+
+  return { results, facetCounts };
+};
+
+export default search;
@@ -0,0 +1,47 @@
+// useSearch - the state around search(): the query, the selected facet
+// options and the memoized results.
+//
+// const { query, setQuery, results, facetCounts, toggleFilter, clearFilters } =
+//   useSearch(products, { fields: ["name", "brand"], facets: { category: { field: "category" } } });
+//
+// fields and facets are read on every render; keep them outside the component
+// (or memoize them) so the results are not recomputed each time.
+
+import { useMemo, useState } from "react";
+import search from "./search";
+
+const useSearch = (items, { fields, facets = {}, initialQuery = "", initialFilters = {} } = {}) => {
+  const [query, setQuery] = useState(initialQuery);
+  const [filters, setFilters] = useState(initialFilters);
+
+  const { results, facetCounts } = useMemo(
+    () => search(items, { query, fields, facets, filters }),
+    [items, query, fields, facets, filters]
+  );
+
+  const toggleFilter = (facetId, optionId) => {
+    setFilters((prev) => {
+      const selected = prev[facetId] ?? [];
+      const next = selected.includes(optionId)
+        ? selected.filter((id) => id !== optionId)
+        : [...selected, optionId];
+      return { ...prev, [facetId]: next };
+    });
+  };
+
+  const hasFilters = Object.values(filters).some((selected) => selected.length > 0);
+
+  return {
+    query,
+    setQuery,
+    filters,
+    toggleFilter,
+    clearFilters: () => setFilters({}),
+    hasFilters,
+    results,
+    facetCounts,
+    total: items.length,
+  };
+};
+
+export default useSearch;
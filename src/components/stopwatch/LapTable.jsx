@@ -0,0 +1,68 @@
+// LapTable - laps newest first, with the fastest lap in green and the
+// slowest in red (once there are at least two to compare).
+//
+// <LapTable laps={watch.laps} />   // [{ number, lapTime, splitTime }]
+
+import { formatTime } from "./timerEngine";
+import { vars } from "../theme/tokens";
+
+const styles = {
+  table: {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontVariantNumeric: "tabular-nums",
+  },
+  cell: {
+    padding: "4px 8px",
+    borderBottom: `1px solid ${vars.color.border}`,
+    textAlign: "right",
+  },
+  best: {
+    color: vars.color.success,
+    fontWeight: "bold",
+  },
+  worst: {
+    color: vars.color.danger,
+    fontWeight: "bold",
+  },
+};
+
+const LapTable = ({ laps }) => {
+  if (laps.length === 0) return null;
+
+  const times = laps.map((l) => l.lapTime);
+  const compare = laps.length > 1;
+  const best = Math.min(...times);
+  const worst = Math.max(...times);
+
+  return (
+    <table style={styles.table}>
+      <thead>
+        <tr>
+          <th style={styles.cell}>Lap</th>
+          <th style={styles.cell}>Lap time</th>
+          <th style={styles.cell}>Split</th>
+        </tr>
+      </thead>
+      <tbody>
+        {[...laps].reverse().map((l) => {
+          const isBest = compare && l.lapTime === best;
+          const isWorst = compare && l.lapTime === worst && !isBest;
+          return (
+            <tr key={l.number} style={{ ...(isBest && styles.best), ...(isWorst && styles.worst) }}>
+              <td style={styles.cell}>{l.number}</td>
+              <td style={styles.cell}>
+                {formatTime(l.lapTime)}
+                {isBest && " (best)"}
+                {isWorst && " (worst)"}
+              </td>
+              <td style={styles.cell}>{formatTime(l.splitTime)}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+};
+
+export default LapTable;
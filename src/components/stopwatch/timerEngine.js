@@ -0,0 +1,98 @@
+// timerEngine - stopwatch/countdown state as plain data, so it can be saved
+// to localStorage and picked up again after a reload.
+//
+// Time is never counted tick by tick (setInterval drifts and stops in
+// background tabs). Instead the state remembers when it was started and
+// how much time had passed before that; the elapsed time is worked out from
+// the clock whenever it is needed:
+//
+//   let timer = createTimer();              // or createTimer({ mode: "countdown", duration: 60000 })
+//   timer = start(timer, now());
+//   elapsed(timer, now());                  // -> 1234.5 (ms)
+//   timer = lap(timer, now());
+//   timer = pause(timer, now());
+//
+// now() is performance.now() moved onto the Unix epoch: it is precise and
+// does not jump when the system clock is changed, yet a value saved before a
+// reload can still be compared with one read afterwards.
+
+export const TIMER_VERSION = 1;
+
+export const now = () => performance.timeOrigin + performance.now();
+
+export const createTimer = ({ mode = "stopwatch", duration = 0 } = {}) => ({
+  version: TIMER_VERSION,
+  mode,
+  duration, // countdown length in ms
+  startedAt: null, // now() when last started, null while paused
+  accumulated: 0, // ms counted before startedAt
+  laps: [], // elapsed time at each lap press (the splits)
+  finished: false, // countdown reached zero
+});
+
+export const isRunning = (timer) => timer.startedAt !== null;
+
+export const elapsed = (timer, at) => {
+  const total = timer.accumulated + (isRunning(timer) ? Math.max(0, at - timer.startedAt) : 0);
+  return timer.mode === "countdown" ? Math.min(total, timer.duration) : total;
+};
+
+export const remaining = (timer, at) => Math.max(0, timer.duration - elapsed(timer, at));
+
+export const start = (timer, at) =>
+  isRunning(timer) || timer.finished ? timer : { ...timer, startedAt: at };
+
+export const pause = (timer, at) =>
+  isRunning(timer) ? { ...timer, startedAt: null, accumulated: elapsed(timer, at) } : timer;
+
+export const reset = (timer) => createTimer({ mode: timer.mode, duration: timer.duration });
+
+export const lap = (timer, at) =>
+  isRunning(timer) ? { ...timer, laps: [...timer.laps, elapsed(timer, at)] } : timer;
+
+// A countdown that has run out: stopped at exactly its duration
+export const finish = (timer) => ({
+  ...timer,
+  startedAt: null,
+  accumulated: timer.duration,
+  finished: true,
+});
+
+// [{ number, lapTime, splitTime }] with lapTime the time since the previous lap
+export const getLaps = (timer) =>
+  timer.laps.map((splitTime, i) => ({
+    number: i + 1,
+    lapTime: splitTime - (i > 0 ? timer.laps[i - 1] : 0),
+    splitTime,
+  }));
+
+const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+// 83456.7 -> "01:23.456", hours only when there are some: "1:02:03.456"
+export const formatTime = (ms) => {
+  const total = Math.floor(ms);
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor(total / 60000) % 60;
+  const seconds = Math.floor(total / 1000) % 60;
+  const rest = `${pad(minutes)}:${pad(seconds)}.${pad(total % 1000, 3)}`;
+  return hours > 0 ? `${hours}:${rest}` : rest;
+};
+
+// A saved timer, or null if it is missing, broken or from another version
+export const loadTimer = (key) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(key));
+    return saved?.version === TIMER_VERSION ? saved : null;
+  } catch (err) {
+    console.error("Could not load timer:", err);
+    return null;
+  }
+};
+
+export const saveTimer = (key, timer) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(timer));
+  } catch (err) {
+    console.error("Could not save timer:", err);
+  }
+};
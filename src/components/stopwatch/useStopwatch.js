@@ -0,0 +1,91 @@
+// useStopwatch - a running stopwatch or countdown for a component, built on
+// timerEngine.
+//
+// const watch = useStopwatch({ storageKey: "stopwatch" });
+// watch.elapsed, watch.running, watch.laps, watch.start(), watch.pause(),
+// watch.lap(), watch.reset()
+//
+// const timer = useStopwatch({
+//   mode: "countdown",
+//   duration: 5 * 60000,
+//   onAlarm: () => alert("Time's up"),
+// });
+// timer.remaining, timer.finished, timer.setDuration(ms)
+//
+// With storageKey the state is saved on every change, so a running watch
+// keeps running across reloads (it was never really "stopped": the elapsed
+// time comes from the clock). A countdown that ran out while the page was
+// closed sounds its alarm as soon as it is loaded again.
+//
+// The component re-renders every animation frame while running. The alarm
+// uses its own timeout, so it also goes off in a background tab, where
+// animation frames are paused.
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import * as engine from "./timerEngine";
+
+const useStopwatch = ({ mode = "stopwatch", duration = 0, onAlarm, storageKey = null } = {}) => {
+  const [timer, setTimer] = useState(() => {
+    const saved = storageKey ? engine.loadTimer(storageKey) : null;
+    return saved?.mode === mode ? saved : engine.createTimer({ mode, duration });
+  });
+  const [, setFrame] = useState(0);
+  const onAlarmRef = useRef(onAlarm);
+  onAlarmRef.current = onAlarm;
+
+  const running = engine.isRunning(timer);
+
+  useEffect(() => {
+    if (storageKey) engine.saveTimer(storageKey, timer);
+  }, [storageKey, timer]);
+
+  // Redraw while running
+  useEffect(() => {
+    if (!running) return;
+    let frame;
+    const tick = () => {
+      setFrame((n) => n + 1);
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [running]);
+
+  // Countdown alarm
+  useEffect(() => {
+    if (timer.mode !== "countdown" || !running) return;
+    const timeout = setTimeout(() => {
+      setTimer(engine.finish);
+      onAlarmRef.current?.();
+    }, engine.remaining(timer, engine.now()));
+    return () => clearTimeout(timeout);
+  }, [timer, running]);
+
+  const start = useCallback(() => setTimer((t) => engine.start(t, engine.now())), []);
+  const pause = useCallback(() => setTimer((t) => engine.pause(t, engine.now())), []);
+  const lap = useCallback(() => setTimer((t) => engine.lap(t, engine.now())), []);
+  const reset = useCallback(() => setTimer(engine.reset), []);
+  // A new countdown length starts the countdown over
+  const setDuration = useCallback(
+    (ms) => setTimer((t) => engine.createTimer({ mode: t.mode, duration: ms })),
+    []
+  );
+
+  const at = engine.now();
+  return {
+    elapsed: engine.elapsed(timer, at),
+    remaining: engine.remaining(timer, at),
+    duration: timer.duration,
+    running,
+    finished: timer.finished,
+    started: running || timer.accumulated > 0,
+    laps: engine.getLaps(timer),
+    start,
+    pause,
+    lap,
+    reset,
+    setDuration,
+  };
+};
+
+export default useStopwatch;
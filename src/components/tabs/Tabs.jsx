@@ -0,0 +1,351 @@
+// Tabs - one panel at a time, picked from a row of tabs.
+//
+// <Tabs
+//   label="Settings"
+//   tabs={[
+//     { id: "profile", label: "Profile", content: <Profile /> },
+//     { id: "billing", label: "Billing", content: <Billing />, closable: true },
+//   ]}
+// />
+//
+// Active tab: value + onChange to control it, defaultValue otherwise. To keep
+// it in the URL spread useRoutedTab(): <Tabs tabs={tabs} {...useRoutedTab({ param: "tab" })} />.
+// An unknown value (e.g. an old link) shows the first tab.
+//
+// Panels mount the first time their tab is opened. By default they unmount
+// when another tab is opened; keepMounted (on Tabs or one tab) keeps them
+// alive, hidden, so form input or scroll position survives switching.
+//
+// onClose(id): tabs with closable: true get a × (Delete key when focused).
+// The parent removes the tab; if it was active, its neighbour is opened first.
+// onReorder(from, to): tabs can be dragged, or moved with Ctrl+Shift+Left/Right.
+// addSlot: anything to show after the tabs, e.g. a "+" button.
+// overflow: "scroll" (the row scrolls sideways) or "menu" (tabs that do not
+// fit go into a "More" dropdown).
+//
+// Keyboard (WAI-ARIA tabs pattern): Left/Right move between tabs and open
+// them (activation="manual" only moves focus; Enter/Space opens), Home/End
+// jump to the first/last tab, Tab moves on into the panel.
+
+import { useId, useLayoutEffect, useRef, useState } from "react";
+import TabsOverflowMenu from "./TabsOverflowMenu";
+import useTabOverflow from "./useTabOverflow";
+import { vars } from "../theme/tokens";
+
+const styles = {
+  row: {
+    display: "flex",
+    alignItems: "stretch",
+    borderBottom: `1px solid ${vars.color.border}`,
+  },
+  // The space for the tabs and the "More" menu. Only the scroller inside it
+  // clips, so the menu can drop down below the row.
+  strip: {
+    display: "flex",
+    flex: 1,
+    minWidth: 0,
+  },
+  scroller: {
+    flex: "0 1 auto",
+    minWidth: 0,
+  },
+  tablist: {
+    display: "flex",
+    whiteSpace: "nowrap",
+  },
+  tabWrapper: {
+    display: "flex",
+    alignItems: "center",
+    flexShrink: 0,
+  },
+  tab: {
+    padding: "8px 14px",
+    border: "none",
+    borderBottom: "2px solid transparent",
+    background: "none",
+    fontFamily: "inherit",
+    fontSize: "inherit",
+    color: "inherit",
+    cursor: "pointer",
+  },
+  activeTab: {
+    borderBottom: `2px solid ${vars.color.primary}`,
+    color: vars.color.primary,
+    fontWeight: "bold",
+  },
+  disabledTab: {
+    color: vars.color.textMuted,
+    cursor: "not-allowed",
+  },
+  close: {
+    marginLeft: "-8px",
+    padding: "0 8px",
+    border: "none",
+    background: "none",
+    color: vars.color.textMuted,
+    cursor: "pointer",
+  },
+  // Copies of the tabs, measured for overflow="menu"; invisible and clipped
+  measureClip: {
+    height: 0,
+    overflow: "hidden",
+  },
+  measure: {
+    display: "flex",
+    width: "max-content",
+    visibility: "hidden",
+  },
+  panel: {
+    padding: "12px 0",
+  },
+};
+
+const TabButton = ({ tab, active, closable, buttonProps, closeProps }) => (
+  <span style={styles.tabWrapper}>
+    <button
+      type="button"
+      disabled={tab.disabled}
+      style={{
+        ...styles.tab,
+        ...(active && styles.activeTab),
+        ...(tab.disabled && styles.disabledTab),
+      }}
+      {...buttonProps}
+    >
+      {tab.label}
+    </button>
+    {closable && (
+      <button type="button" tabIndex={-1} style={styles.close} {...closeProps}>
+        ×
+      </button>
+    )}
+  </span>
+);
+
+const Tabs = ({
+  tabs,
+  value,
+  defaultValue,
+  onChange,
+  label,
+  activation = "auto",
+  keepMounted = false,
+  onClose,
+  onReorder,
+  addSlot = null,
+  overflow = "scroll",
+}) => {
+  const id = useId();
+  const tabElements = useRef(new Map());
+  const stripRef = useRef(null);
+  const measureRef = useRef(null);
+  const dragFrom = useRef(null);
+  const focusAfterRender = useRef(null);
+
+  const firstEnabled = tabs.find((tab) => !tab.disabled);
+  const controlled = value !== undefined;
+  const [uncontrolledValue, setUncontrolledValue] = useState(defaultValue ?? firstEnabled?.id);
+  const requested = controlled ? value : uncontrolledValue;
+  const activeId = tabs.some((tab) => tab.id === requested && !tab.disabled)
+    ? requested
+    : firstEnabled?.id;
+
+  // Panels that have been opened at least once (for keepMounted)
+  const [visited, setVisited] = useState(() => new Set([activeId]));
+  if (activeId !== undefined && !visited.has(activeId)) {
+    setVisited(new Set(visited).add(activeId));
+  }
+
+  const select = (tabId) => {
+    if (tabId === activeId) return;
+    if (!controlled) setUncontrolledValue(tabId);
+    onChange?.(tabId);
+  };
+
+  // Which tabs are in the row and which went into the "More" menu
+  const fitting = useTabOverflow({ enabled: overflow === "menu", stripRef, measureRef });
+  let shownTabs = tabs;
+  let menuTabs = [];
+  if (fitting < tabs.length) {
+    shownTabs = tabs.slice(0, fitting);
+    const activeTab = tabs.find((tab) => tab.id === activeId);
+    if (activeTab && !shownTabs.includes(activeTab)) {
+      shownTabs = [...shownTabs.slice(0, fitting - 1), activeTab];
+    }
+    menuTabs = tabs.filter((tab) => !shownTabs.includes(tab));
+  }
+
+  useLayoutEffect(() => {
+    if (focusAfterRender.current !== null) {
+      tabElements.current.get(focusAfterRender.current)?.focus();
+      focusAfterRender.current = null;
+    }
+  });
+
+  // A tab opened from code, the URL or the menu should not be scrolled out of sight
+  useLayoutEffect(() => {
+    if (overflow !== "scroll") return;
+    tabElements.current.get(activeId)?.scrollIntoView?.({ block: "nearest", inline: "nearest" });
+  }, [activeId, overflow]);
+
+  const isClosable = (tab) => Boolean(onClose && tab.closable);
+
+  const close = (tab) => {
+    if (tab.id === activeId) {
+      const index = tabs.indexOf(tab);
+      const neighbour =
+        tabs.slice(index + 1).find((t) => !t.disabled) ??
+        tabs.slice(0, index).reverse().find((t) => !t.disabled);
+      if (neighbour) {
+        select(neighbour.id);
+        focusAfterRender.current = neighbour.id;
+      }
+    }
+    onClose(tab.id);
+  };
+
+  const handleKeyDown = (e, tab) => {
+    const index = tabs.indexOf(tab);
+
+    if (onReorder && e.ctrlKey && e.shiftKey && (e.key === "ArrowLeft" || e.key === "ArrowRight")) {
+      e.preventDefault();
+      const to = index + (e.key === "ArrowLeft" ? -1 : 1);
+      if (to >= 0 && to < tabs.length) {
+        onReorder(index, to);
+        focusAfterRender.current = tab.id;
+      }
+      return;
+    }
+
+    if (e.key === "Delete" && isClosable(tab)) {
+      e.preventDefault();
+      close(tab);
+      return;
+    }
+
+    const enabled = shownTabs.filter((t) => !t.disabled);
+    const position = enabled.indexOf(tab);
+    const target = {
+      ArrowRight: enabled[(position + 1) % enabled.length],
+      ArrowLeft: enabled[(position - 1 + enabled.length) % enabled.length],
+      Home: enabled[0],
+      End: enabled[enabled.length - 1],
+    }[e.key];
+    if (!target) return;
+
+    e.preventDefault();
+    tabElements.current.get(target.id)?.focus();
+    if (activation === "auto") select(target.id);
+  };
+
+  const dragProps = (tab) =>
+    onReorder
+      ? {
+          draggable: true,
+          onDragStart: (e) => {
+            dragFrom.current = tabs.indexOf(tab);
+            e.dataTransfer.effectAllowed = "move";
+            e.dataTransfer.setData("text/plain", String(tab.id)); // Firefox needs some data
+          },
+          onDragOver: (e) => e.preventDefault(),
+          onDrop: (e) => {
+            e.preventDefault();
+            const to = tabs.indexOf(tab);
+            if (dragFrom.current !== null && dragFrom.current !== to) onReorder(dragFrom.current, to);
+            dragFrom.current = null;
+          },
+          onDragEnd: () => {
+            dragFrom.current = null;
+          },
+        }
+      : null;
+
+  const tabId = (tab) => `${id}-tab-${tab.id}`;
+  const panelId = (tab) => `${id}-panel-${tab.id}`;
+
+  return (
+    <div>
+      <div style={styles.row}>
+        <div ref={stripRef} style={styles.strip}>
+          <div style={{ ...styles.scroller, overflowX: overflow === "scroll" ? "auto" : "hidden" }}>
+            <div role="tablist" aria-label={label} style={styles.tablist}>
+              {shownTabs.map((tab) => {
+                const active = tab.id === activeId;
+                return (
+                  <TabButton
+                    key={tab.id}
+                    tab={tab}
+                    active={active}
+                    closable={isClosable(tab)}
+                    buttonProps={{
+                      ref: (element) => {
+                        if (element) tabElements.current.set(tab.id, element);
+                        else tabElements.current.delete(tab.id);
+                      },
+                      role: "tab",
+                      id: tabId(tab),
+                      "aria-selected": active,
+                      "aria-controls": panelId(tab),
+                      tabIndex: active ? 0 : -1,
+                      onClick: () => select(tab.id),
+                      onKeyDown: (e) => handleKeyDown(e, tab),
+                      ...dragProps(tab),
+                    }}
+                    closeProps={{
+                      "aria-label": `Close ${typeof tab.label === "string" ? tab.label : "tab"}`,
+                      onClick: () => close(tab),
+                    }}
+                  />
+                );
+              })}
+            </div>
+          </div>
+          {menuTabs.length > 0 && (
+            <TabsOverflowMenu tabs={menuTabs} onSelect={select} buttonStyle={styles.tab} />
+          )}
+        </div>
+        {addSlot}
+      </div>
+
+      {overflow === "menu" && (
+        <div style={styles.measureClip} aria-hidden="true">
+          <div ref={measureRef} style={styles.measure}>
+            {tabs.map((tab) => (
+              <TabButton
+                key={tab.id}
+                tab={tab}
+                active={tab.id === activeId}
+                closable={isClosable(tab)}
+                buttonProps={{ tabIndex: -1 }}
+              />
+            ))}
+            <button type="button" tabIndex={-1} style={styles.tab}>
+              More ({tabs.length}) ▾
+            </button>
+          </div>
+        </div>
+      )}
+
+      {tabs.map((tab) => {
+        const active = tab.id === activeId;
+        const keep = (tab.keepMounted ?? keepMounted) && visited.has(tab.id);
+        if (!active && !keep) return null;
+        return (
+          <div
+            key={tab.id}
+            role="tabpanel"
+            id={panelId(tab)}
+            aria-labelledby={tabId(tab)}
+            hidden={!active}
+            tabIndex={0}
+            style={styles.panel}
+          >
+            {tab.content}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default Tabs;
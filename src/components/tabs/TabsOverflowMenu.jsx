@@ -0,0 +1,108 @@
+// TabsOverflowMenu - the "More" dropdown listing the tabs that do not fit.
+// Up/Down move through it, Escape or a click elsewhere closes it. Render it
+// outside any element that clips overflow: the menu drops down below the
+// button.
+
+import { useEffect, useRef, useState } from "react";
+import { vars } from "../theme/tokens";
+
+const styles = {
+  wrapper: {
+    position: "relative",
+    flexShrink: 0,
+  },
+  menu: {
+    position: "absolute",
+    right: 0,
+    top: "100%",
+    zIndex: 10,
+    minWidth: "160px",
+    margin: 0,
+    padding: "4px 0",
+    listStyle: "none",
+    background: vars.color.surface,
+    border: `1px solid ${vars.color.border}`,
+    borderRadius: "4px",
+    boxShadow: vars.shadow.popup,
+  },
+  item: {
+    display: "block",
+    width: "100%",
+    padding: "6px 12px",
+    border: "none",
+    background: "none",
+    font: "inherit",
+    textAlign: "left",
+    cursor: "pointer",
+  },
+};
+
+const TabsOverflowMenu = ({ tabs, onSelect, buttonStyle, label = "More" }) => {
+  const [open, setOpen] = useState(false);
+  const wrapperRef = useRef(null);
+  const buttonRef = useRef(null);
+  const itemsRef = useRef([]);
+
+  useEffect(() => {
+    if (!open) return;
+    itemsRef.current[0]?.focus();
+    const handlePointerDown = (e) => {
+      if (!wrapperRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("pointerdown", handlePointerDown);
+    return () => document.removeEventListener("pointerdown", handlePointerDown);
+  }, [open]);
+
+  const handleKeyDown = (e) => {
+    const items = itemsRef.current.filter(Boolean);
+    const index = items.indexOf(document.activeElement);
+    if (e.key === "Escape") {
+      setOpen(false);
+      buttonRef.current.focus();
+    } else if (e.key === "ArrowDown") {
+      e.preventDefault();
+      items[(index + 1) % items.length]?.focus();
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      items[(index - 1 + items.length) % items.length]?.focus();
+    }
+  };
+
+  return (
+    <div ref={wrapperRef} style={styles.wrapper} onKeyDown={handleKeyDown}>
+      <button
+        ref={buttonRef}
+        type="button"
+        aria-haspopup="menu"
+        aria-expanded={open}
+        onClick={() => setOpen((prev) => !prev)}
+        style={buttonStyle}
+      >
+        {label} ({tabs.length}) ▾
+      </button>
+      {open && (
+        <ul role="menu" style={styles.menu}>
+          {tabs.map((tab, index) => (
+            <li key={tab.id} role="none">
+              <button
+                ref={(element) => (itemsRef.current[index] = element)}
+                type="button"
+                role="menuitem"
+                disabled={tab.disabled}
+                onClick={() => {
+                  setOpen(false);
+                  onSelect(tab.id);
+                }}
+                style={styles.item}
+              >
+                {tab.label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TabsOverflowMenu;
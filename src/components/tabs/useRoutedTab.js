@@ -0,0 +1,49 @@
+// useRoutedTab - keeps the active tab in the URL, so it survives a reload,
+// can be linked to and works with the back button.
+//
+// Query param (/settings?tab=billing):
+//   <Tabs tabs={tabs} {...useRoutedTab({ param: "tab", defaultValue: "profile" })} />
+//
+// Path segment, for a route like "settings/:tab?" (/settings/billing):
+//   <Tabs tabs={tabs} {...useRoutedTab({ segment: "tab", defaultValue: "profile" })} />
+//
+// Returns { value, onChange } for <Tabs>. The default tab is left out of the
+// URL in query mode. replace: true switches tabs without adding history entries.
+
+import { useNavigate, useParams, useSearchParams } from "react-router-dom";
+
+const useRoutedTab = ({ param, segment, defaultValue, replace = false }) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const params = useParams();
+  const navigate = useNavigate();
+
+  if (segment) {
+    const current = params[segment];
+    return {
+      value: current ?? defaultValue,
+      onChange: (id) => {
+        const target = encodeURIComponent(id);
+        // relative to the URL, not the route: swap the last segment, or add
+        // one when the optional param is not there yet
+        navigate(current === undefined ? target : `../${target}`, { relative: "path", replace });
+      },
+    };
+  }
+
+  return {
+    value: searchParams.get(param) ?? defaultValue,
+    onChange: (id) => {
+      setSearchParams(
+        (prev) => {
+          const next = new URLSearchParams(prev);
+          if (id === defaultValue) next.delete(param);
+          else next.set(param, id);
+          return next;
+        },
+        { replace }
+      );
+    },
+  };
+};
+
+export default useRoutedTab;
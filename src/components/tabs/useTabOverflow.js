@@ -0,0 +1,52 @@
+// useTabOverflow - how many tabs fit next to each other, for overflow="menu".
+//
+// stripRef: the element the tabs (and the "More" button) have to fit in. Its
+//   width must not depend on its content (flex: 1; min-width: 0).
+// measureRef: an invisible row with a copy of every tab followed by a copy of
+//   the "More" button, so widths are known even for tabs that are hidden.
+//
+// Returns the number of tabs to show; Infinity when they all fit.
+
+import { useLayoutEffect, useRef, useState } from "react";
+
+const useTabOverflow = ({ enabled, stripRef, measureRef }) => {
+  const [count, setCount] = useState(Infinity);
+
+  const compute = () => {
+    const available = stripRef.current.clientWidth;
+    const widths = [...measureRef.current.children].map((child) => child.offsetWidth);
+    const moreWidth = widths.pop();
+    const total = widths.reduce((sum, width) => sum + width, 0);
+    if (total <= available) {
+      setCount(Infinity);
+      return;
+    }
+    let used = moreWidth;
+    let fitting = 0;
+    while (fitting < widths.length && used + widths[fitting] <= available) {
+      used += widths[fitting];
+      fitting++;
+    }
+    setCount(Math.max(fitting, 1)); // always room for the active tab
+  };
+  const computeRef = useRef(compute);
+  computeRef.current = compute;
+
+  // After every render: tabs may have been added, closed or renamed.
+  // Setting the same count again does not re-render, so this settles.
+  useLayoutEffect(() => {
+    if (enabled) computeRef.current();
+  });
+
+  // ...and whenever the space changes
+  useLayoutEffect(() => {
+    if (!enabled || typeof ResizeObserver === "undefined") return;
+    const observer = new ResizeObserver(() => computeRef.current());
+    observer.observe(stripRef.current);
+    return () => observer.disconnect();
+  }, [enabled, stripRef]);
+
+  return enabled ? count : Infinity;
+};
+
+export default useTabOverflow;
@@ -0,0 +1,84 @@
+// ThemeProvider - the one source of the app's theme. Mounted once in
+// main.jsx; read it anywhere with useTheme() from ./themeContext.
+//
+// Themes: "light", "dark", "high-contrast" and any registered ones. The
+// choice "system" (the default) follows prefers-color-scheme and
+// prefers-contrast, and keeps following them while the page is open. The
+// user's choice is saved in localStorage.
+//
+// const { theme, choice, tokens, themes, setTheme, toggleTheme, registerTheme } = useTheme();
+//   theme     - the theme in use, e.g. "dark" (also when choice is "system")
+//   tokens    - its token values, for the rare case a real value is needed
+//               (canvas, charts); styles should use `vars` from ./tokens
+//   themes    - [{ id, label }] for a picker
+//   registerTheme("sepia", { label: "Sepia", extends: "light", color: { ... } })
+//
+// Custom themes can also be passed up front: <ThemeProvider themes={{ sepia: {...} }}>.
+
+import { useCallback, useLayoutEffect, useMemo, useState } from "react";
+import { ThemeContext } from "./themeContext";
+import { builtInThemes, createTheme, toCssVariables, vars } from "./tokens";
+import { loadThemeChoice, saveThemeChoice } from "./themeStorage";
+import useMediaQuery from "./useMediaQuery";
+
+const ThemeProvider = ({ children, themes: initialThemes = {}, defaultTheme = "system" }) => {
+  const [choice, setChoice] = useState(() => loadThemeChoice() ?? defaultTheme);
+  const [custom, setCustom] = useState(initialThemes);
+
+  const themes = useMemo(() => {
+    const all = { ...builtInThemes };
+    for (const [id, definition] of Object.entries(custom)) all[id] = createTheme(definition, all);
+    return all;
+  }, [custom]);
+
+  const prefersDark = useMediaQuery("(prefers-color-scheme: dark)");
+  const prefersContrast = useMediaQuery("(prefers-contrast: more)");
+  const systemTheme = prefersContrast ? "high-contrast" : prefersDark ? "dark" : "light";
+  // A saved custom theme that is not registered (yet) falls back to the system one
+  const theme = choice !== "system" && themes[choice] ? choice : systemTheme;
+  const tokens = themes[theme];
+
+  useLayoutEffect(() => {
+    const root = document.documentElement;
+    const variables = toCssVariables(tokens);
+    for (const [name, value] of Object.entries(variables)) root.style.setProperty(name, value);
+    root.style.colorScheme = tokens.scheme;
+    root.dataset.theme = theme;
+    document.body.style.backgroundColor = vars.color.background;
+    document.body.style.color = vars.color.text;
+    return () => {
+      for (const name of Object.keys(variables)) root.style.removeProperty(name);
+      root.style.colorScheme = "";
+      delete root.dataset.theme;
+      document.body.style.backgroundColor = "";
+      document.body.style.color = "";
+    };
+  }, [theme, tokens]);
+
+  const setTheme = useCallback((next) => {
+    setChoice(next);
+    saveThemeChoice(next);
+  }, []);
+
+  const registerTheme = useCallback((id, definition) => {
+    setCustom((prev) => (prev[id] === definition ? prev : { ...prev, [id]: definition }));
+  }, []);
+
+  const value = useMemo(
+    () => ({
+      theme,
+      choice,
+      tokens,
+      systemTheme,
+      themes: Object.entries(themes).map(([id, t]) => ({ id, label: t.label })),
+      setTheme,
+      toggleTheme: () => setTheme(tokens.scheme === "dark" ? "light" : "dark"),
+      registerTheme,
+    }),
+    [theme, choice, tokens, systemTheme, themes, setTheme, registerTheme]
+  );
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+};
+
+export default ThemeProvider;
@@ -0,0 +1,11 @@
+// The ThemeProvider value, read with useTheme().
+
+import { createContext, useContext } from "react";
+
+export const ThemeContext = createContext(null);
+
+export const useTheme = () => {
+  const context = useContext(ThemeContext);
+  if (!context) throw new Error("useTheme must be used within a ThemeProvider");
+  return context;
+};
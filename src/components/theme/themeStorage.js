@@ -0,0 +1,21 @@
+// The theme the user picked, kept in localStorage. "system" means: follow
+// the operating system; null means nothing was picked yet.
+
+export const THEME_STORAGE_KEY = "theme";
+
+export const loadThemeChoice = () => {
+  try {
+    return localStorage.getItem(THEME_STORAGE_KEY);
+  } catch (err) {
+    console.error("Could not load the theme:", err);
+    return null;
+  }
+};
+
+export const saveThemeChoice = (choice) => {
+  try {
+    localStorage.setItem(THEME_STORAGE_KEY, choice);
+  } catch (err) {
+    console.error("Could not save the theme:", err);
+  }
+};
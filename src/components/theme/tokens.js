@@ -0,0 +1,142 @@
+// Design tokens - the colors, spacing and type every component should use
+// instead of hard-coded values.
+//
+// ThemeProvider writes the active theme to :root as CSS custom properties
+// (--color-text, --space-md, ...). Components read them through `vars`, which
+// has the same shape as a theme but holds var(--...) references:
+//
+//   import { vars } from "../theme/tokens";
+//   const styles = { card: { color: vars.color.text, padding: vars.space.md } };
+//
+// so inline styles follow theme changes without re-rendering.
+//
+// A theme only has to list what differs from the theme it extends:
+//   createTheme({ label: "Sepia", extends: "light", color: { background: "#f4ecd8" } })
+
+const base = {
+  space: {
+    xs: "4px",
+    sm: "8px",
+    md: "12px",
+    lg: "16px",
+    xl: "24px",
+  },
+  font: {
+    family: "system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif",
+    mono: "ui-monospace, SFMono-Regular, Menlo, monospace",
+    sizeSm: "13px",
+    sizeMd: "16px",
+    sizeLg: "20px",
+    sizeXl: "28px",
+    lineHeight: "1.5",
+  },
+  radius: {
+    sm: "4px",
+    md: "8px",
+    pill: "999px",
+  },
+};
+
+export const builtInThemes = {
+  light: {
+    label: "Light",
+    scheme: "light",
+    ...base,
+    color: {
+      background: "#ffffff",
+      surface: "#ffffff",
+      surfaceAlt: "#f8f9fa",
+      text: "#212529",
+      textMuted: "#666666",
+      border: "#dddddd",
+      primary: "#007bff",
+      onPrimary: "#ffffff",
+      primarySubtle: "#e7f1ff",
+      danger: "#dc3545",
+      success: "#28a745",
+      warning: "#ffc107",
+      focus: "#80bdff",
+    },
+    shadow: {
+      popup: "0 4px 12px rgba(0, 0, 0, 0.15)",
+    },
+  },
+  dark: {
+    label: "Dark",
+    scheme: "dark",
+    ...base,
+    color: {
+      background: "#121212",
+      surface: "#1e1e1e",
+      surfaceAlt: "#2a2a2a",
+      text: "#e9ecef",
+      textMuted: "#a0a0a0",
+      border: "#3a3a3a",
+      primary: "#4dabf7",
+      onPrimary: "#0b1a2a",
+      primarySubtle: "#1c3450",
+      danger: "#ff6b6b",
+      success: "#51cf66",
+      warning: "#ffd43b",
+      focus: "#74c0fc",
+    },
+    shadow: {
+      popup: "0 4px 12px rgba(0, 0, 0, 0.6)",
+    },
+  },
+  "high-contrast": {
+    label: "High contrast",
+    scheme: "dark",
+    ...base,
+    color: {
+      background: "#000000",
+      surface: "#000000",
+      surfaceAlt: "#000000",
+      text: "#ffffff",
+      textMuted: "#ffffff",
+      border: "#ffffff",
+      primary: "#ffff00",
+      onPrimary: "#000000",
+      primarySubtle: "#333300",
+      danger: "#ff4d4d",
+      success: "#00ff7f",
+      warning: "#ffff00",
+      focus: "#00ffff",
+    },
+    shadow: {
+      popup: "0 0 0 2px #ffffff",
+    },
+  },
+};
+
+// Fills in everything a theme leaves out from the theme it extends
+// (light by default). `themes` is where to look the parent up.
+export const createTheme = (definition, themes = builtInThemes) => {
+  const parent = themes[definition.extends ?? "light"] ?? builtInThemes.light;
+  const theme = { ...parent, label: definition.label ?? parent.label, scheme: definition.scheme ?? parent.scheme };
+  for (const group of ["space", "font", "radius", "color", "shadow"]) {
+    theme[group] = { ...parent[group], ...definition[group] };
+  }
+  return theme;
+};
+
+const kebab = (name) => name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+const GROUPS = ["color", "space", "font", "radius", "shadow"];
+
+// { "--color-text": "#212529", "--space-md": "12px", ... }
+export const toCssVariables = (theme) =>
+  Object.fromEntries(
+    GROUPS.flatMap((group) =>
+      Object.entries(theme[group]).map(([name, value]) => [`--${kebab(group)}-${kebab(name)}`, value])
+    )
+  );
+
+// vars.color.text === "var(--color-text)"
+export const vars = Object.fromEntries(
+  GROUPS.map((group) => [
+    group,
+    Object.fromEntries(
+      Object.keys(builtInThemes.light[group]).map((name) => [name, `var(--${kebab(group)}-${kebab(name)})`])
+    ),
+  ])
+);
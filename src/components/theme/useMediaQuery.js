@@ -0,0 +1,24 @@
+// useMediaQuery - whether a CSS media query matches, kept up to date.
+//
+// const prefersDark = useMediaQuery("(prefers-color-scheme: dark)");
+
+import { useEffect, useState } from "react";
+
+const matches = (query) => window.matchMedia?.(query).matches ?? false;
+
+const useMediaQuery = (query) => {
+  const [matched, setMatched] = useState(() => matches(query));
+
+  useEffect(() => {
+    const list = window.matchMedia?.(query);
+    if (!list) return;
+    const update = () => setMatched(list.matches);
+    update();
+    list.addEventListener("change", update);
+    return () => list.removeEventListener("change", update);
+  }, [query]);
+
+  return matched;
+};
+
+export default useMediaQuery;
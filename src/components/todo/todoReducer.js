@@ -0,0 +1,114 @@
+// Todo state with undo/redo.
+//
+// State shape:
+//   past:    earlier todo lists, oldest first
+//   present: the current todo list
+//   future:  lists that were undone, next redo first
+//
+// Every change to the list (add, edit, remove, toggle, clear completed) moves
+// the current list into `past`, so each one can be undone on its own.
+
+import { createTodo } from "./todoStorage";
+
+export const HISTORY_LIMIT = 50;
+
+export const PRIORITIES = ["low", "medium", "high"];
+
+export const FILTERS = {
+  all: () => true,
+  active: (todo) => !todo.completed,
+  completed: (todo) => todo.completed,
+  overdue: (todo, today) => !todo.completed && !!todo.dueDate && todo.dueDate < today,
+};
+
+// "YYYY-MM-DD" in local time, the same format <input type="date"> gives
+export const todayString = (date = new Date()) => {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// "work, home ,work" -> ["work", "home"]
+export const parseTags = (text) => [
+  ...new Set(
+    text
+      .split(",")
+      .map((tag) => tag.trim())
+      .filter(Boolean)
+  ),
+];
+
+export const createInitialState = (todos = []) => ({
+  past: [],
+  present: todos,
+  future: [],
+});
+
+// Tags are arrays, so a fresh copy with the same tags is no change
+const sameValue = (a, b) =>
+  Array.isArray(a) && Array.isArray(b)
+    ? a.length === b.length && a.every((item, i) => item === b[i])
+    : a === b;
+
+const changesTodo = (todo, changes) =>
+  Object.entries(changes).some(([key, value]) => !sameValue(todo[key], value));
+
+// Reducer for the list itself; returns the same array when nothing changed,
+// so no empty undo step is recorded
+const todosReducer = (todos, action) => {
+  switch (action.type) {
+    case "ADD":
+      return [...todos, createTodo(action.payload)];
+    case "UPDATE": {
+      const { id, changes } = action.payload;
+      const target = todos.find((todo) => todo.id === id);
+      if (!target || !changesTodo(target, changes)) return todos;
+      return todos.map((todo) => (todo === target ? { ...todo, ...changes } : todo));
+    }
+    case "REMOVE":
+      return todos.some((todo) => todo.id === action.payload)
+        ? todos.filter((todo) => todo.id !== action.payload)
+        : todos;
+    case "TOGGLE":
+      return todos.some((todo) => todo.id === action.payload)
+        ? todos.map((todo) =>
+            todo.id === action.payload ? { ...todo, completed: !todo.completed } : todo
+          )
+        : todos;
+    case "CLEAR_COMPLETED":
+      return todos.some((todo) => todo.completed)
+        ? todos.filter((todo) => !todo.completed)
+        : todos;
+    default:
+      return todos;
+  }
+};
+
+export const todoReducer = (state, action) => {
+  switch (action.type) {
+    case "UNDO": {
+      if (state.past.length === 0) return state;
+      return {
+        past: state.past.slice(0, -1),
+        present: state.past[state.past.length - 1],
+        future: [state.present, ...state.future],
+      };
+    }
+    case "REDO": {
+      if (state.future.length === 0) return state;
+      return {
+        past: [...state.past, state.present],
+        present: state.future[0],
+        future: state.future.slice(1),
+      };
+    }
+    default: {
+      const present = todosReducer(state.present, action);
+      if (present === state.present) return state;
+      return {
+        past: [...state.past, state.present].slice(-HISTORY_LIMIT),
+        present,
+        future: [], // a new change makes the undone ones unreachable
+      };
+    }
+  }
+};
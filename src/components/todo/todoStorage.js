@@ -0,0 +1,76 @@
+// localStorage persistence for the Todo list, with a schema version so the
+// saved shape can change without breaking lists people already have.
+//
+// Saved value: { version: 1, todos: [...] }
+// To change the todo shape: bump STORAGE_VERSION and add a migration from the
+// previous version. Migrations run in order on load.
+
+export const STORAGE_KEY = "todo-app";
+export const STORAGE_VERSION = 1;
+
+let lastId = 0;
+// Unique even when two todos are created in the same millisecond
+export const createId = () => {
+  lastId = Math.max(Date.now(), lastId + 1);
+  return String(lastId);
+};
+
+export const createTodo = ({ text, priority = "medium", dueDate = "", tags = [] }) => ({
+  id: createId(),
+  text,
+  completed: false,
+  priority,
+  dueDate,
+  tags,
+  createdAt: new Date().toISOString(),
+});
+
+// migrations[n] turns data saved with version n into version n + 1
+const migrations = {
+  // version 0: a bare array of strings, the original Todo's state
+  0: (saved) => ({
+    version: 1,
+    todos: saved.map((item) =>
+      typeof item === "string" ? createTodo({ text: item }) : item
+    ),
+  }),
+};
+
+const versionOf = (saved) => (Array.isArray(saved) ? 0 : saved.version);
+
+export const migrate = (saved) => {
+  let data = saved;
+  while (versionOf(data) < STORAGE_VERSION) {
+    data = migrations[versionOf(data)](data);
+  }
+  return data.todos;
+};
+
+export const loadTodos = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return [];
+    const saved = JSON.parse(raw);
+    const version = versionOf(saved);
+    if (typeof version !== "number" || version > STORAGE_VERSION) {
+      // Unknown shape, or saved by a newer version of the app: do not guess
+      console.warn(`Ignoring todos saved with unknown version ${version}`);
+      return [];
+    }
+    return migrate(saved);
+  } catch (err) {
+    console.error("Could not load todos:", err);
+    return [];
+  }
+};
+
+export const saveTodos = (todos) => {
+  try {
+    localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({ version: STORAGE_VERSION, todos })
+    );
+  } catch (err) {
+    console.error("Could not save todos:", err);
+  }
+};
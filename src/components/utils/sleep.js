@@ -0,0 +1,23 @@
+// sleep - waits ms milliseconds, like a slow server or a debounce would.
+//
+//   await sleep(500);
+//   await sleep(mockApi.latency, signal); // rejects with an AbortError if signal aborts
+
+const abortError = () => new DOMException("The request was aborted", "AbortError");
+
+export const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(abortError());
+      },
+      { once: true }
+    );
+  });
@@ -1,4 +1,6 @@
-import React, { createContext, useContext, useState } from 'react';
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { useTheme as useAppTheme } from '../../components/theme/themeContext';
+import { vars } from '../../components/theme/tokens';
 
 /**
  * Theme Context - Example Context for useContext learning
@@ -7,34 +9,45 @@ import React, { createContext, useContext, useState } from 'react';
  * 1. Creating a context
  * 2. Providing context value
  * 3. Consuming context with useContext
+ *
+ * The colors themselves come from the app-wide ThemeProvider
+ * (components/theme), so switching theme here switches the whole app.
+ * This provider adds the lesson's own settings (font size, language) and
+ * registers one extra theme, "blue".
  */
 
+// A custom theme: only what differs from the light one
+const blueTheme = {
+  label: 'Blue',
+  extends: 'light',
+  color: {
+    background: '#ebf8ff',
+    surface: '#ebf8ff',
+    text: '#2b6cb0',
+    border: '#90cdf4'
+  }
+};
+
 // 1. CREATE CONTEXT
 export const ThemeContext = createContext();
 
 // 2. CREATE PROVIDER COMPONENT
 export const ThemeProvider = ({ children }) => {
-  const [theme, setTheme] = useState('light');
+  const { theme, setTheme, registerTheme } = useAppTheme();
   const [fontSize, setFontSize] = useState('medium');
   const [language, setLanguage] = useState('en');
 
-  // Theme configurations
-  const themes = {
-    light: {
-      backgroundColor: '#ffffff',
-      color: '#333333',
-      borderColor: '#dddddd'
-    },
-    dark: {
-      backgroundColor: '#2d3748',
-      color: '#ffffff',
-      borderColor: '#4a5568'
-    },
-    blue: {
-      backgroundColor: '#ebf8ff',
-      color: '#2b6cb0',
-      borderColor: '#90cdf4'
-    }
+  useEffect(() => {
+    registerTheme('blue', blueTheme);
+  }, [registerTheme]);
+
+  const themeOrder = ['light', 'dark', 'blue'];
+
+  // CSS variables, so these follow whichever theme is active
+  const currentTheme = {
+    backgroundColor: vars.color.surface,
+    color: vars.color.text,
+    borderColor: vars.color.border
   };
 
   const fontSizes = {
@@ -45,7 +58,6 @@ export const ThemeProvider = ({ children }) => {
   };
 
   const toggleTheme = () => {
-    const themeOrder = ['light', 'dark', 'blue'];
     const currentIndex = themeOrder.indexOf(theme);
     const nextIndex = (currentIndex + 1) % themeOrder.length;
     setTheme(themeOrder[nextIndex]);
@@ -67,7 +79,7 @@ export const ThemeProvider = ({ children }) => {
     language,
     
     // Computed values
-    currentTheme: themes[theme],
+    currentTheme,
     currentFontSize: fontSizes[fontSize],
     
     // Actions
@@ -76,7 +88,7 @@ export const ThemeProvider = ({ children }) => {
     updateLanguage,
     
     // Available options
-    availableThemes: Object.keys(themes),
+    availableThemes: themeOrder,
     availableFontSizes: Object.keys(fontSizes),
     availableLanguages: ['en', 'es', 'fr', 'de']
   };
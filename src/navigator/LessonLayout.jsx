@@ -0,0 +1,86 @@
+// LessonLayout - the navigator shell: a sidebar of every lesson grouped by
+// folder, and the current lesson as children.
+
+import ShellLink from "./ShellLink";
+import { sections } from "./lessons";
+import { vars } from "../components/theme/tokens";
+
+const styles = {
+  layout: {
+    display: "flex",
+    minHeight: "100vh",
+  },
+  sidebar: {
+    width: "260px",
+    flexShrink: 0,
+    height: "100vh",
+    position: "sticky",
+    top: 0,
+    overflowY: "auto",
+    padding: "16px",
+    borderRight: `1px solid ${vars.color.border}`,
+    boxSizing: "border-box",
+  },
+  sectionTitle: {
+    margin: "16px 0 8px",
+    fontSize: "0.8em",
+    textTransform: "uppercase",
+    letterSpacing: "0.05em",
+    color: vars.color.textMuted,
+  },
+  list: {
+    listStyle: "none",
+    margin: 0,
+    padding: 0,
+  },
+  link: {
+    display: "block",
+    padding: "4px 8px",
+    borderRadius: "4px",
+    textDecoration: "none",
+    color: "inherit",
+  },
+  activeLink: {
+    backgroundColor: vars.color.primary,
+    color: vars.color.onPrimary,
+  },
+  content: {
+    flex: 1,
+    minWidth: 0,
+    padding: "16px",
+  },
+};
+
+const LessonLayout = ({ children }) => {
+  return (
+    <div style={styles.layout}>
+      <nav style={styles.sidebar} aria-label="Lessons">
+        <h2 style={{ margin: 0 }}>Lessons</h2>
+        {sections.map((section) => (
+          <div key={section.id}>
+            <h3 style={styles.sectionTitle}>{section.title}</h3>
+            <ul style={styles.list}>
+              {section.lessons.map((item) => (
+                <li key={item.id}>
+                  <ShellLink
+                    to={`/${section.id}/${item.id}`}
+                    style={({ isActive }) =>
+                      isActive ? { ...styles.link, ...styles.activeLink } : styles.link
+                    }
+                  >
+                    {item.title}
+                  </ShellLink>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </nav>
+      <main style={styles.content}>
+        {children}
+      </main>
+    </div>
+  );
+};
+
+export default LessonLayout;
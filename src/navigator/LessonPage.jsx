@@ -0,0 +1,90 @@
+// LessonPage - renders the lesson named in the URL with prev/next navigation.
+
+import { Component as ReactComponent, Suspense } from "react";
+import ShellLink from "./ShellLink";
+import { LessonBaseContext, usePathname } from "./shellHistory";
+import { lessons, findLessonIndex } from "./lessons";
+import { vars } from "../components/theme/tokens";
+
+const styles = {
+  pager: {
+    display: "flex",
+    justifyContent: "space-between",
+    gap: "16px",
+    padding: "8px 0",
+    borderBottom: `1px solid ${vars.color.border}`,
+    marginBottom: "16px",
+  },
+};
+
+const LessonPager = ({ index }) => {
+  const prev = lessons[index - 1];
+  const next = lessons[index + 1];
+
+  return (
+    <div style={styles.pager}>
+      {prev ? <ShellLink to={prev.path}>← {prev.title}</ShellLink> : <span />}
+      <span>
+        {index + 1} / {lessons.length}
+      </span>
+      {next ? <ShellLink to={next.path}>{next.title} →</ShellLink> : <span />}
+    </div>
+  );
+};
+
+// A lesson that throws only takes down its own page
+class LessonErrorBoundary extends ReactComponent {
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  render() {
+    const { error } = this.state;
+    if (!error) return this.props.children;
+    return (
+      <div>
+        <h2>This lesson crashed</h2>
+        <pre style={{ color: vars.color.danger, whiteSpace: "pre-wrap" }}>
+          {error?.message || String(error)}
+        </pre>
+      </div>
+    );
+  }
+}
+
+const LessonPage = ({ sectionId, lessonId }) => {
+  const pathname = usePathname();
+  const index = findLessonIndex(sectionId, lessonId);
+
+  if (index === -1) {
+    return (
+      <div>
+        <h2>Lesson not found</h2>
+        <p>
+          There is no lesson at {pathname}.{" "}
+          <ShellLink to={lessons[0].path}>Start from the first lesson</ShellLink>
+        </p>
+      </div>
+    );
+  }
+
+  const { Component, path } = lessons[index];
+
+  return (
+    <div>
+      <LessonPager index={index} />
+      {/* key remounts the lesson so its state never leaks into the next one */}
+      <LessonErrorBoundary key={path}>
+        <LessonBaseContext.Provider value={path}>
+          <Suspense fallback={<p>Loading lesson...</p>}>
+            <Component />
+          </Suspense>
+        </LessonBaseContext.Provider>
+      </LessonErrorBoundary>
+    </div>
+  );
+};
+
+export default LessonPage;
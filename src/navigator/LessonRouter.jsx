@@ -0,0 +1,34 @@
+// LessonRouter - lets a lesson that brings its own router run both on its own
+// and inside the lesson navigator.
+//
+// <LessonRouter><Routes>...</Routes></LessonRouter>  BrowserRouter
+// <LessonRouter routes={routes} />                   createBrowserRouter + RouterProvider
+//
+// On its own it is exactly what the lesson used before, at the root of the
+// site. Inside the navigator the lesson's path (/routing-learning/basic-routing)
+// is the router's basename: the lesson's absolute links ("/about",
+// "/dashboard") stay inside it, deep links and reloads work, and the browser's
+// back button walks through the lesson's history. The navigator itself is not
+// a React Router app (see shellHistory), so this is the only router on the page.
+
+import { useContext, useState } from "react";
+import { BrowserRouter, RouterProvider, createBrowserRouter } from "react-router-dom";
+import { LessonBaseContext } from "./shellHistory";
+
+// Data routers are created once per mount, like a module-level router would be
+const DataLessonRouter = ({ routes, basename }) => {
+  const [router] = useState(() => createBrowserRouter(routes, { basename }));
+  return <RouterProvider router={router} />;
+};
+
+const LessonRouter = ({ routes, children }) => {
+  const basename = useContext(LessonBaseContext) ?? undefined;
+
+  return routes ? (
+    <DataLessonRouter routes={routes} basename={basename} />
+  ) : (
+    <BrowserRouter basename={basename}>{children}</BrowserRouter>
+  );
+};
+
+export default LessonRouter;
@@ -0,0 +1,39 @@
+// Links between lessons. Like React Router's NavLink, style may be a function
+// of { isActive }; ctrl/cmd-click and middle-click still open a new tab.
+
+import { useLayoutEffect } from "react";
+import { navigateShell, usePathname } from "./shellHistory";
+
+const isPlainClick = (e) =>
+  e.button === 0 && !e.metaKey && !e.ctrlKey && !e.shiftKey && !e.altKey;
+
+const ShellLink = ({ to, style, children, ...props }) => {
+  const pathname = usePathname();
+  const isActive = pathname === to || pathname.startsWith(`${to}/`);
+
+  return (
+    <a
+      {...props}
+      href={to}
+      aria-current={isActive ? "page" : undefined}
+      style={typeof style === "function" ? style({ isActive }) : style}
+      onClick={(e) => {
+        if (!isPlainClick(e)) return;
+        e.preventDefault();
+        navigateShell(to);
+      }}
+    >
+      {children}
+    </a>
+  );
+};
+
+// Replaces the current URL, like <Navigate replace />
+export const ShellRedirect = ({ to }) => {
+  useLayoutEffect(() => {
+    navigateShell(to, { replace: true });
+  }, [to]);
+  return null;
+};
+
+export default ShellLink;
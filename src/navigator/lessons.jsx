@@ -0,0 +1,167 @@
+// Lesson registry - every demo in the repo, grouped by the folder it lives in.
+// Each lesson gets its own route (/:sectionId/:lessonId) in the navigator, and
+// the order here is the order of the prev/next buttons.
+//
+// Lessons are lazy so that one broken demo only breaks its own page.
+// Not listed (they do not parse yet): hooks-learning/08-customHooks/CustomHooksExample,
+// rtk-learning/04-async-thunks/AsyncThunksExample and
+// rtk-learning/10-advanced-rtk/AdvancedRTKExample.
+
+import { lazy } from "react";
+import { Provider } from "react-redux";
+import LessonRouter from "./LessonRouter";
+
+const lesson = (id, title, load) => ({ id, title, Component: lazy(load) });
+
+export const sections = [
+  {
+    id: "components",
+    title: "Components",
+    lessons: [
+      lesson("counter", "Counter", () => import("../components/Counter")),
+      lesson("search-filter", "Search Filter", () => import("../components/SearchFilter")),
+      lesson("todo", "Todo", () => import("../components/Todo")),
+      lesson("modal", "Modal", () => import("../components/Model")),
+      lesson("debounced-input", "Debounced Input", () => import("../components/DebouncedInput")),
+      lesson("tabs", "Tabs", () => import("../components/Tabs")),
+      lesson("fetch-users", "Fetch Users", () => import("../components/FetchUsers")),
+      lesson("stopwatch", "StopWatch", () => import("../components/StopWatch")),
+      lesson("login-form", "Login Form", () => import("../components/LoginForm")),
+      lesson("theme-toggle", "Theme Toggle", () => import("../components/ThemeToggle")),
+      lesson("pagination", "Pagination", () => import("../components/Pagination")),
+      lesson("drag-and-drop", "Drag and Drop", () => import("../components/DragAndDrop")),
+      lesson("accordion", "Accordion", () => import("../components/Accordion")),
+      lesson("infinite-scroll", "Infinite Scroll", () => import("../components/InfiniteScroll")),
+      lesson("react-memo", "React.memo (ParentComponent)", () => import("../components/ParentComponent")),
+      lesson("calculator", "Calculator", () => import("../components/Calculator")),
+      lesson("higher-order-component", "Higher Order Component (withAuth)", () =>
+        import("../components/higherOrderComo/AuthDemo")
+      ),
+      lesson("context-api", "Context API", () =>
+        Promise.all([
+          import("../components/contextApi/Navbar"),
+          import("../components/contextApi/Main"),
+        ]).then(([navbar, main]) => ({
+          default: function ContextApiLesson() {
+            return (
+              <>
+                <navbar.default />
+                <main.default />
+              </>
+            );
+          },
+        }))
+      ),
+      lesson("custom-hook", "Custom Hook (useFetch)", () => import("../components/customHook/Master")),
+      lesson("routing", "Routing", () =>
+        import("../components/routing/MainComp").then(({ default: MainCompo }) => ({
+          default: function RoutingLesson() {
+            return (
+              <LessonRouter>
+                <MainCompo />
+              </LessonRouter>
+            );
+          },
+        }))
+      ),
+      lesson("create-browser-router", "Routing with createBrowserRouter", () =>
+        import("../components/routingWithCreateBrowserRouter/router").then(({ routes }) => ({
+          default: function CreateBrowserRouterLesson() {
+            return <LessonRouter routes={routes} />;
+          },
+        }))
+      ),
+    ],
+  },
+  {
+    id: "hooks-learning",
+    title: "Hooks Learning",
+    lessons: [
+      lesson("use-state", "useState", () => import("../hooks-learning/01-useState/UseStateExample")),
+      lesson("use-state-practice", "useState Practice", () => import("../hooks-learning/01-useState/UseStatePractice")),
+      lesson("lazy-initialization", "Lazy Initialization", () => import("../hooks-learning/01-useState/LazyInitializationDemo")),
+      lesson("use-effect", "useEffect", () => import("../hooks-learning/02-useEffect/UseEffectExample")),
+      lesson("use-effect-practice", "useEffect Practice", () => import("../hooks-learning/02-useEffect/UseEffectPractice")),
+      lesson("cleanup", "Cleanup", () => import("../hooks-learning/02-useEffect/CleanupDemo")),
+      lesson("event-listeners", "Event Listeners", () => import("../hooks-learning/02-useEffect/EventListenerExplanation")),
+      lesson("data-fetching", "Data Fetching", () => import("../hooks-learning/02-useEffect/DataFetchingDemo")),
+      lesson("debounce", "Debounce", () => import("../hooks-learning/02-useEffect/DebounceDemo")),
+      lesson("use-context", "useContext", () => import("../hooks-learning/03-useContext/UseContextExample")),
+      lesson("use-reducer", "useReducer", () => import("../hooks-learning/04-useReducer/UseReducerExample")),
+      lesson("use-reducer-simple", "useReducer Simple Explanation", () => import("../hooks-learning/04-useReducer/UseReducerSimpleExplanation")),
+      lesson("use-reducer-analogy", "useReducer Analogy", () => import("../hooks-learning/04-useReducer/UseReducerAnalogy")),
+      lesson("use-reducer-practice", "useReducer Practice", () => import("../hooks-learning/04-useReducer/UseReducerPractice")),
+      lesson("use-callback", "useCallback", () => import("../hooks-learning/05-useCallback/UseCallbackExample")),
+      lesson("use-callback-practice", "useCallback Practice", () => import("../hooks-learning/05-useCallback/UseCallbackPractice")),
+      lesson("use-memo", "useMemo", () => import("../hooks-learning/06-useMemo/UseMemoExample")),
+      lesson("use-ref", "useRef", () => import("../hooks-learning/07-useRef/UseRefExample")),
+      lesson("custom-hooks", "Custom Hooks Basics", () => import("../hooks-learning/08-customHooks/CustomHooksBasics")),
+      lesson("custom-hooks-practice", "Custom Hooks Practice", () => import("../hooks-learning/08-customHooks/CustomHooksPractice")),
+    ],
+  },
+  {
+    id: "rtk-learning",
+    title: "RTK Learning",
+    lessons: [
+      lesson("rtk-basics", "RTK Basics", () => import("../rtk-learning/01-rtk-basics/RTKBasicsExample")),
+      lesson("slices", "Slices", () => import("../rtk-learning/03-slices/SlicesExample")),
+      lesson("async-thunks-practice", "Async Thunks Practice", () => import("../rtk-learning/04-async-thunks/AsyncThunksPractice")),
+      lesson("rtk-query", "RTK Query", () => import("../rtk-learning/05-rtk-query/RTKQueryExample")),
+      lesson("advanced-patterns", "Advanced Patterns", () => import("../rtk-learning/06-advanced-patterns/AdvancedPatternsExample")),
+      lesson("middleware", "Middleware", () => import("../rtk-learning/07-middleware/MiddlewareExample")),
+      lesson("testing", "Testing", () => import("../rtk-learning/08-testing/TestingExample")),
+      lesson("real-world-patterns", "Real World Patterns", () => import("../rtk-learning/09-real-world-patterns/RealWorldExample")),
+    ],
+  },
+  {
+    id: "routing-learning",
+    title: "Routing Learning",
+    lessons: [
+      lesson("routing-basics", "Routing Basics", () => import("../routing-learning/01-routing-basics/RoutingBasicsExample")),
+      lesson("basic-routing", "Basic Routing", () => import("../routing-learning/02-basic-routing/BasicRoutingExample")),
+      lesson("basic-routing-practice", "Basic Routing Practice", () => import("../routing-learning/02-basic-routing/BasicRoutingPractice")),
+      lesson("route-parameters", "Route Parameters", () => import("../routing-learning/03-route-parameters/RouteParametersExample")),
+      lesson("nested-routing", "Nested Routing", () => import("../routing-learning/04-nested-routing/NestedRoutingExample")),
+      lesson("navigation-hooks", "Navigation Hooks", () => import("../routing-learning/05-navigation-hooks/NavigationHooksExample")),
+      lesson("route-guards", "Route Guards", () => import("../routing-learning/06-route-guards/RouteGuardsExample")),
+      lesson("data-loading", "Data Loading", () => import("../routing-learning/08-data-loading/DataLoadingExample")),
+    ],
+  },
+  {
+    id: "reduxToolkit",
+    title: "Redux Toolkit",
+    lessons: [
+      lesson("posts", "Posts (createAsyncThunk)", () =>
+        Promise.all([
+          import("../reduxToolkit/store"),
+          import("../reduxToolkit/PostsList"),
+          import("../reduxToolkit/persist/PersistGate"),
+        ]).then(([{ store, persistor }, postsList, persistGate]) => ({
+          default: function PostsLesson() {
+            return (
+              <Provider store={store}>
+                <persistGate.default persistor={persistor} loading={<p>Loading saved posts...</p>}>
+                  <postsList.default />
+                </persistGate.default>
+              </Provider>
+            );
+          },
+        }))
+      ),
+    ],
+  },
+];
+
+// Flat list in navigation order, each lesson knowing its section and URL
+export const lessons = sections.flatMap((section) =>
+  section.lessons.map((item) => ({
+    ...item,
+    sectionId: section.id,
+    path: `/${section.id}/${item.id}`,
+  }))
+);
+
+export const findLessonIndex = (sectionId, lessonId) =>
+  lessons.findIndex(
+    (item) => item.sectionId === sectionId && item.id === lessonId
+  );
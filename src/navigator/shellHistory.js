@@ -0,0 +1,55 @@
+// shellHistory - the navigator's view of the address bar.
+//
+// The shell is not a React Router app: a lesson with routes of its own owns
+// the one router on the page, mounted at the lesson's path (see
+// LessonRouter). The shell only needs the first two segments of the URL,
+// /:sectionId/:lessonId, and moves between lessons with the History API.
+//
+//   const { sectionId, lessonId } = useLessonLocation();
+//   navigateShell("/components/todo");
+
+import { createContext, useSyncExternalStore } from "react";
+
+// The path of the lesson being shown ("/routing-learning/basic-routing"), or
+// null when a lesson runs on its own
+export const LessonBaseContext = createContext(null);
+
+const listeners = new Set();
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  // back/forward, including out of a lesson's own history
+  window.addEventListener("popstate", listener);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener("popstate", listener);
+  };
+};
+
+const getPathname = () => window.location.pathname;
+
+export const navigateShell = (path, { replace = false } = {}) => {
+  window.history[replace ? "replaceState" : "pushState"](null, "", path);
+  listeners.forEach((listener) => listener());
+};
+
+// A malformed segment ("%E0%A4") is kept as it is: it matches no lesson, so
+// the page says "Lesson not found" instead of the shell failing
+const decodeSegment = (segment) => {
+  if (segment === undefined) return undefined;
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+};
+
+// Only the first two segments are the shell's; the rest is the lesson's
+export const parseLessonPath = (pathname) => {
+  const [sectionId, lessonId] = pathname.split("/").filter(Boolean);
+  return { sectionId: decodeSegment(sectionId), lessonId: decodeSegment(lessonId) };
+};
+
+export const usePathname = () => useSyncExternalStore(subscribe, getPathname);
+
+export const useLessonLocation = () => parseLessonPath(usePathname());
@@ -0,0 +1,84 @@
+import { useDispatch, useSelector } from 'react-redux';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import {
+  deletePost,
+  isTempId,
+  postErrorDismissed,
+  selectPostById,
+  selectPostStatus,
+  toPostId,
+} from './postsSlice';
+import { vars } from '../components/theme/tokens';
+
+const styles = {
+  meta: {
+    color: vars.color.textMuted,
+    fontSize: vars.font.sizeSm,
+  },
+  body: {
+    whiteSpace: 'pre-wrap',
+  },
+  error: {
+    color: vars.color.danger,
+  },
+};
+
+const PENDING_LABELS = {
+  create: 'Publishing...',
+  update: 'Saving...',
+  delete: 'Deleting...',
+};
+
+// Shows a save or delete that failed, after it has been rolled back
+export const PostError = ({ id, error }) => {
+  const dispatch = useDispatch();
+  return (
+    <p role="alert" style={styles.error}>
+      Could not save the change: {error}{' '}
+      <button onClick={() => dispatch(postErrorDismissed(id))}>Dismiss</button>
+    </p>
+  );
+};
+
+const PostDetail = () => {
+  const { postId } = useParams();
+  const id = toPostId(postId);
+  const post = useSelector((state) => selectPostById(state, id));
+  const { pending, error } = useSelector((state) => selectPostStatus(state, id));
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+
+  if (!post) {
+    return (
+      <p>
+        {pending === 'delete' ? 'Deleting...' : 'Post not found.'} <Link to="/">Back to posts</Link>
+      </p>
+    );
+  }
+
+  const remove = () => {
+    dispatch(deletePost(id));
+    navigate('/');
+  };
+
+  return (
+    <article>
+      <Link to="/">Back to posts</Link>
+      <h2>{post.title}</h2>
+      <p style={styles.meta}>
+        Post #{isTempId(post.id) ? 'new' : post.id} by user {post.userId}
+        {pending && ` · ${PENDING_LABELS[pending]}`}
+      </p>
+      {error && <PostError id={id} error={error} />}
+      <p style={styles.body}>{post.body}</p>
+      <button onClick={() => navigate(`/posts/${id}/edit`)} disabled={Boolean(pending)}>
+        Edit
+      </button>{' '}
+      <button onClick={remove} disabled={Boolean(pending)}>
+        Delete
+      </button>
+    </article>
+  );
+};
+
+export default PostDetail;
@@ -0,0 +1,79 @@
+import { useDispatch, useSelector } from 'react-redux';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import Form from '../components/form/Form';
+import Field from '../components/form/Field';
+import useForm from '../components/form/useForm';
+import { addPost, selectPostById, selectPostStatus, toPostId, updatePost } from './postsSlice';
+
+// Creates a post (/posts/new) or edits one (/posts/:postId/edit). Both are
+// optimistic; editing goes straight back to the post, which shows "Saving..."
+// and rolls back with an error if the server refuses.
+
+const schema = {
+  title: { label: 'Title', required: true, maxLength: 120 },
+  body: { label: 'Body', required: true },
+  userId: { label: 'Author (user id)', required: true, min: 1, max: 10 },
+};
+
+const PostForm = ({ post, onSubmit, submitLabel }) => {
+  const form = useForm(
+    { title: post?.title ?? '', body: post?.body ?? '', userId: post?.userId ?? 1 },
+    schema
+  );
+
+  return (
+    <Form form={form} onSubmit={onSubmit}>
+      <Field name="title" />
+      <Field name="body" as="textarea" rows={6} />
+      <Field name="userId" type="number" min="1" max="10" />
+      {form.submitError && <p role="alert">{form.submitError}</p>}
+      <button type="submit" disabled={form.isSubmitting || (post && !form.isDirty)}>
+        {form.isSubmitting ? 'Saving...' : submitLabel}
+      </button>
+    </Form>
+  );
+};
+
+export const NewPost = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+
+  // Waits for the real id; a failure stays on the form with the text kept
+  const create = async (values) => {
+    const post = await dispatch(addPost({ ...values, userId: Number(values.userId) })).unwrap();
+    navigate(`/posts/${post.id}`);
+  };
+
+  return (
+    <div>
+      <Link to="/">Back to posts</Link>
+      <h2>New post</h2>
+      <PostForm onSubmit={create} submitLabel="Publish" />
+    </div>
+  );
+};
+
+export const EditPost = () => {
+  const { postId } = useParams();
+  const id = toPostId(postId);
+  const post = useSelector((state) => selectPostById(state, id));
+  const { pending } = useSelector((state) => selectPostStatus(state, id));
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+
+  if (!post) return <p>Post not found. <Link to="/">Back to posts</Link></p>;
+  if (pending) return <p>This post is being saved; try again in a moment.</p>;
+
+  const save = (values) => {
+    dispatch(updatePost({ id, changes: { ...values, userId: Number(values.userId) } }));
+    navigate(`/posts/${id}`);
+  };
+
+  return (
+    <div>
+      <Link to={`/posts/${id}`}>Cancel</Link>
+      <h2>Edit post</h2>
+      <PostForm post={post} onSubmit={save} submitLabel="Save" />
+    </div>
+  );
+};
@@ -1,26 +1,154 @@
-import React, { useEffect } from 'react';
+import { memo, useEffect, useState } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
-import { fetchPosts } from './postsSlice';
+import { Link, Route, Routes } from 'react-router-dom';
+import LessonRouter from '../navigator/LessonRouter';
+import {
+  deletePost,
+  fetchPosts,
+  selectAuthorIds,
+  selectPendingCount,
+  selectPostById,
+  selectPostCount,
+  selectPostStatus,
+  selectPostsByAuthor,
+} from './postsSlice';
+import mockPostsApi from './mockPostsApi';
+import PostDetail, { PostError } from './PostDetail';
+import { EditPost, NewPost } from './PostEditor';
+import { vars } from '../components/theme/tokens';
 
-const PostsList = () => {
+// The posts feature: list (/), detail (/posts/:postId), new and edit pages.
+// Posts come from mockPostsApi (see store.js); raise its failure rate below
+// to watch optimistic changes roll back.
+
+const styles = {
+  toolbar: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: vars.space.md,
+    alignItems: 'center',
+    marginBottom: vars.space.md,
+  },
+  list: {
+    listStyle: 'none',
+    padding: 0,
+  },
+  item: {
+    padding: `${vars.space.sm} 0`,
+    borderBottom: `1px solid ${vars.color.border}`,
+  },
+  pending: {
+    opacity: 0.6,
+  },
+  muted: {
+    color: vars.color.textMuted,
+    fontSize: vars.font.sizeSm,
+  },
+};
+
+// Memoized so only the rows whose post or status changed re-render
+const PostItem = memo(function PostItem({ id }) {
+  const post = useSelector((state) => selectPostById(state, id));
+  const { pending, error } = useSelector((state) => selectPostStatus(state, id));
   const dispatch = useDispatch();
-  const { posts, loading, error } = useSelector((state) => state.posts);
 
-  // Fetch posts when the component mounts
+  return (
+    <li style={{ ...styles.item, ...(pending && styles.pending) }}>
+      <Link to={`/posts/${id}`}>{post.title}</Link>{' '}
+      <span style={styles.muted}>user {post.userId}</span>{' '}
+      {pending ? (
+        <span style={styles.muted}>{pending === 'create' ? 'publishing...' : 'saving...'}</span>
+      ) : (
+        <button onClick={() => dispatch(deletePost(id))}>Delete</button>
+      )}
+      {error && <PostError id={id} error={error} />}
+    </li>
+  );
+});
+
+const FailureRate = () => {
+  const [rate, setRate] = useState(mockPostsApi.failureRate);
+  const change = (e) => {
+    mockPostsApi.failureRate = Number(e.target.value);
+    setRate(mockPostsApi.failureRate);
+  };
+  return (
+    <label style={styles.muted}>
+      Server failure rate{' '}
+      <select value={rate} onChange={change}>
+        <option value={0}>0%</option>
+        <option value={0.5}>50%</option>
+        <option value={1}>100%</option>
+      </select>
+    </label>
+  );
+};
+
+const Posts = () => {
+  const dispatch = useDispatch();
+  const [author, setAuthor] = useState('');
+  const { loading, error } = useSelector((state) => state.posts);
+  const total = useSelector(selectPostCount);
+  const authors = useSelector(selectAuthorIds);
+  const pendingCount = useSelector(selectPendingCount);
+  const posts = useSelector((state) => selectPostsByAuthor(state, author));
+
+  // Fetch posts when the component mounts; posts already in the store stay
+  // on screen (with any changes still in flight) while they are refreshed
   useEffect(() => {
     dispatch(fetchPosts());
   }, [dispatch]);
 
-  if (loading) return <p>Loading posts...</p>;
-  if (error) return <p>Error: {error}</p>;
+  if (loading && total === 0) return <p>Loading posts...</p>;
+  if (error) {
+    return (
+      <p>
+        Error: {error} <button onClick={() => dispatch(fetchPosts())}>Try again</button>
+      </p>
+    );
+  }
 
   return (
-    <ul>
-      {posts.map((post) => (
-        <li key={post.id}>{post.title}</li>
-      ))}
-    </ul>
+    <div>
+      <div style={styles.toolbar}>
+        <Link to="/posts/new">New post</Link>
+        <label>
+          Author{' '}
+          <select value={author} onChange={(e) => setAuthor(e.target.value)}>
+            <option value="">Everyone</option>
+            {authors.map((userId) => (
+              <option key={userId} value={userId}>
+                User {userId}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button onClick={() => dispatch(fetchPosts())} disabled={loading}>
+          {loading ? 'Refreshing...' : 'Refresh'}
+        </button>
+        <FailureRate />
+        <span style={styles.muted}>
+          {posts.length} of {total} posts{pendingCount > 0 && `, ${pendingCount} saving`}
+        </span>
+      </div>
+      <ul style={styles.list}>
+        {posts.map((post) => (
+          <PostItem key={post.id} id={post.id} />
+        ))}
+      </ul>
+    </div>
   );
 };
 
+const PostsList = () => (
+  <LessonRouter>
+    <Routes>
+      <Route path="/" element={<Posts />} />
+      <Route path="/posts/new" element={<NewPost />} />
+      <Route path="/posts/:postId" element={<PostDetail />} />
+      <Route path="/posts/:postId/edit" element={<EditPost />} />
+    </Routes>
+  </LessonRouter>
+);
+
 export default PostsList;
@@ -0,0 +1,249 @@
+import { useMemo, useRef, useState, useSyncExternalStore } from 'react';
+import { formatValue } from './diffState';
+import { vars } from '../../components/theme/tokens';
+
+// The recorded actions of a store (see createInspector): filter them by type
+// or slice, see what each one changed, replay one, pause recording, and save
+// or load a session as JSON.
+//
+// <ActionInspector inspector={inspector} />
+
+const styles = {
+  panel: {
+    border: `1px solid ${vars.color.border}`,
+    borderRadius: vars.radius.md,
+    background: vars.color.surface,
+    color: vars.color.text,
+    fontSize: vars.font.sizeSm,
+  },
+  toolbar: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: vars.space.sm,
+    alignItems: 'center',
+    padding: vars.space.sm,
+    borderBottom: `1px solid ${vars.color.border}`,
+  },
+  body: {
+    display: 'grid',
+    gridTemplateColumns: 'minmax(0, 1fr) minmax(0, 1fr)',
+    minHeight: '280px',
+  },
+  list: {
+    listStyle: 'none',
+    margin: 0,
+    padding: 0,
+    maxHeight: '360px',
+    overflowY: 'auto',
+    borderRight: `1px solid ${vars.color.border}`,
+  },
+  row: {
+    display: 'grid',
+    gridTemplateColumns: '90px 1fr auto',
+    gap: vars.space.sm,
+    width: '100%',
+    padding: `${vars.space.xs} ${vars.space.sm}`,
+    border: 'none',
+    background: 'transparent',
+    color: vars.color.text,
+    textAlign: 'left',
+    cursor: 'pointer',
+  },
+  selectedRow: {
+    background: vars.color.primarySubtle,
+  },
+  muted: {
+    color: vars.color.textMuted,
+  },
+  mono: {
+    fontFamily: vars.font.mono,
+  },
+  detail: {
+    padding: vars.space.sm,
+    overflow: 'auto',
+    maxHeight: '360px',
+  },
+  code: {
+    margin: 0,
+    padding: vars.space.sm,
+    background: vars.color.surfaceAlt,
+    borderRadius: vars.radius.sm,
+    fontFamily: vars.font.mono,
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-all',
+  },
+  added: {
+    color: vars.color.success,
+  },
+  removed: {
+    color: vars.color.danger,
+  },
+  error: {
+    color: vars.color.danger,
+  },
+};
+
+const formatTime = (time) => {
+  const date = new Date(time);
+  return `${date.toTimeString().slice(0, 8)}.${String(date.getMilliseconds()).padStart(3, '0')}`;
+};
+
+const DiffList = ({ changes }) => {
+  if (changes.length === 0) return <p style={styles.muted}>No state changes.</p>;
+  return (
+    <ul style={{ ...styles.mono, paddingLeft: vars.space.lg }}>
+      {changes.map((change) => (
+        <li key={change.path}>
+          <strong>{change.path}</strong>{' '}
+          {change.kind === 'added' && <span style={styles.added}>+ {formatValue(change.after)}</span>}
+          {change.kind === 'removed' && <span style={styles.removed}>- {formatValue(change.before)}</span>}
+          {change.kind === 'changed' && (
+            <>
+              <span style={styles.removed}>{formatValue(change.before)}</span> →{' '}
+              <span style={styles.added}>{formatValue(change.after)}</span>
+            </>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const download = (text, filename) => {
+  const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const ActionInspector = ({ inspector, title = 'Action inspector' }) => {
+  const { entries, recording } = useSyncExternalStore(inspector.subscribe, inspector.getSnapshot);
+  const [typeFilter, setTypeFilter] = useState('');
+  const [sliceFilter, setSliceFilter] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const fileInput = useRef(null);
+
+  const slices = useMemo(
+    () => [...new Set(entries.flatMap((entry) => entry.slices ?? []))].sort(),
+    [entries]
+  );
+
+  const visible = useMemo(() => {
+    const query = typeFilter.trim().toLowerCase();
+    return entries
+      .filter((entry) => !query || entry.action.type.toLowerCase().includes(query))
+      .filter((entry) => !sliceFilter || entry.slices?.includes(sliceFilter))
+      .reverse();
+  }, [entries, typeFilter, sliceFilter]);
+
+  const selected = entries.find((entry) => entry.id === selectedId);
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      inspector.importSession(await file.text());
+      setImportError(null);
+      setSelectedId(null);
+    } catch (err) {
+      setImportError(`Could not import ${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <section style={styles.panel} aria-label={title}>
+      <div style={styles.toolbar}>
+        <strong>{title}</strong>
+        <button onClick={recording ? inspector.pause : inspector.resume} aria-pressed={!recording}>
+          {recording ? 'Pause' : 'Record'}
+        </button>
+        <button onClick={inspector.clear} disabled={entries.length === 0}>
+          Clear
+        </button>
+        <button
+          onClick={() => download(inspector.exportSession(), `redux-session-${Date.now()}.json`)}
+          disabled={entries.length === 0}
+        >
+          Export
+        </button>
+        <button onClick={() => fileInput.current.click()}>Import</button>
+        <input ref={fileInput} type="file" accept="application/json,.json" hidden onChange={importFile} />
+        <input
+          type="search"
+          value={typeFilter}
+          onChange={(e) => setTypeFilter(e.target.value)}
+          placeholder="Filter by action type"
+          aria-label="Filter by action type"
+        />
+        <select value={sliceFilter} onChange={(e) => setSliceFilter(e.target.value)} aria-label="Filter by slice">
+          <option value="">All slices</option>
+          {slices.map((slice) => (
+            <option key={slice} value={slice}>
+              {slice}
+            </option>
+          ))}
+        </select>
+        <span style={styles.muted}>
+          {visible.length} of {entries.length}
+          {!recording && ' · paused'}
+        </span>
+      </div>
+      {importError && (
+        <p role="alert" style={{ ...styles.error, padding: `0 ${vars.space.sm}` }}>
+          {importError}
+        </p>
+      )}
+
+      <div style={styles.body}>
+        <ol style={styles.list} aria-label="Actions">
+          {visible.length === 0 && (
+            <li style={{ ...styles.muted, padding: vars.space.sm }}>
+              {entries.length === 0 ? 'No actions recorded yet.' : 'No actions match the filter.'}
+            </li>
+          )}
+          {visible.map((entry) => (
+            <li key={entry.id}>
+              <button
+                onClick={() => setSelectedId(entry.id)}
+                aria-current={entry.id === selectedId ? 'true' : undefined}
+                style={{ ...styles.row, ...(entry.id === selectedId && styles.selectedRow) }}
+              >
+                <span style={{ ...styles.mono, ...styles.muted }}>{formatTime(entry.time)}</span>
+                <span style={styles.mono}>{entry.action.type}</span>
+                <span style={styles.muted}>{entry.duration.toFixed(1)}ms</span>
+              </button>
+            </li>
+          ))}
+        </ol>
+
+        <div style={styles.detail}>
+          {selected ? (
+            <>
+              <p>
+                <strong style={styles.mono}>{selected.action.type}</strong>{' '}
+                <span style={styles.muted}>
+                  {selected.duration.toFixed(2)}ms
+                  {selected.slices?.length > 0 && ` · ${selected.slices.join(', ')}`}
+                  {selected.imported && ' · imported'}
+                </span>{' '}
+                <button onClick={() => inspector.replay(selected)}>Replay</button>
+              </p>
+              <h4>Action</h4>
+              <pre style={styles.code}>{JSON.stringify(selected.action, null, 2)}</pre>
+              <h4>State changes</h4>
+              <DiffList changes={inspector.diff(selected)} />
+            </>
+          ) : (
+            <p style={styles.muted}>Select an action to see what it changed.</p>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default ActionInspector;
@@ -0,0 +1,136 @@
+import { changedSlices, diffState } from './diffState';
+
+// createInspector - records the actions a store dispatches, for the
+// ActionInspector panel.
+//
+//   export const inspector = createInspector();
+//   const store = configureStore({
+//     reducer,
+//     middleware: (getDefaultMiddleware) => getDefaultMiddleware().concat(inspector.middleware),
+//   });
+//
+//   <ActionInspector inspector={inspector} />
+//
+// Add the middleware last, so thunks have already been turned into plain
+// actions and the duration is the reducers' (and subscribers') own time.
+//
+// Each entry: { id, action, time, duration, slices, diff } where slices are
+// the top-level keys the action changed and diff(entry) lists the changes
+// (see diffState). Only the last maxEntries are kept.
+//
+// Sessions can be saved with exportSession() (a JSON string) and loaded into
+// any inspector with importSession(json); imported entries keep their diffs
+// and can be replayed against the current store.
+
+const SESSION_VERSION = 1;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Entries from a file are only kept if the inspector can render them
+const isValidEntry = (entry) =>
+  typeof entry?.action?.type === 'string' && isNumber(entry.time) && isNumber(entry.duration);
+
+const isValidChange = (change) => typeof change?.path === 'string' && typeof change.kind === 'string';
+
+export const createInspector = ({ maxEntries = 200 } = {}) => {
+  let snapshot = { entries: [], recording: true };
+  let nextId = 1;
+  let dispatch = null;
+  const listeners = new Set();
+
+  const setSnapshot = (patch) => {
+    snapshot = { ...snapshot, ...patch };
+    listeners.forEach((listener) => listener());
+  };
+
+  const record = (entry) => {
+    setSnapshot({ entries: [...snapshot.entries, { id: nextId++, ...entry }].slice(-maxEntries) });
+  };
+
+  const middleware = (api) => {
+    dispatch = api.dispatch;
+    return (next) => (action) => {
+      if (!snapshot.recording || typeof action !== 'object' || action === null) return next(action);
+
+      const before = api.getState();
+      const start = performance.now();
+      const result = next(action);
+      const duration = performance.now() - start;
+      const after = api.getState();
+
+      record({ action, time: Date.now(), duration, slices: changedSlices(before, after), before, after });
+      return result;
+    };
+  };
+
+  // Diffs are worked out when first asked for, then kept on the entry
+  const diffs = new WeakMap();
+  const diff = (entry) => {
+    if (entry.diff) return entry.diff;
+    if (!diffs.has(entry)) diffs.set(entry, diffState(entry.before, entry.after));
+    return diffs.get(entry);
+  };
+
+  return {
+    middleware,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => snapshot,
+    diff,
+
+    pause: () => setSnapshot({ recording: false }),
+    resume: () => setSnapshot({ recording: true }),
+    clear: () => setSnapshot({ entries: [] }),
+
+    // Dispatches the entry's action again (recorded like any other)
+    replay: (entry) => {
+      if (!dispatch) throw new Error('The inspector middleware is not part of a store yet');
+      return dispatch(entry.action);
+    },
+
+    exportSession: () =>
+      JSON.stringify(
+        {
+          version: SESSION_VERSION,
+          exportedAt: new Date().toISOString(),
+          entries: snapshot.entries.map((entry) => ({
+            action: entry.action,
+            time: entry.time,
+            duration: entry.duration,
+            slices: entry.slices,
+            diff: diff(entry),
+          })),
+        },
+        null,
+        2
+      ),
+
+    // Replaces the recorded entries; throws if json is not an exported session.
+    // Entries without an action type, time or duration are left out.
+    importSession: (json) => {
+      const session = JSON.parse(json);
+      if (session?.version !== SESSION_VERSION || !Array.isArray(session.entries)) {
+        throw new Error('Not an inspector session');
+      }
+      const entries = session.entries.filter(isValidEntry);
+      if (entries.length === 0 && session.entries.length > 0) {
+        throw new Error('No valid entries in the session');
+      }
+      setSnapshot({
+        entries: entries
+          .map((entry) => ({
+            ...entry,
+            id: nextId++,
+            imported: true,
+            slices: Array.isArray(entry.slices) ? entry.slices.filter((slice) => typeof slice === 'string') : [],
+            diff: Array.isArray(entry.diff) ? entry.diff.filter(isValidChange) : [],
+          }))
+          .slice(-maxEntries),
+      });
+    },
+  };
+};
+
+export default createInspector;
@@ -0,0 +1,43 @@
+// What changed between two states, as a flat list:
+//
+//   diffState({ posts: { items: [a] } }, { posts: { items: [a, b] } })
+//   -> [{ path: 'posts.items.1', kind: 'added', after: b }]
+//
+// kind is 'added', 'removed' or 'changed' (with before and after). Subtrees
+// that are the same object are skipped, which makes this cheap for Redux
+// state: Immer only copies what a reducer changed.
+
+const isObject = (value) => value !== null && typeof value === 'object';
+
+export const diffState = (before, after, { maxChanges = 100 } = {}) => {
+  const changes = [];
+
+  const walk = (a, b, path) => {
+    if (a === b || changes.length >= maxChanges) return;
+    if (isObject(a) && isObject(b) && Array.isArray(a) === Array.isArray(b)) {
+      new Set([...Object.keys(a), ...Object.keys(b)]).forEach((key) => {
+        const keyPath = [...path, key];
+        if (!(key in b)) changes.push({ path: keyPath.join('.'), kind: 'removed', before: a[key] });
+        else if (!(key in a)) changes.push({ path: keyPath.join('.'), kind: 'added', after: b[key] });
+        else walk(a[key], b[key], keyPath);
+      });
+      return;
+    }
+    changes.push({ path: path.join('.') || '(state)', kind: 'changed', before: a, after: b });
+  };
+
+  walk(before, after, []);
+  return changes.slice(0, maxChanges);
+};
+
+// The top-level keys (slices) whose state changed
+export const changedSlices = (before, after) =>
+  isObject(before) && isObject(after)
+    ? Object.keys({ ...before, ...after }).filter((key) => before[key] !== after[key])
+    : [];
+
+export const formatValue = (value, maxLength = 80) => {
+  if (value === undefined) return 'undefined';
+  const text = JSON.stringify(value) ?? String(value);
+  return text.length > maxLength ? `${text.slice(0, maxLength - 3)}...` : text;
+};
@@ -0,0 +1,69 @@
+// mockPostsApi - an offline stand-in for the jsonplaceholder /posts endpoints,
+// with the same interface as createPostsApi in ./postsApi.
+//
+// Unlike jsonplaceholder, changes are kept (until the page is reloaded) and
+// new posts get unique ids. Set latency, or failureRate (0..1) to see the
+// optimistic updates in postsSlice roll back.
+
+import { sleep } from '../components/utils/sleep';
+
+const WORDS = [
+  'react', 'redux', 'state', 'store', 'slice', 'thunk', 'entity', 'adapter',
+  'selector', 'reducer', 'action', 'hook', 'render', 'effect', 'cache', 'update',
+];
+
+const sentence = (seed, length) =>
+  Array.from({ length }, (_, i) => WORDS[(seed * 7 + i * 5) % WORDS.length]).join(' ');
+
+const seedPosts = () =>
+  Array.from({ length: 100 }, (_, i) => ({
+    userId: Math.floor(i / 10) + 1,
+    id: i + 1,
+    title: sentence(i + 1, 3 + (i % 4)),
+    body: `${sentence(i + 3, 12)}.\n${sentence(i + 5, 10)}.`,
+  }));
+
+const posts = new Map(seedPosts().map((post) => [post.id, post]));
+let nextId = posts.size + 1;
+
+const notFound = (id) => Object.assign(new Error(`Post ${id} not found`), { status: 404 });
+
+export const mockPostsApi = {
+  latency: 600,
+  failureRate: 0,
+
+  async request(signal) {
+    await sleep(mockPostsApi.latency, signal);
+    if (Math.random() < mockPostsApi.failureRate) {
+      throw Object.assign(new Error('Server error (simulated)'), { status: 500 });
+    }
+  },
+
+  async list({ signal } = {}) {
+    await mockPostsApi.request(signal);
+    return [...posts.values()];
+  },
+
+  async create({ title, body, userId }) {
+    await mockPostsApi.request();
+    const post = { userId: Number(userId), id: nextId++, title, body };
+    posts.set(post.id, post);
+    return post;
+  },
+
+  async update(id, changes) {
+    await mockPostsApi.request();
+    if (!posts.has(id)) throw notFound(id);
+    const post = { ...posts.get(id), ...changes, id };
+    posts.set(id, post);
+    return post;
+  },
+
+  async remove(id) {
+    await mockPostsApi.request();
+    if (!posts.delete(id)) throw notFound(id);
+    return id;
+  },
+};
+
+export default mockPostsApi;
@@ -0,0 +1,15 @@
+import { useSyncExternalStore } from 'react';
+
+// Holds back its children until the persistor has loaded the saved state,
+// so nothing renders (or fetches) with the initial state first.
+//
+// <PersistGate persistor={persistor} loading={<p>Loading...</p>}>
+//   <App />
+// </PersistGate>
+
+const PersistGate = ({ persistor, loading = null, children }) => {
+  const { rehydrated } = useSyncExternalStore(persistor.subscribe, persistor.getState);
+  return rehydrated ? children : loading;
+};
+
+export default PersistGate;
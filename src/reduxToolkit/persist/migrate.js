@@ -0,0 +1,26 @@
+// Brings saved state up to the current version. Each migration takes the
+// state saved by the version before it:
+//
+//   migrations: {
+//     2: (state) => ({ ...state, posts: { ...state.posts, drafts: {} } }),
+//     3: (state) => { const { legacy, ...rest } = state; return rest; },
+//   }
+//
+// Returns null when the saved state cannot be used: it was written by a newer
+// version of the app, or a migration threw.
+
+export const migrate = ({ version: savedVersion = 0, state }, version, migrations = {}) => {
+  if (savedVersion === version) return state;
+  if (savedVersion > version) return null;
+
+  try {
+    return Object.keys(migrations)
+      .map(Number)
+      .filter((step) => step > savedVersion && step <= version)
+      .sort((a, b) => a - b)
+      .reduce((migrated, step) => migrations[step](migrated), state);
+  } catch (err) {
+    console.error(`Could not migrate the saved state from version ${savedVersion}:`, err);
+    return null;
+  }
+};
@@ -0,0 +1,67 @@
+import { createAction } from '@reduxjs/toolkit';
+
+// Which parts of the state are persisted, per slice:
+//
+//   slices: {
+//     posts: { whitelist: ['ids', 'entities'] }, // only these keys
+//     settings: { blacklist: ['draft'] },       // everything but these
+//     theme: true,                              // the whole slice
+//     drafts: { transform: (drafts) => ... },   // the slice as it should be saved
+//     todos: { merge: false },                  // the slice takes it in itself
+//   }
+//
+// Slices that are not listed are never saved. transform runs before the keys
+// are picked, both on what is saved and on what is loaded back.
+
+// Dispatched by persistStore with the saved state: once at start-up (origin
+// 'storage') and whenever another tab saves (origin 'other-tab'). Slices can
+// handle it in extraReducers too, after the saved state has been merged in.
+// A slice with merge: false is left as it is; its handler reads its saved
+// part from action.payload (already picked) and decides what to keep, e.g.
+// changes of its own that are still in flight.
+export const rehydrate = createAction('persist/rehydrate', (state, origin = 'storage') => ({
+  payload: state,
+  meta: { origin },
+}));
+
+const pickKeys = (sliceState, { whitelist, blacklist, transform } = {}) => {
+  if (!sliceState || typeof sliceState !== 'object') return sliceState;
+  const source = transform ? transform(sliceState) : sliceState;
+  const keys = Object.keys(source).filter(
+    (key) => (!whitelist || whitelist.includes(key)) && !blacklist?.includes(key)
+  );
+  return Object.fromEntries(keys.map((key) => [key, source[key]]));
+};
+
+// The part of the state that is saved
+export const pickPersisted = (state, { slices }) =>
+  Object.fromEntries(
+    Object.entries(slices)
+      .filter(([name, rule]) => rule && state[name] !== undefined)
+      .map(([name, rule]) => [name, rule === true ? state[name] : pickKeys(state[name], rule)])
+  );
+
+// Saved slices are merged over the current ones, so keys that are not
+// persisted (loading flags, errors) keep their current values
+const merge = (state, saved, { slices }) => {
+  const next = { ...state };
+  Object.entries(saved).forEach(([name, value]) => {
+    if (slices[name]?.merge === false) return;
+    const current = state[name];
+    next[name] =
+      current && typeof current === 'object' && !Array.isArray(current) && value && typeof value === 'object'
+        ? { ...current, ...value }
+        : value;
+  });
+  return next;
+};
+
+// Wraps the root reducer so it can take the saved state in
+export const persistReducer = (config, reducer) => (state, action) => {
+  if (rehydrate.match(action)) {
+    const current = state ?? reducer(undefined, action);
+    const saved = pickPersisted(action.payload ?? {}, config);
+    return reducer(merge(current, saved, config), { ...action, payload: saved });
+  }
+  return reducer(state, action);
+};
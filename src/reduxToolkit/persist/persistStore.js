@@ -0,0 +1,170 @@
+// persistStore - saves part of a store's state and loads it back on start-up.
+//
+//   const persistConfig = {
+//     key: 'app',                  // storage key
+//     version: 1,                  // bump it, and add a migration, when the saved shape changes
+//     slices: { posts: { whitelist: ['ids', 'entities'] } }, // see persistReducer
+//     storage: webStorage('local'),// see storages; the default
+//     throttle: 1000,              // at most one write per second
+//     migrations: { 1: (state) => ... }, // see migrate
+//     sync: true,                  // follow other tabs (true, false, 'storage' or 'broadcast')
+//   };
+//
+//   const store = configureStore({ reducer: persistReducer(persistConfig, rootReducer) });
+//   export const persistor = persistStore(store, persistConfig);
+//
+// The persistor:
+//   getState()  -> { rehydrated, error }; subscribe(listener) for changes (PersistGate uses both)
+//   flush()     -> writes a pending change now (also done when the page is hidden)
+//   purge()     -> removes the saved state
+//   stop()      -> stops saving and listening to other tabs
+//
+// Nothing is written until the saved state has been loaded, so a slow
+// storage cannot be overwritten by the initial state. With sync, a write in
+// one tab is dispatched as rehydrate(state, 'other-tab') in the others; the
+// storage event is used for localStorage, a BroadcastChannel otherwise.
+
+import { migrate } from './migrate';
+import { pickPersisted, rehydrate } from './persistReducer';
+import { webStorage } from './storages';
+
+const parse = (raw) => {
+  try {
+    const saved = JSON.parse(raw);
+    return saved && typeof saved === 'object' && 'state' in saved ? saved : null;
+  } catch {
+    return null;
+  }
+};
+
+export const persistStore = (store, config) => {
+  const {
+    key,
+    version = 0,
+    slices,
+    storage = webStorage('local'),
+    throttle = 1000,
+    migrations,
+    sync = true,
+  } = config;
+
+  let status = { rehydrated: false, error: null };
+  const listeners = new Set();
+  const setStatus = (patch) => {
+    status = { ...status, ...patch };
+    listeners.forEach((listener) => listener());
+  };
+
+  const serialize = () => JSON.stringify({ version, state: pickPersisted(store.getState(), { slices }) });
+
+  // What storage holds as far as this tab knows; unchanged state is not written again
+  let lastSaved = null;
+  let lastWriteAt = 0;
+  let timer = null;
+  let stopped = false;
+
+  const syncVia = sync === true ? storage.crossTab : sync || null;
+  const channel =
+    syncVia === 'broadcast' && typeof BroadcastChannel !== 'undefined'
+      ? new BroadcastChannel(`persist:${key}`)
+      : null;
+
+  const write = async () => {
+    clearTimeout(timer);
+    timer = null;
+    if (stopped || !status.rehydrated) return;
+    const serialized = serialize();
+    if (serialized === lastSaved) return;
+    lastSaved = serialized;
+    lastWriteAt = Date.now();
+    try {
+      await storage.setItem(key, serialized);
+      channel?.postMessage(serialized);
+    } catch (err) {
+      console.error(`Could not save the state under "${key}":`, err);
+      lastSaved = null;
+      setStatus({ error: err });
+    }
+  };
+
+  const scheduleWrite = () => {
+    if (timer || stopped) return;
+    timer = setTimeout(write, Math.max(0, lastWriteAt + throttle - Date.now()));
+  };
+
+  // Only the persisted slices are compared, by reference
+  let lastSlices = Object.keys(slices).map((name) => store.getState()[name]);
+  const unsubscribe = store.subscribe(() => {
+    const current = Object.keys(slices).map((name) => store.getState()[name]);
+    if (current.every((slice, i) => slice === lastSlices[i])) return;
+    lastSlices = current;
+    scheduleWrite();
+  });
+
+  const load = (raw, origin) => {
+    const saved = raw && parse(raw);
+    const state = saved && migrate(saved, version, migrations);
+    if (state) store.dispatch(rehydrate(state, origin));
+    // Another tab's write is already in storage
+    if (origin === 'other-tab') lastSaved = serialize();
+  };
+
+  const receive = (raw) => {
+    if (stopped || !status.rehydrated || raw === lastSaved) return;
+    // Tabs on another version of the app keep to themselves
+    if (parse(raw)?.version !== version) return;
+    load(raw, 'other-tab');
+  };
+
+  const onStorage = (e) => {
+    if (e.storageArea === window.localStorage && e.key === key && e.newValue) receive(e.newValue);
+  };
+  const onMessage = (e) => receive(e.data);
+  const onPageHide = () => write();
+
+  if (syncVia === 'storage') window.addEventListener('storage', onStorage);
+  channel?.addEventListener('message', onMessage);
+  window.addEventListener('pagehide', onPageHide);
+
+  storage
+    .getItem(key)
+    .then(
+      (raw) => {
+        if (stopped) return;
+        load(raw, 'storage');
+        lastSaved = raw;
+        setStatus({ rehydrated: true });
+        // Migrated (or changed while loading) state is saved right away
+        scheduleWrite();
+      },
+      (err) => {
+        console.error(`Could not load the state saved under "${key}":`, err);
+        setStatus({ rehydrated: true, error: err });
+      }
+    );
+
+  return {
+    getState: () => status,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    flush: write,
+    purge: async () => {
+      clearTimeout(timer);
+      timer = null;
+      lastSaved = null;
+      await storage.removeItem(key);
+    },
+    stop: () => {
+      stopped = true;
+      clearTimeout(timer);
+      unsubscribe();
+      window.removeEventListener('storage', onStorage);
+      window.removeEventListener('pagehide', onPageHide);
+      channel?.close();
+    },
+  };
+};
+
+export default persistStore;
@@ -0,0 +1,71 @@
+// Storages for persistStore. They all have the same async interface, so
+// the persisted state can move between them without other changes:
+//
+//   storage.getItem(key)        -> Promise<string | null>
+//   storage.setItem(key, value) -> Promise
+//   storage.removeItem(key)     -> Promise
+//
+// crossTab says how other tabs hear about writes: 'storage' (the window's
+// storage event, localStorage only), 'broadcast' (a BroadcastChannel) or
+// null (sessionStorage and memory are private to the tab anyway).
+//
+//   webStorage('local')      - localStorage (the default)
+//   webStorage('session')    - sessionStorage, gone when the tab closes
+//   indexedDbStorage()       - IndexedDB, for state too big for localStorage
+//   memoryStorage()          - nothing survives a reload; handy in tests
+
+export const webStorage = (type = 'local') => {
+  const area = () => (type === 'session' ? window.sessionStorage : window.localStorage);
+  return {
+    crossTab: type === 'local' ? 'storage' : null,
+    getItem: async (key) => area().getItem(key),
+    setItem: async (key, value) => area().setItem(key, value),
+    removeItem: async (key) => area().removeItem(key),
+  };
+};
+
+export const indexedDbStorage = ({ dbName = 'redux-persist', storeName = 'state' } = {}) => {
+  let opening = null;
+  const open = () => {
+    opening ??= new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return opening;
+  };
+
+  // Runs one request in its own transaction; resolves once it is committed
+  const run = async (mode, makeRequest) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = makeRequest(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+
+  return {
+    crossTab: 'broadcast',
+    getItem: async (key) => (await run('readonly', (store) => store.get(key))) ?? null,
+    setItem: (key, value) => run('readwrite', (store) => store.put(value, key)),
+    removeItem: (key) => run('readwrite', (store) => store.delete(key)),
+  };
+};
+
+export const memoryStorage = () => {
+  const items = new Map();
+  return {
+    crossTab: null,
+    getItem: async (key) => items.get(key) ?? null,
+    setItem: async (key, value) => {
+      items.set(key, value);
+    },
+    removeItem: async (key) => {
+      items.delete(key);
+    },
+  };
+};
@@ -0,0 +1,40 @@
+// postsApi - the jsonplaceholder /posts endpoints, as used by the thunks in
+// postsSlice (which get the api through the store's thunk extraArgument, so
+// it can be swapped for mockPostsApi without touching the slice).
+//
+//   const api = createPostsApi('https://jsonplaceholder.typicode.com');
+//   await api.list();                      // GET    /posts
+//   await api.create({ title, body, userId }); // POST /posts
+//   await api.update(id, { title });       // PATCH  /posts/:id
+//   await api.remove(id);                  // DELETE /posts/:id
+//
+// Failed requests throw an Error with the response status.
+
+export const createPostsApi = (baseUrl) => {
+  const request = async (path, { method = 'GET', body, signal } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      signal,
+      headers: body ? { 'Content-Type': 'application/json; charset=UTF-8' } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!response.ok) {
+      throw Object.assign(new Error(`Request failed with status ${response.status}`), {
+        status: response.status,
+      });
+    }
+    return response.json();
+  };
+
+  return {
+    list: ({ signal } = {}) => request('/posts', { signal }),
+    create: (post) => request('/posts', { method: 'POST', body: post }),
+    update: (id, changes) => request(`/posts/${id}`, { method: 'PATCH', body: changes }),
+    remove: async (id) => {
+      await request(`/posts/${id}`, { method: 'DELETE' });
+      return id;
+    },
+  };
+};
+
+export const jsonPlaceholderPostsApi = createPostsApi('https://jsonplaceholder.typicode.com');
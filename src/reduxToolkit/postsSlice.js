@@ -8,28 +8,103 @@
 // extraReducers allows you to respond to actions created by createAsyncThunk.
 // Dispatch the Thunk in your component.
 
-import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import {
+  createAsyncThunk,
+  createEntityAdapter,
+  createSelector,
+  createSlice,
+} from '@reduxjs/toolkit';
+import { rehydrate } from './persist/persistReducer';
+
+// Posts are normalized with createEntityAdapter ({ ids, entities }) and the
+// api comes from the store's thunk extraArgument ({ postsApi }, see store.js).
+//
+// Creating, editing and deleting are optimistic: the change shows at once,
+// and is rolled back if the server refuses it. Each post's progress is in
+// state.posts.status[id] = { pending: 'create' | 'update' | 'delete' | null, error },
+// read with selectPostStatus. A post with a change in flight cannot be
+// changed again until it settles (see the thunks' condition).
+
+// A post being created has a temporary id until the server gives it one
+const tempId = (requestId) => `temp-${requestId}`;
+export const isTempId = (id) => typeof id === 'string' && id.startsWith('temp-');
+
+// Route params are strings; saved posts have numeric ids
+export const toPostId = (param) => (isTempId(param) ? param : Number(param));
+
+// Newest first, with posts that are still being created on top
+const rank = (post) => (isTempId(post.id) ? Infinity : post.id);
+const postsAdapter = createEntityAdapter({
+  sortComparer: (a, b) => (rank(a) === rank(b) ? 0 : rank(a) > rank(b) ? -1 : 1),
+});
+
+const isSettled = (id, getState) => !getState().posts.status[id]?.pending;
 
 // Async Thunk to fetch posts
 export const fetchPosts = createAsyncThunk(
   'posts/fetchPosts',
-  async () => {
-    const response = await fetch('https://jsonplaceholder.typicode.com/posts');
-    if (!response.ok) {
-      throw new Error('Failed to fetch posts');
-    }
-    return response.json();
-  }
+  (_, { extra, signal }) => extra.postsApi.list({ signal }),
+  { condition: (_, { getState }) => !getState().posts.loading }
 );
 
+// post: { title, body, userId }
+export const addPost = createAsyncThunk('posts/addPost', (post, { extra }) =>
+  extra.postsApi.create(post)
+);
+
+export const updatePost = createAsyncThunk(
+  'posts/updatePost',
+  ({ id, changes }, { extra }) => extra.postsApi.update(id, changes),
+  { condition: ({ id }, { getState }) => isSettled(id, getState) }
+);
+
+export const deletePost = createAsyncThunk(
+  'posts/deletePost',
+  (id, { extra }) => extra.postsApi.remove(id),
+  { condition: (id, { getState }) => isSettled(id, getState) }
+);
+
+const initialState = postsAdapter.getInitialState({
+  loading: false,
+  error: null,
+  status: {},
+  // Each post as it was before its optimistic change, for rolling back
+  rollback: {},
+});
+
+const begin = (state, id, pending) => {
+  if (state.entities[id]) state.rollback[id] = { ...state.entities[id] };
+  state.status[id] = { pending, error: null };
+};
+
+const settle = (state, id, error = null) => {
+  state.status[id] = { pending: null, error };
+  delete state.rollback[id];
+};
+
+// Replaces the list with the server's (or a saved) one, keeping the
+// optimistic changes that are still in flight
+const replaceAllKeepingInFlight = (state, posts) => {
+  const inFlight = Object.entries(state.status).filter(([, status]) => status.pending);
+  const optimistic = inFlight
+    .map(([id]) => state.entities[id])
+    .filter(Boolean)
+    .map((post) => ({ ...post }));
+  postsAdapter.setAll(state, posts);
+  postsAdapter.upsertMany(state, optimistic);
+  inFlight
+    .filter(([, status]) => status.pending === 'delete')
+    .forEach(([id]) => postsAdapter.removeOne(state, Number(id)));
+};
+
 const postsSlice = createSlice({
   name: 'posts',
-  initialState: {
-    posts: [],
-    loading: false,
-    error: null,
+  initialState,
+  reducers: {
+    postErrorDismissed: (state, action) => {
+      if (state.status[action.payload]) state.status[action.payload].error = null;
+    },
   },
-  reducers: {}, // No need for reducers since we handle everything in extraReducers
   extraReducers: (builder) => {
     builder
       .addCase(fetchPosts.pending, (state) => {
@@ -38,13 +113,115 @@ const postsSlice = createSlice({
       })
       .addCase(fetchPosts.fulfilled, (state, action) => {
         state.loading = false;
-        state.posts = action.payload;
+        replaceAllKeepingInFlight(state, action.payload);
       })
       .addCase(fetchPosts.rejected, (state, action) => {
         state.loading = false;
+        // Cancelled with the thunk's abort(); not an error
+        if (action.meta.aborted) return;
         state.error = action.error.message;
+      })
+
+      .addCase(addPost.pending, (state, action) => {
+        const id = tempId(action.meta.requestId);
+        postsAdapter.addOne(state, { ...action.meta.arg, userId: Number(action.meta.arg.userId), id });
+        state.status[id] = { pending: 'create', error: null };
+      })
+      .addCase(addPost.fulfilled, (state, action) => {
+        const id = tempId(action.meta.requestId);
+        postsAdapter.removeOne(state, id);
+        delete state.status[id];
+        postsAdapter.addOne(state, action.payload);
+      })
+      .addCase(addPost.rejected, (state, action) => {
+        // The form that dispatched it shows the error (and still has the text)
+        const id = tempId(action.meta.requestId);
+        postsAdapter.removeOne(state, id);
+        delete state.status[id];
+      })
+
+      .addCase(updatePost.pending, (state, action) => {
+        const { id, changes } = action.meta.arg;
+        begin(state, id, 'update');
+        postsAdapter.updateOne(state, { id, changes });
+      })
+      .addCase(updatePost.fulfilled, (state, action) => {
+        postsAdapter.upsertOne(state, action.payload);
+        settle(state, action.meta.arg.id);
+      })
+      .addCase(updatePost.rejected, (state, action) => {
+        const { id } = action.meta.arg;
+        if (state.rollback[id]) postsAdapter.setOne(state, state.rollback[id]);
+        settle(state, id, action.error.message);
+      })
+
+      .addCase(deletePost.pending, (state, action) => {
+        begin(state, action.meta.arg, 'delete');
+        postsAdapter.removeOne(state, action.meta.arg);
+      })
+      .addCase(deletePost.fulfilled, (state, action) => {
+        delete state.status[action.meta.arg];
+        delete state.rollback[action.meta.arg];
+      })
+      .addCase(deletePost.rejected, (state, action) => {
+        const id = action.meta.arg;
+        if (state.rollback[id]) postsAdapter.addOne(state, state.rollback[id]);
+        settle(state, id, action.error.message);
+      })
+
+      // Saved posts (at start-up or from another tab); store.js persists
+      // this slice with merge: false so they arrive here unmerged
+      .addCase(rehydrate, (state, action) => {
+        const saved = action.payload.posts;
+        if (!Array.isArray(saved?.ids)) return;
+        replaceAllKeepingInFlight(state, saved.ids.map((id) => saved.entities[id]).filter(Boolean));
       });
   },
 });
 
+export const { postErrorDismissed } = postsSlice.actions;
+
+// Selectors (the adapter's are memoized per state.posts)
+export const {
+  selectAll: selectAllPosts,
+  selectById: selectPostById,
+  selectIds: selectPostIds,
+  selectTotal: selectPostCount,
+} = postsAdapter.getSelectors((state) => state.posts);
+
+const SETTLED = { pending: null, error: null };
+export const selectPostStatus = (state, id) => state.posts.status[id] ?? SETTLED;
+
+export const selectAuthorIds = createSelector([selectAllPosts], (posts) =>
+  [...new Set(posts.map((post) => post.userId))].sort((a, b) => a - b)
+);
+
+// selectPostsByAuthor(state, userId); every post when userId is empty
+export const selectPostsByAuthor = createSelector(
+  [selectAllPosts, (state, userId) => userId],
+  (posts, userId) => (userId ? posts.filter((post) => post.userId === Number(userId)) : posts)
+);
+
+// The posts as the server last confirmed them: posts still being created
+// are left out, and a post with an edit or delete in flight is saved as it
+// was before (its rollback copy). This is what store.js persists.
+export const confirmedPosts = (postsState) => {
+  if (!Array.isArray(postsState.ids)) return postsState;
+  const rollback = postsState.rollback ?? {};
+  const posts = [
+    ...postsState.ids.filter((id) => !isTempId(id)).map((id) => rollback[id] ?? postsState.entities[id]),
+    // deleted optimistically, so no longer in ids
+    ...Object.values(rollback).filter((post) => !(post.id in postsState.entities)),
+  ].sort((a, b) => b.id - a.id);
+  return {
+    ...postsState,
+    ids: posts.map((post) => post.id),
+    entities: Object.fromEntries(posts.map((post) => [post.id, post])),
+  };
+};
+
+export const selectPendingCount = createSelector([(state) => state.posts.status], (status) =>
+  Object.values(status).filter((entry) => entry.pending).length
+);
+
 export default postsSlice.reducer;
@@ -0,0 +1,286 @@
+// createRateLimitMiddleware - limits how often matching actions reach the
+// reducers.
+//
+//   export const limiter = createRateLimitMiddleware({
+//     rules: [
+//       { id: 'likes', match: postLiked, strategy: 'tokenBucket', limit: 5, interval: 10000 },
+//       { id: 'shares', match: postShared, strategy: 'throttle', interval: 2000, overflow: 'latest' },
+//       { id: 'search', match: 'search/queryChanged', strategy: 'debounce', interval: 300 },
+//     ],
+//     onLimited: (action, { rule, outcome }, { dispatch }) => dispatch(rateLimitExceeded(...)),
+//   });
+//   const store = configureStore({
+//     reducer,
+//     middleware: (getDefaultMiddleware) => getDefaultMiddleware().prepend(limiter.middleware),
+//   });
+//
+//   limiter.updateRule('likes', { limit: 10 });   // rules can change at runtime
+//   const { available, retryIn } = useRateLimitStatus(limiter, 'likes');
+//
+// A rule matches an action type, an action creator, a predicate or a list of
+// those; the first matching rule applies. Strategies:
+//   tokenBucket   - up to limit at once, refilled at limit per interval
+//   slidingWindow - at most limit in any interval
+//   throttle      - at most one per interval
+//   debounce      - only the last of a burst, once interval has passed quietly
+// What happens to an action over the limit (overflow):
+//   drop   - it is discarded
+//   queue  - it waits its turn (up to queueSize are kept, the rest dropped)
+//   latest - it replaces any action already waiting; the last one goes through
+// Debounce always keeps the latest. key(action) splits a rule into separate
+// limits, e.g. one per post. Limited actions return
+// { type: RATE_LIMITED, originalAction, outcome } from dispatch.
+
+export const RATE_LIMITED = 'RATE_LIMITED';
+
+const STRATEGIES = ['tokenBucket', 'slidingWindow', 'throttle', 'debounce'];
+const OVERFLOWS = ['drop', 'queue', 'latest'];
+
+const toMatcher = (match) => {
+  if (Array.isArray(match)) {
+    const matchers = match.map(toMatcher);
+    return (action) => matchers.some((matches) => matches(action));
+  }
+  if (typeof match === 'string') return (action) => action.type === match;
+  // Action creators are functions too, with their own match()
+  if (typeof match?.match === 'function') return match.match;
+  if (typeof match === 'function') return match;
+  throw new Error(`Rate limit: cannot match actions with ${String(match)}`);
+};
+
+const normalizeRule = (rule) => {
+  const {
+    id,
+    match,
+    strategy = 'tokenBucket',
+    limit = 5,
+    interval = 10000,
+    overflow = 'drop',
+    queueSize = 10,
+    key = () => '',
+  } = rule;
+  if (!id) throw new Error('Rate limit rules need an id');
+  if (!STRATEGIES.includes(strategy)) throw new Error(`Rate limit rule "${id}": unknown strategy "${strategy}"`);
+  if (!(limit >= 1)) throw new Error(`Rate limit rule "${id}": limit must be at least 1`);
+  if (!OVERFLOWS.includes(overflow)) throw new Error(`Rate limit rule "${id}": unknown overflow "${overflow}"`);
+  return { ...rule, id, match, strategy, limit, interval, overflow, queueSize, key, matches: toMatcher(match) };
+};
+
+// Tokens in the bucket at `now`, counting the refill since the last take
+const bucketTokens = (rule, limiter, now) => {
+  const elapsed = now - (limiter.refilledAt ?? now);
+  const refill = rule.interval > 0 ? (elapsed * rule.limit) / rule.interval : rule.limit;
+  return Math.min(rule.limit, (limiter.tokens ?? rule.limit) + refill);
+};
+
+// Times of the actions still inside the window at `now`
+const windowTimes = (rule, limiter, now) =>
+  (limiter.times ?? []).filter((time) => now - time < rule.interval);
+
+// How many actions may go through now, and how long until the next one can.
+// Only reads the limiter: status checks during render must not change it.
+const capacity = (rule, limiter, now) => {
+  switch (rule.strategy) {
+    case 'tokenBucket': {
+      const tokens = bucketTokens(rule, limiter, now);
+      return {
+        available: Math.floor(tokens),
+        retryIn: tokens >= 1 ? 0 : Math.ceil(((1 - tokens) * rule.interval) / rule.limit),
+      };
+    }
+    case 'slidingWindow': {
+      const times = windowTimes(rule, limiter, now);
+      const available = Math.max(0, rule.limit - times.length);
+      return {
+        available,
+        retryIn: available > 0 ? 0 : times[times.length - rule.limit] + rule.interval - now,
+      };
+    }
+    case 'throttle': {
+      const retryIn = Math.max(0, (limiter.last ?? -Infinity) + rule.interval - now);
+      return { available: retryIn > 0 ? 0 : 1, retryIn };
+    }
+    default:
+      // debounce: nothing goes through until the wait is over
+      return { available: 0, retryIn: Math.max(0, (limiter.fireAt ?? now) - now) };
+  }
+};
+
+const take = (rule, limiter, now) => {
+  if (rule.strategy === 'tokenBucket') {
+    limiter.tokens = bucketTokens(rule, limiter, now) - 1;
+    limiter.refilledAt = now;
+  } else if (rule.strategy === 'slidingWindow') {
+    limiter.times = [...windowTimes(rule, limiter, now), now];
+  } else if (rule.strategy === 'throttle') {
+    limiter.last = now;
+  }
+};
+
+export const createRateLimitMiddleware = ({ rules = [], onLimited } = {}) => {
+  let currentRules = rules.map(normalizeRule);
+  // `${ruleId}:${key}` -> { tokens, refilledAt, times, last, fireAt, pending, timer, dropped }
+  const limiters = new Map();
+  // Actions released from a queue, which must not be limited again
+  const released = new WeakSet();
+  let api = null;
+  let version = 0;
+  const listeners = new Set();
+
+  const notify = () => {
+    version += 1;
+    listeners.forEach((listener) => listener());
+  };
+
+  // What getStatus reads for a key nothing has been dispatched for yet
+  const UNUSED = { pending: [], dropped: 0 };
+
+  const getLimiter = (ruleId, key) => {
+    const id = `${ruleId}:${key}`;
+    if (!limiters.has(id)) limiters.set(id, { ruleId, pending: [], timer: null, dropped: 0 });
+    return limiters.get(id);
+  };
+
+  const release = (action) => {
+    released.add(action);
+    api.dispatch(action);
+  };
+
+  // Lets waiting actions through as capacity comes back
+  const schedule = (rule, limiter) => {
+    clearTimeout(limiter.timer);
+    limiter.timer = null;
+    if (limiter.pending.length === 0) return;
+
+    const now = Date.now();
+    if (rule.strategy === 'debounce') {
+      if (limiter.fireAt > now) {
+        limiter.timer = setTimeout(() => schedule(rule, limiter), limiter.fireAt - now);
+        return;
+      }
+      const action = limiter.pending.pop();
+      limiter.pending = [];
+      limiter.fireAt = null;
+      release(action);
+      notify();
+      return;
+    }
+
+    let { available, retryIn } = capacity(rule, limiter, now);
+    while (available > 0 && limiter.pending.length > 0) {
+      take(rule, limiter, now);
+      release(limiter.pending.shift());
+      ({ available, retryIn } = capacity(rule, limiter, now));
+    }
+    if (limiter.pending.length > 0) {
+      limiter.timer = setTimeout(() => schedule(rule, limiter), Math.max(retryIn, 1));
+    }
+    notify();
+  };
+
+  const limit = (rule, limiter, action) => {
+    let outcome;
+    if (rule.strategy === 'debounce') {
+      outcome = limiter.pending.length > 0 ? 'replaced' : 'delayed';
+      limiter.pending = [action];
+      limiter.fireAt = Date.now() + rule.interval;
+    } else if (rule.overflow === 'latest') {
+      outcome = limiter.pending.length > 0 ? 'replaced' : 'delayed';
+      limiter.pending = [action];
+    } else if (rule.overflow === 'queue' && limiter.pending.length < rule.queueSize) {
+      outcome = 'queued';
+      limiter.pending.push(action);
+    } else {
+      outcome = 'dropped';
+      limiter.dropped += 1;
+    }
+
+    if (outcome !== 'dropped') schedule(rule, limiter);
+    else notify();
+    onLimited?.(action, { rule, outcome, status: getStatus(rule.id, rule.key(action)) }, api);
+    return { type: RATE_LIMITED, originalAction: action, outcome };
+  };
+
+  const middleware = (storeApi) => {
+    api = storeApi;
+    return (next) => (action) => {
+      if (typeof action !== 'object' || action === null) return next(action);
+      if (released.has(action)) {
+        released.delete(action);
+        return next(action);
+      }
+
+      const rule = currentRules.find((candidate) => candidate.matches(action));
+      if (!rule) return next(action);
+
+      const limiter = getLimiter(rule.id, rule.key(action));
+      const now = Date.now();
+      // Waiting actions go first
+      if (rule.strategy === 'debounce' || limiter.pending.length > 0) return limit(rule, limiter, action);
+      if (capacity(rule, limiter, now).available === 0) return limit(rule, limiter, action);
+
+      take(rule, limiter, now);
+      notify();
+      return next(action);
+    };
+  };
+
+  // { id, strategy, limit, interval, overflow, available, retryIn, pending, dropped, limited }
+  const getStatus = (ruleId, key = '') => {
+    const rule = currentRules.find((candidate) => candidate.id === ruleId);
+    if (!rule) return null;
+    const limiter = limiters.get(`${rule.id}:${key}`) ?? UNUSED;
+    const { available, retryIn } = capacity(rule, limiter, Date.now());
+    const pending = limiter.pending.length;
+    return {
+      id: rule.id,
+      strategy: rule.strategy,
+      limit: rule.strategy === 'throttle' || rule.strategy === 'debounce' ? 1 : rule.limit,
+      interval: rule.interval,
+      overflow: rule.strategy === 'debounce' ? 'latest' : rule.overflow,
+      available: rule.strategy === 'debounce' ? (pending > 0 ? 0 : 1) : available,
+      retryIn: rule.strategy === 'debounce' && pending === 0 ? 0 : retryIn,
+      pending,
+      dropped: limiter.dropped,
+      limited: pending > 0 || available === 0,
+    };
+  };
+
+  // Swaps the rules; actions waiting on a removed rule go through now
+  const setRules = (nextRules) => {
+    currentRules = nextRules.map(normalizeRule);
+    limiters.forEach((limiter, id) => {
+      const rule = currentRules.find((candidate) => candidate.id === limiter.ruleId);
+      if (rule) {
+        schedule(rule, limiter);
+        return;
+      }
+      clearTimeout(limiter.timer);
+      limiters.delete(id);
+      limiter.pending.forEach((action) => release(action));
+    });
+    notify();
+  };
+
+  return {
+    middleware,
+    getStatus,
+    getRules: () => currentRules,
+    setRules,
+    updateRule: (id, patch) =>
+      setRules(currentRules.map((rule) => (rule.id === id ? { ...rule, ...patch } : rule))),
+    // Forgets all counts and drops waiting actions
+    reset: () => {
+      limiters.forEach((limiter) => clearTimeout(limiter.timer));
+      limiters.clear();
+      notify();
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getVersion: () => version,
+  };
+};
+
+export default createRateLimitMiddleware;
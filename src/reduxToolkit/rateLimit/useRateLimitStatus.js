@@ -0,0 +1,29 @@
+import { useEffect, useState, useSyncExternalStore } from 'react';
+
+// The status of one rate limit rule (see createRateLimitMiddleware), kept up
+// to date while it cools down or refills.
+//
+//   const { available, retryIn, limited } = useRateLimitStatus(limiter, 'likes');
+//   <button disabled={limited}>{limited ? `Wait ${(retryIn / 1000).toFixed(1)}s` : 'Like'}</button>
+//
+// Pass key for rules that are split by key(action). Returns null for an
+// unknown rule.
+const useRateLimitStatus = (limiter, ruleId, key = '', { tick = 100 } = {}) => {
+  useSyncExternalStore(limiter.subscribe, limiter.getVersion);
+  const [now, setNow] = useState(Date.now);
+  const status = limiter.getStatus(ruleId, key);
+  const retryIn = status?.retryIn ?? 0;
+  const refilling = status ? status.available < status.limit : false;
+
+  // retryIn counts down and used capacity comes back on their own, without
+  // the limiter changing
+  useEffect(() => {
+    if (retryIn <= 0 && !refilling) return;
+    const timer = setTimeout(() => setNow(Date.now()), retryIn > 0 ? Math.min(retryIn, tick) : tick);
+    return () => clearTimeout(timer);
+  }, [now, retryIn, refilling, tick]);
+
+  return status;
+};
+
+export default useRateLimitStatus;
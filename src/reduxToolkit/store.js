@@ -1,8 +1,42 @@
-import { configureStore } from '@reduxjs/toolkit';
-import postsReducer from './postsSlice';
+import { combineReducers, configureStore } from '@reduxjs/toolkit';
+import postsReducer, { confirmedPosts } from './postsSlice';
+import mockPostsApi from './mockPostsApi';
+import { persistReducer } from './persist/persistReducer';
+import { persistStore } from './persist/persistStore';
+import { webStorage } from './persist/storages';
 
-export const store = configureStore({
-  reducer: {
-    posts: postsReducer,
+// The loaded posts are saved in localStorage (not the loading flags or the
+// per-post status), so they show at once after a reload while
+// PostsList refreshes them, and follow changes made in other tabs. Posts
+// are saved as the server last confirmed them, never with optimistic
+// changes still in flight, and the slice takes saved posts in itself
+// (merge: false) so its own changes in flight survive another tab's save.
+// Restored and synced posts are a preview: the next fetch replaces
+// them with the server's list (each tab's mock api keeps its own posts, so a
+// post created in another tab is gone after that fetch).
+export const persistConfig = {
+  key: 'redux-toolkit',
+  version: 1,
+  slices: {
+    posts: { whitelist: ['ids', 'entities'], transform: confirmedPosts, merge: false },
   },
+  storage: webStorage('local'),
+  throttle: 1000,
+};
+
+const rootReducer = combineReducers({
+  posts: postsReducer,
+});
+
+// The posts thunks call extra.postsApi. The mock works offline; use
+// jsonPlaceholderPostsApi from ./postsApi for the real endpoints (which
+// accept changes but do not keep them).
+export const store = configureStore({
+  reducer: persistReducer(persistConfig, rootReducer),
+  middleware: (getDefaultMiddleware) =>
+    getDefaultMiddleware({
+      thunk: { extraArgument: { postsApi: mockPostsApi } },
+    }),
 });
+
+export const persistor = persistStore(store, persistConfig);
@@ -0,0 +1,97 @@
+import useUndoable from './useUndoable';
+import { describeAction } from './undoable';
+import { vars } from '../../components/theme/tokens';
+
+// Undo/redo buttons and the list of steps of an undoable reducer; click a
+// step to go back (or forward) to it.
+//
+// <HistoryPanel name="todos" />
+// <HistoryPanel name="cart" describe={(action) => labels[action.type]} />
+
+const styles = {
+  panel: {
+    padding: vars.space.md,
+    border: `1px solid ${vars.color.border}`,
+    borderRadius: vars.radius.md,
+    background: vars.color.surface,
+    fontSize: vars.font.sizeSm,
+  },
+  toolbar: {
+    display: 'flex',
+    gap: vars.space.sm,
+    alignItems: 'center',
+  },
+  list: {
+    listStyle: 'none',
+    margin: `${vars.space.sm} 0 0`,
+    padding: 0,
+    maxHeight: '240px',
+    overflowY: 'auto',
+  },
+  step: {
+    display: 'block',
+    width: '100%',
+    padding: `2px ${vars.space.sm}`,
+    border: 'none',
+    borderRadius: vars.radius.sm,
+    background: 'transparent',
+    color: vars.color.text,
+    textAlign: 'left',
+    cursor: 'pointer',
+  },
+  current: {
+    background: vars.color.primarySubtle,
+    fontWeight: 'bold',
+  },
+  future: {
+    color: vars.color.textMuted,
+    fontStyle: 'italic',
+  },
+};
+
+const HistoryPanel = ({ name, selectHistory, describe = describeAction, title = 'History' }) => {
+  const { past, future, presentAction, canUndo, canRedo, undo, redo, jump, clear } = useUndoable(
+    name,
+    selectHistory
+  );
+  const steps = [...past.map((entry) => entry.action), presentAction, ...future.map((entry) => entry.action)];
+
+  return (
+    <section style={styles.panel} aria-label={title}>
+      <div style={styles.toolbar}>
+        <strong>{title}</strong>
+        <button onClick={undo} disabled={!canUndo}>
+          Undo
+        </button>
+        <button onClick={redo} disabled={!canRedo}>
+          Redo
+        </button>
+        <button onClick={clear} disabled={!canUndo && !canRedo}>
+          Clear
+        </button>
+      </div>
+      <ol style={styles.list}>
+        {steps.map((action, index) => {
+          const current = index === past.length;
+          return (
+            <li key={index}>
+              <button
+                onClick={() => jump(index)}
+                aria-current={current ? 'step' : undefined}
+                style={{
+                  ...styles.step,
+                  ...(current && styles.current),
+                  ...(index > past.length && styles.future),
+                }}
+              >
+                {action ? describe(action) : 'Start'}
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+    </section>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,112 @@
+import { createAction } from '@reduxjs/toolkit';
+
+// undoable - wraps a slice reducer so its changes can be undone and redone.
+//
+//   reducer: {
+//     todos: undoable(todosSlice.reducer, {
+//       name: 'todos',                                 // what undo('todos') targets
+//       limit: 50,                                     // steps kept in the past
+//       filter: excludeAction(setFilter.type),         // changes that are not steps
+//       groupBy: groupByActionTypes(editTodo.type, (action) => action.payload.id),
+//     }),
+//   }
+//
+//   dispatch(undo('todos')); dispatch(redo('todos'));
+//   dispatch(jump(0, 'todos'));  // back to the oldest step kept
+//
+// The slice's state moves to state.todos.present; the rest is the history:
+//   { past: [{ state, action }], present, presentAction, future: [{ state, action }] }
+// where action is the action that produced that state (null for the start).
+// Without a target, undo() etc. apply to every undoable reducer.
+//
+// filter(action, present, history) returning false applies the action without
+// making it a step: undoing goes back past it. Like any change it drops the
+// redo steps, which were undone from a state without it. groupBy(action,
+// present, history) returns a key; consecutive steps with the same key (not
+// null) become one, so a burst of typing is undone in one go.
+
+export const undo = createAction('history/undo', (target) => ({ payload: { target } }));
+export const redo = createAction('history/redo', (target) => ({ payload: { target } }));
+// index into [...past, present, ...future]
+export const jump = createAction('history/jump', (index, target) => ({ payload: { index, target } }));
+export const clearHistory = createAction('history/clear', (target) => ({ payload: { target } }));
+
+const historyActions = [undo, redo, jump, clearHistory];
+
+const toList = (types) => [].concat(types);
+
+export const includeAction = (types) => (action) => toList(types).includes(action.type);
+
+export const excludeAction = (types) => (action) => !toList(types).includes(action.type);
+
+// Consecutive actions of these types with the same keyOf(action) are one step
+export const groupByActionTypes = (types, keyOf = () => '') => (action) =>
+  toList(types).includes(action.type) ? `${action.type}:${keyOf(action)}` : null;
+
+// For history lists: 'todos/editTodo' with { id: 2, text: 'Milk' } -> 'editTodo {"id":2,"text":"Milk"}'
+// (a thunk's 'todos/addTodo/fulfilled' is 'addTodo')
+export const describeAction = (action) => {
+  const name = action.type.replace(/\/(pending|fulfilled|rejected)$/, '').split('/').pop();
+  if (action.payload === undefined) return name;
+  const payload = JSON.stringify(action.payload);
+  return `${name} ${payload.length > 40 ? `${payload.slice(0, 37)}...` : payload}`;
+};
+
+// Only what the history panel needs; meta can be large
+const record = (action) => ({ type: action.type, payload: action.payload });
+
+const newHistory = (present) => ({ past: [], present, presentAction: null, future: [], group: null });
+
+const goTo = (history, index) => {
+  const timeline = [
+    ...history.past,
+    { state: history.present, action: history.presentAction },
+    ...history.future,
+  ];
+  if (index < 0 || index >= timeline.length || index === history.past.length) return history;
+  return {
+    past: timeline.slice(0, index),
+    present: timeline[index].state,
+    presentAction: timeline[index].action,
+    future: timeline.slice(index + 1),
+    group: null,
+  };
+};
+
+export const undoable = (reducer, { name, limit = 50, filter = () => true, groupBy = () => null } = {}) => {
+  if (!(limit >= 1)) throw new Error(`undoable${name ? ` "${name}"` : ''}: limit must be at least 1`);
+
+  const handleHistoryAction = (history, action) => {
+    const { target } = action.payload;
+    if (target !== undefined && target !== name) return history;
+    if (undo.match(action)) return goTo(history, history.past.length - 1);
+    if (redo.match(action)) return goTo(history, history.past.length + 1);
+    if (jump.match(action)) return goTo(history, action.payload.index);
+    return { ...history, past: [], future: [], group: null };
+  };
+
+  return (history, action) => {
+    if (history === undefined) return newHistory(reducer(undefined, action));
+    if (historyActions.some((creator) => creator.match(action))) {
+      return handleHistoryAction(history, action);
+    }
+
+    const present = reducer(history.present, action);
+    if (present === history.present) return history;
+    if (!filter(action, present, history)) return { ...history, present, future: [], group: null };
+
+    const group = groupBy(action, present, history) ?? null;
+    if (group !== null && group === history.group) {
+      return { ...history, present, presentAction: record(action), future: [] };
+    }
+    return {
+      past: [...history.past, { state: history.present, action: history.presentAction }].slice(-limit),
+      present,
+      presentAction: record(action),
+      future: [],
+      group,
+    };
+  };
+};
+
+export default undoable;
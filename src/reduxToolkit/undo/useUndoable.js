@@ -0,0 +1,52 @@
+import { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { clearHistory, jump, redo, undo } from './undoable';
+
+// The history of an undoable reducer, with its actions bound.
+//
+//   const { present, canUndo, canRedo, undo, redo } = useUndoable('todos');
+//
+// name is the reducer's name option; by default its history is read from
+// state[name] (pass selectHistory when it lives elsewhere).
+const useUndoable = (name, selectHistory = (state) => state[name]) => {
+  const history = useSelector(selectHistory);
+  const dispatch = useDispatch();
+
+  return {
+    present: history.present,
+    presentAction: history.presentAction,
+    past: history.past,
+    future: history.future,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    undo: () => dispatch(undo(name)),
+    redo: () => dispatch(redo(name)),
+    jump: (index) => dispatch(jump(index, name)),
+    clear: () => dispatch(clearHistory(name)),
+  };
+};
+
+const isEditable = (element) =>
+  element?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element?.tagName);
+
+// Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes. Ignored while typing
+// in a field, which has its own undo.
+export const useUndoShortcuts = (name, { enabled = true } = {}) => {
+  const dispatch = useDispatch();
+
+  useEffect(() => {
+    if (!enabled) return;
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isEditable(document.activeElement)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) dispatch(undo(name));
+      else if ((key === 'z' && e.shiftKey) || key === 'y') dispatch(redo(name));
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [dispatch, name, enabled]);
+};
+
+export default useUndoable;
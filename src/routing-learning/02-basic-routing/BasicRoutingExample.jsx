@@ -2,7 +2,8 @@
 // This demonstrates a fully functional basic routing setup
 
 import React from 'react';
-import { BrowserRouter, Routes, Route, Link, NavLink } from 'react-router-dom';
+import { Routes, Route, Link, NavLink } from 'react-router-dom';
+import LessonRouter from '../../navigator/LessonRouter';
 
 // Page Components
 function Home() {
@@ -187,7 +188,7 @@ function Navigation() {
 // Main App Component
 function BasicRoutingApp() {
   return (
-    <BrowserRouter>
+    <LessonRouter>
       <div className="app">
         <Navigation />
 
@@ -205,7 +206,7 @@ function BasicRoutingApp() {
           <p>© 2024 React Router Demo. Built with ❤️ and React Router v6</p>
         </footer>
       </div>
-    </BrowserRouter>
+    </LessonRouter>
   );
 }
 
@@ -2,7 +2,8 @@
 // Complete these exercises to master basic routing concepts
 
 import React, { useState } from 'react';
-import { BrowserRouter, Routes, Route, Link, NavLink } from 'react-router-dom';
+import { Routes, Route, Link, NavLink } from 'react-router-dom';
+import LessonRouter from '../../navigator/LessonRouter';
 
 // =============================================================================
 // EXERCISE 1: Create a Simple Blog Application
@@ -87,7 +88,7 @@ function BlogNavigation() {
 // TODO: Complete the BlogApp component
 function BlogApp() {
   return (
-    <BrowserRouter>
+    <LessonRouter>
       <div className="blog-app">
         {/* TODO: Add BlogNavigation component */}
 
@@ -102,7 +103,7 @@ function BlogApp() {
           </Routes>
         </main>
       </div>
-    </BrowserRouter>
+    </LessonRouter>
   );
 }
 
@@ -215,7 +216,7 @@ function ShopNavigation() {
 // TODO: Complete the ShopApp component
 function ShopApp() {
   return (
-    <BrowserRouter>
+    <LessonRouter>
       <div className="shop-app">
         {/* TODO: Add ShopNavigation */}
 
@@ -225,7 +226,7 @@ function ShopApp() {
           </Routes>
         </main>
       </div>
-    </BrowserRouter>
+    </LessonRouter>
   );
 }
 
@@ -312,12 +313,12 @@ function PortfolioContact() {
 // TODO: Complete the PortfolioApp
 function PortfolioApp() {
   return (
-    <BrowserRouter>
+    <LessonRouter>
       <div className="portfolio-app">
         {/* TODO: Create navigation */}
         {/* TODO: Define routes */}
       </div>
-    </BrowserRouter>
+    </LessonRouter>
   );
 }
 
@@ -2,7 +2,8 @@
 // This demonstrates all types of route parameters in action
 
 import React, { useState, useEffect } from 'react';
-import { BrowserRouter, Routes, Route, Link, useParams, useSearchParams, Navigate } from 'react-router-dom';
+import { Routes, Route, Link, useParams, useSearchParams, Navigate } from 'react-router-dom';
+import LessonRouter from '../../navigator/LessonRouter';
 
 // =============================================================================
 // EXAMPLE 1: E-commerce with Path Parameters
@@ -543,7 +544,7 @@ function SearchPage() {
 
 function RouteParametersApp() {
   return (
-    <BrowserRouter>
+    <LessonRouter>
       <div className="app">
         <nav className="main-nav">
           <Link to="/" className="nav-brand">🎯 Route Parameters Demo</Link>
@@ -567,7 +568,7 @@ function RouteParametersApp() {
           </Routes>
         </main>
       </div>
-    </BrowserRouter>
+    </LessonRouter>
   );
 }
 
@@ -2,7 +2,8 @@
 // This demonstrates complex nested routing patterns with real-world applications
 
 import React, { useState, useEffect } from 'react';
-import { BrowserRouter, Routes, Route, Link, NavLink, Outlet, useParams, useOutletContext, Navigate } from 'react-router-dom';
+import { Routes, Route, Link, NavLink, Outlet, useParams, useOutletContext, Navigate } from 'react-router-dom';
+import LessonRouter from '../../navigator/LessonRouter';
 
 // =============================================================================
 // EXAMPLE 1: E-commerce Admin Dashboard
@@ -688,7 +689,7 @@ function NestedRoutingApp() {
 
   if (currentExample === 'admin') {
     return (
-      <BrowserRouter>
+      <LessonRouter>
         <div className="app">
           <Routes>
             <Route path="/" element={<ExampleSelector onSelect={setCurrentExample} />} />
@@ -723,13 +724,13 @@ function NestedRoutingApp() {
             </Route>
           </Routes>
         </div>
-      </BrowserRouter>
+      </LessonRouter>
     );
   }
 
   if (currentExample === 'course') {
     return (
-      <BrowserRouter>
+      <LessonRouter>
         <div className="app">
           <Routes>
             <Route path="/" element={<ExampleSelector onSelect={setCurrentExample} />} />
@@ -753,7 +754,7 @@ function NestedRoutingApp() {
             </Route>
           </Routes>
         </div>
-      </BrowserRouter>
+      </LessonRouter>
     );
   }
 
@@ -2,7 +2,8 @@
 // This demonstrates all navigation hooks with real-world scenarios
 
 import React, { useState, useEffect } from 'react';
-import { BrowserRouter, Routes, Route, Link, useNavigate, useLocation, useParams, useSearchParams } from 'react-router-dom';
+import { Routes, Route, Link, useNavigate, useLocation, useParams, useSearchParams } from 'react-router-dom';
+import LessonRouter from '../../navigator/LessonRouter';
 
 // =============================================================================
 // EXAMPLE 1: E-commerce Checkout Flow with Navigation
@@ -810,7 +811,7 @@ function SearchResult() {
 function NavigationHooksApp() {
   return (
     <CartProvider>
-      <BrowserRouter>
+      <LessonRouter>
         <div className="app">
           <nav className="main-nav">
             <Link to="/" className="nav-brand">🪝 Navigation Hooks Demo</Link>
@@ -845,7 +846,7 @@ function NavigationHooksApp() {
             </Routes>
           </main>
         </div>
-      </BrowserRouter>
+      </LessonRouter>
     </CartProvider>
   );
 }
@@ -2,7 +2,12 @@
 // This demonstrates comprehensive authentication and route protection patterns
 
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import { BrowserRouter, Routes, Route, Link, Navigate, useNavigate, useLocation } from 'react-router-dom';
+import { Routes, Route, Link, Navigate, useNavigate, useLocation } from 'react-router-dom';
+import LessonRouter from '../../navigator/LessonRouter';
+import mockUserService from '../../components/form/mockUserService';
+import useForm from '../../components/form/useForm';
+import Form from '../../components/form/Form';
+import Field from '../../components/form/Field';
 
 // =============================================================================
 // AUTHENTICATION CONTEXT & PROVIDER
@@ -18,43 +23,6 @@ export function useAuth() {
   return context;
 }
 
-// Mock users database
-const MOCK_USERS = {
-  'admin@example.com': {
-    id: 1,
-    email: 'admin@example.com',
-    password: 'admin123',
-    name: 'Admin User',
-    role: 'admin',
-    permissions: ['user.read', 'user.write', 'admin.access', 'reports.view'],
-    authLevel: 3, // Full authentication
-    mfaEnabled: true,
-    emailVerified: true
-  },
-  'manager@example.com': {
-    id: 2,
-    email: 'manager@example.com',
-    password: 'manager123',
-    name: 'Manager User',
-    role: 'manager',
-    permissions: ['user.read', 'reports.view'],
-    authLevel: 2, // Email verified
-    mfaEnabled: false,
-    emailVerified: true
-  },
-  'user@example.com': {
-    id: 3,
-    email: 'user@example.com',
-    password: 'user123',
-    name: 'Regular User',
-    role: 'user',
-    permissions: ['profile.read', 'profile.write'],
-    authLevel: 1, // Basic login
-    mfaEnabled: false,
-    emailVerified: false
-  }
-};
-
 function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -106,14 +74,8 @@ function AuthProvider({ children }) {
 
   const login = async (credentials) => {
     try {
-      // Simulate API call delay
-      await new Promise(resolve => setTimeout(resolve, 1000));
-
-      const user = MOCK_USERS[credentials.email];
-
-      if (!user || user.password !== credentials.password) {
-        throw new Error('Invalid email or password');
-      }
+      // Rejects with field errors (errors.email / errors.password) on failure
+      const user = await mockUserService.login(credentials);
 
       // Store user data (in real app, store only token)
       localStorage.setItem('currentUser', JSON.stringify(user));
@@ -122,7 +84,7 @@ function AuthProvider({ children }) {
 
       return { success: true, user };
     } catch (error) {
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, errors: error.errors };
     }
   };
 
@@ -335,31 +297,33 @@ function ProtectedRoute({
 // AUTHENTICATION PAGES
 // =============================================================================
 
+const loginSchema = {
+  email: {
+    label: 'Email',
+    required: true,
+    pattern: { value: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'Enter a valid email address' }
+  },
+  password: { label: 'Password', required: true }
+};
+
 function LoginPage() {
   const navigate = useNavigate();
   const location = useLocation();
   const { login } = useAuth();
 
-  const [credentials, setCredentials] = useState({ email: '', password: '' });
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState('');
+  const form = useForm({ email: '', password: '' }, loginSchema);
 
   const from = location.state?.from?.pathname || '/dashboard';
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setLoading(true);
-    setError('');
-
+  // Field errors from the server (unknown email, wrong password) are shown
+  // next to the field; anything else above the form
+  const handleSubmit = async (credentials) => {
     const result = await login(credentials);
 
-    if (result.success) {
-      navigate(from, { replace: true });
-    } else {
-      setError(result.error);
+    if (!result.success) {
+      throw Object.assign(new Error(result.error), { errors: result.errors });
     }
-
-    setLoading(false);
+    navigate(from, { replace: true });
   };
 
   const demoLogin = (userType) => {
@@ -369,7 +333,8 @@ function LoginPage() {
       user: { email: 'user@example.com', password: 'user123' }
     };
 
-    setCredentials(demoCredentials[userType]);
+    form.setValue('email', demoCredentials[userType].email);
+    form.setValue('password', demoCredentials[userType].password);
   };
 
   return (
@@ -383,35 +348,18 @@ function LoginPage() {
           </div>
         )}
 
-        {error && <div className="error-message">{error}</div>}
-
-        <form onSubmit={handleSubmit} className="auth-form">
-          <div className="form-group">
-            <label>Email:</label>
-            <input
-              type="email"
-              value={credentials.email}
-              onChange={(e) => setCredentials({ ...credentials, email: e.target.value })}
-              required
-              disabled={loading}
-            />
-          </div>
+        {form.submitError && <div className="error-message">{form.submitError}</div>}
 
-          <div className="form-group">
-            <label>Password:</label>
-            <input
-              type="password"
-              value={credentials.password}
-              onChange={(e) => setCredentials({ ...credentials, password: e.target.value })}
-              required
-              disabled={loading}
-            />
-          </div>
+        <Form form={form} onSubmit={handleSubmit} className="auth-form">
+          <fieldset disabled={form.isSubmitting} style={{ border: 'none', padding: 0 }}>
+            <Field name="email" type="email" autoComplete="email" />
+            <Field name="password" type="password" autoComplete="current-password" />
+          </fieldset>
 
-          <button type="submit" disabled={loading} className="btn-primary">
-            {loading ? 'Logging in...' : 'Login'}
+          <button type="submit" disabled={form.isSubmitting} className="btn-primary">
+            {form.isSubmitting ? 'Logging in...' : 'Login'}
           </button>
-        </form>
+        </Form>
 
         <div className="demo-accounts">
           <h3>Demo Accounts:</h3>
@@ -650,7 +598,7 @@ function ProfilePage() {
 }
 
 function UsersPage() {
-  const users = Object.values(MOCK_USERS);
+  const users = mockUserService.list();
 
   return (
     <div className="users-page">
@@ -804,7 +752,7 @@ function Navigation() {
 function RouteGuardsApp() {
   return (
     <AuthProvider>
-      <BrowserRouter>
+      <LessonRouter>
         <div className="app">
           <Navigation />
 
@@ -870,7 +818,7 @@ function RouteGuardsApp() {
             </Routes>
           </main>
         </div>
-      </BrowserRouter>
+      </LessonRouter>
     </AuthProvider>
   );
 }
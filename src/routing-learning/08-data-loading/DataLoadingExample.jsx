@@ -3,8 +3,6 @@
 
 import React, { useState, useEffect, Suspense } from 'react';
 import {
-  createBrowserRouter,
-  RouterProvider,
   Outlet,
   useLoaderData,
   useActionData,
@@ -16,6 +14,7 @@ import {
   NavLink,
   redirect
 } from 'react-router-dom';
+import LessonRouter from '../../navigator/LessonRouter';
 
 // =============================================================================
 // MOCK API AND DATA
@@ -827,7 +826,7 @@ function DashboardSkeleton() {
 // ROUTER CONFIGURATION
 // =============================================================================
 
-const router = createBrowserRouter([
+const routes = [
   {
     path: '/',
     element: <RootLayout />,
@@ -886,14 +885,14 @@ const router = createBrowserRouter([
       }
     ]
   }
-]);
+];
 
 // =============================================================================
 // MAIN APP COMPONENT
 // =============================================================================
 
 function DataLoadingApp() {
-  return <RouterProvider router={router} />;
+  return <LessonRouter routes={routes} />;
 }
 
 export default DataLoadingApp;
@@ -4,6 +4,9 @@
 import React, { useState } from 'react';
 import { createSlice, configureStore } from '@reduxjs/toolkit';
 import { Provider, useSelector, useDispatch } from 'react-redux';
+import { undoable, excludeAction } from '../../reduxToolkit/undo/undoable';
+import { useUndoShortcuts } from '../../reduxToolkit/undo/useUndoable';
+import HistoryPanel from '../../reduxToolkit/undo/HistoryPanel';
 
 // =============================================================================
 // EXAMPLE 1: Simple Counter - Basic RTK Concepts
@@ -218,8 +221,10 @@ export const {
 
 // Todo List Component
 function TodoList() {
-  const { items, filter } = useSelector(state => state.todos);
+  // todos is undoable (see the store), so the slice's state is in .present
+  const { items, filter } = useSelector(state => state.todos.present);
   const dispatch = useDispatch();
+  useUndoShortcuts('todos');
   const [newTodoText, setNewTodoText] = useState('');
   const [editingId, setEditingId] = useState(null);
   const [editText, setEditText] = useState('');
@@ -374,6 +379,9 @@ function TodoList() {
         </div>
       )}
 
+      {/* Undo History (Ctrl+Z / Ctrl+Shift+Z work too) */}
+      <HistoryPanel name="todos" title="Todo history" />
+
       <div className="rtk-explanation">
         <h3>🎯 Advanced RTK Concepts:</h3>
         <ul>
@@ -382,6 +390,7 @@ function TodoList() {
           <li><strong>Conditional logic:</strong> Finding and updating specific items</li>
           <li><strong>State normalization:</strong> Using IDs for efficient updates</li>
           <li><strong>Derived state:</strong> Filtering based on current filter</li>
+          <li><strong>Higher-order reducer:</strong> undoable() adds undo/redo around the slice</li>
         </ul>
       </div>
     </div>
@@ -603,7 +612,11 @@ function UserSettings() {
 const store = configureStore({
   reducer: {
     counter: counterSlice.reducer,
-    todos: todosSlice.reducer,
+    // Changing the filter is not an undo step
+    todos: undoable(todosSlice.reducer, {
+      name: 'todos',
+      filter: excludeAction(setFilter.type)
+    }),
     user: userSlice.reducer
   },
   // RTK includes these by default:
@@ -4,6 +4,9 @@
 import React, { useState } from 'react';
 import { createSlice, createEntityAdapter, createSelector, configureStore } from '@reduxjs/toolkit';
 import { Provider, useSelector, useDispatch } from 'react-redux';
+import { undoable, groupByActionTypes } from '../../reduxToolkit/undo/undoable';
+import { useUndoShortcuts } from '../../reduxToolkit/undo/useUndoable';
+import HistoryPanel from '../../reduxToolkit/undo/HistoryPanel';
 
 // =============================================================================
 // EXAMPLE 1: E-commerce Product Management with Entity Adapter
@@ -143,8 +146,9 @@ export const selectProductStats = createSelector(
 export const {
   addProduct, updateProduct, removeProduct, setProducts, purchaseProduct,
   setFilter, clearFilters, setView, setSorting
-} = productsSlice.actions;// 
-=============================================================================
+} = productsSlice.actions;
+
+// =============================================================================
 // EXAMPLE 2: Shopping Cart with Complex State Logic
 // =============================================================================
 
@@ -236,7 +240,11 @@ export const {
 const store = configureStore({
   reducer: {
     products: productsSlice.reducer,
-    cart: cartSlice.reducer
+    // Typing a quantity is one undo step per item, not one per keystroke
+    cart: undoable(cartSlice.reducer, {
+      name: 'cart',
+      groupBy: groupByActionTypes(updateQuantity.type, action => action.payload.productId)
+    })
   }
 });
 
@@ -377,9 +385,10 @@ function ProductCard({ product }) {
 
 function ShoppingCart() {
   const dispatch = useDispatch();
-  const cartItems = useSelector(state => state.cart.items);
-  const totals = useSelector(state => state.cart.totals);
-  const discounts = useSelector(state => state.cart.discounts);
+  const cartItems = useSelector(state => state.cart.present.items);
+  const totals = useSelector(state => state.cart.present.totals);
+  const discounts = useSelector(state => state.cart.present.discounts);
+  useUndoShortcuts('cart');
 
   const itemsArray = Object.values(cartItems);
 
@@ -436,6 +445,9 @@ function ShoppingCart() {
           </div>
         </>
       )}
+
+      {/* Shown when empty too, so Clear Cart can be undone */}
+      <HistoryPanel name="cart" title="Cart history" />
     </div>
   );
 }
@@ -481,6 +493,7 @@ function SlicesApp() {
             <li><strong>Complex State Logic:</strong> Cart calculations and business rules</li>
             <li><strong>Cross-Slice Actions:</strong> Products affecting cart state</li>
             <li><strong>Internal Reducers:</strong> Private calculation methods</li>
+            <li><strong>Undo/Redo:</strong> The cart wrapped in the undoable() higher-order reducer</li>
           </ul>
         </footer>
       </div>
@@ -488,8 +501,9 @@ function SlicesApp() {
   );
 }
 
-export default SlicesApp;// ===
-==========================================================================
+export default SlicesApp;
+
+// =============================================================================
 // CSS STYLES
 // =============================================================================
 
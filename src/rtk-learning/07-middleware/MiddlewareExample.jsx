@@ -1,10 +1,14 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useSyncExternalStore } from 'react'
 import {
   createSlice,
   configureStore,
   createListenerMiddleware
 } from '@reduxjs/toolkit'
 import { Provider, useSelector, useDispatch } from 'react-redux'
+import { createInspector } from '../../reduxToolkit/inspector/createInspector'
+import { createRateLimitMiddleware } from '../../reduxToolkit/rateLimit/createRateLimitMiddleware'
+import useRateLimitStatus from '../../reduxToolkit/rateLimit/useRateLimitStatus'
+import ActionInspector from '../../reduxToolkit/inspector/ActionInspector'
 
 // 📊 Analytics Mock
 const analytics = {
@@ -15,20 +19,10 @@ const analytics = {
 
 // ⚙️ Custom Middleware Examples
 
-// 1. Logger Middleware
-const loggerMiddleware = ({ getState }) => (next) => (action) => {
-  const prevState = getState()
-  const result = next(action)
-  const nextState = getState()
-
-  console.group(`🔄 Action: ${action.type}`)
-  console.log('📥 Previous State:', prevState)
-  console.log('⚡ Action:', action)
-  console.log('📤 Next State:', nextState)
-  console.groupEnd()
-
-  return result
-}
+// 1. Inspector Middleware
+// Records every action with its duration and what it changed, for the
+// 🔍 Inspector and 📊 Performance tabs
+const inspector = createInspector()
 
 // 2. Analytics Middleware
 const analyticsMiddleware = ({ getState }) => (next) => (action) => {
@@ -55,34 +49,7 @@ const analyticsMiddleware = ({ getState }) => (next) => (action) => {
   return result
 }
 
-// 3. Performance Monitoring Middleware
-const performanceMiddleware = ({ getState }) => (next) => (action) => {
-  const startTime = performance.now()
-  const result = next(action)
-  const endTime = performance.now()
-  const duration = endTime - startTime
-
-  // Log slow actions
-  if (duration > 5) { // More than 5ms
-    console.warn(`🐌 Slow action detected: ${action.type}`, {
-      duration: `${duration.toFixed(2)}ms`,
-      action,
-    })
-  }
-
-  // Track performance metrics
-  if (window.performanceMetrics) {
-    window.performanceMetrics.push({
-      actionType: action.type,
-      duration,
-      timestamp: Date.now(),
-    })
-  }
-
-  return result
-}
-
-// 4. Error Handling Middleware
+// 3. Error Handling Middleware
 const errorHandlingMiddleware = ({ dispatch }) => (next) => (action) => {
   try {
     return next(action)
@@ -103,53 +70,38 @@ const errorHandlingMiddleware = ({ dispatch }) => (next) => (action) => {
   }
 }
 
-// 5. Rate Limiting Middleware
-const rateLimitMiddleware = (() => {
-  const actionCounts = new Map()
-  const RATE_LIMIT = 5 // actions per 10 seconds
-  const TIME_WINDOW = 10000 // 10 seconds
-
-  return ({ dispatch }) => (next) => (action) => {
-    const now = Date.now()
-    const actionType = action.type
-
-    // Skip system actions
-    if (actionType.startsWith('system/')) {
-      return next(action)
-    }
-
-    // Get or create action history
-    if (!actionCounts.has(actionType)) {
-      actionCounts.set(actionType, [])
-    }
-
-    const history = actionCounts.get(actionType)
-
-    // Remove old entries
-    const recentActions = history.filter(timestamp =>
-      now - timestamp < TIME_WINDOW
-    )
-
-    // Check rate limit
-    if (recentActions.length >= RATE_LIMIT) {
-      dispatch({
-        type: 'system/rateLimitExceeded',
-        payload: {
-          actionType,
-          limit: RATE_LIMIT,
-          timeWindow: TIME_WINDOW,
-        }
-      })
-      return { type: 'RATE_LIMITED', originalAction: action }
-    }
-
-    // Add current action to history
-    recentActions.push(now)
-    actionCounts.set(actionType, recentActions)
-
-    return next(action)
-  }
-})()
+// 4. Rate Limiting Middleware
+// Each rule picks a strategy and what happens to actions over the limit;
+// the ⏱️ Rate Limits tab changes them at runtime
+const rateLimiter = createRateLimitMiddleware({
+  rules: [
+    { id: 'likes', match: 'posts/postLiked', strategy: 'tokenBucket', limit: 5, interval: 10000, overflow: 'drop' },
+    { id: 'shares', match: 'posts/postShared', strategy: 'throttle', interval: 3000, overflow: 'latest' },
+    { id: 'posts', match: 'posts/postAdded', strategy: 'slidingWindow', limit: 2, interval: 30000, overflow: 'queue' },
+    // Everything else but system actions: 5 of each type per 10 seconds
+    {
+      id: 'default',
+      match: (action) => !action.type.startsWith('system/'),
+      strategy: 'slidingWindow',
+      limit: 5,
+      interval: 10000,
+      key: (action) => action.type,
+    },
+  ],
+  onLimited: (action, { rule, outcome }, { dispatch }) => {
+    dispatch({
+      type: 'system/rateLimitExceeded',
+      payload: {
+        actionType: action.type,
+        rule: rule.id,
+        strategy: rule.strategy,
+        outcome,
+        limit: rule.limit,
+        timeWindow: rule.interval,
+      }
+    })
+  },
+})
 
 // 🎧 Listener Middleware Setup
 const listenerMiddleware = createListenerMiddleware()
@@ -250,7 +202,7 @@ const systemSlice = createSlice({
       state.notifications.push({
         id: Date.now(),
         type: 'warning',
-        message: `Rate limit exceeded for ${action.payload.actionType}`,
+        message: `Rate limit: ${action.payload.actionType} ${action.payload.outcome}`,
         timestamp: new Date().toISOString(),
       })
     },
@@ -379,20 +331,16 @@ const store = configureStore({
       .prepend(
         // Early middleware
         errorHandlingMiddleware,
-        rateLimitMiddleware,
+        rateLimiter.middleware,
         listenerMiddleware.middleware,
       )
       .concat(
         // Late middleware
-        performanceMiddleware,
         analyticsMiddleware,
-        loggerMiddleware, // Logger should be last
+        inspector.middleware, // Inspector should be last
       ),
 })
 
-// Initialize performance metrics tracking
-window.performanceMetrics = []
-
 // 👤 User Component
 function UserSection() {
   const dispatch = useDispatch()
@@ -471,6 +419,8 @@ function PostsSection() {
   const posts = useSelector(state => state.posts.items)
   const user = useSelector(state => state.user)
   const [newPost, setNewPost] = useState({ title: '', content: '' })
+  const likeLimit = useRateLimitStatus(rateLimiter, 'likes')
+  const shareLimit = useRateLimitStatus(rateLimiter, 'shares')
 
   const handleAddPost = () => {
     if (!newPost.title || !newPost.content || !user.isAuthenticated) return
@@ -531,6 +481,13 @@ function PostsSection() {
         </div>
       )}
 
+      {posts.length > 0 && (
+        <div className="rate-limit-hint">
+          <span>👍 {likeLimit.available}/{likeLimit.limit} likes left{likeLimit.retryIn > 0 && ` · next in ${(likeLimit.retryIn / 1000).toFixed(1)}s`}</span>
+          <span>🔗 {shareLimit.retryIn > 0 ? `Sharing cools down for ${(shareLimit.retryIn / 1000).toFixed(1)}s` : 'Ready to share'}</span>
+        </div>
+      )}
+
       <div className="posts-list">
         {posts.map(post => (
           <div key={post.id} className="post-card">
@@ -626,7 +583,7 @@ function NotificationsSection() {
           <div className="warnings-list">
             {rateLimitWarnings.slice(-3).map((warning, index) => (
               <div key={index} className="warning-item">
-                <strong>{warning.actionType}:</strong> {warning.limit} actions per {warning.timeWindow / 1000}s
+                <strong>{warning.actionType}:</strong> {warning.outcome} ({warning.strategy}, rule &quot;{warning.rule}&quot;)
               </div>
             ))}
           </div>
@@ -636,19 +593,75 @@ function NotificationsSection() {
   )
 }
 
-// 📊 Performance Monitor
-function PerformanceMonitor() {
-  const [metrics, setMetrics] = useState([])
+// ⏱️ Rate Limit Settings
+const strategies = ['tokenBucket', 'slidingWindow', 'throttle', 'debounce']
+const overflows = ['drop', 'queue', 'latest']
 
-  useEffect(() => {
-    const interval = setInterval(() => {
-      if (window.performanceMetrics) {
-        setMetrics([...window.performanceMetrics.slice(-10)])
-      }
-    }, 1000)
+function RateLimitRule({ rule }) {
+  const status = useRateLimitStatus(rateLimiter, rule.id)
+  const update = (patch) => rateLimiter.updateRule(rule.id, patch)
+  const usesLimit = rule.strategy === 'tokenBucket' || rule.strategy === 'slidingWindow'
 
-    return () => clearInterval(interval)
-  }, [])
+  return (
+    <div className={`rate-limit-rule ${status.limited ? 'limited' : ''}`}>
+      <strong>{rule.id}</strong>
+      <select value={rule.strategy} onChange={(e) => update({ strategy: e.target.value })}>
+        {strategies.map(strategy => <option key={strategy} value={strategy}>{strategy}</option>)}
+      </select>
+      {usesLimit && (
+        <label>
+          Limit
+          <input
+            type="number"
+            min="1"
+            value={rule.limit}
+            onChange={(e) => update({ limit: Math.max(1, Number(e.target.value)) })}
+          />
+        </label>
+      )}
+      <label>
+        {usesLimit ? 'per (ms)' : 'Wait (ms)'}
+        <input
+          type="number"
+          min="0"
+          step="500"
+          value={rule.interval}
+          onChange={(e) => update({ interval: Math.max(0, Number(e.target.value)) })}
+        />
+      </label>
+      {rule.strategy !== 'debounce' && (
+        <select value={rule.overflow} onChange={(e) => update({ overflow: e.target.value })}>
+          {overflows.map(overflow => <option key={overflow} value={overflow}>{overflow}</option>)}
+        </select>
+      )}
+      <span className="rate-limit-status">
+        {status.retryIn > 0 ? `⏳ ${(status.retryIn / 1000).toFixed(1)}s` : '✅ ready'}
+        {status.pending > 0 && ` · ${status.pending} waiting`}
+        {status.dropped > 0 && ` · ${status.dropped} dropped`}
+      </span>
+    </div>
+  )
+}
+
+function RateLimitSettings() {
+  const rules = useSyncExternalStore(rateLimiter.subscribe, rateLimiter.getRules)
+
+  return (
+    <div className="rate-limit-settings">
+      <h3>⏱️ Rate Limits</h3>
+      <p>Changes apply immediately. The default rule covers every other non-system action type.</p>
+      {rules.map(rule => <RateLimitRule key={rule.id} rule={rule} />)}
+      <button onClick={rateLimiter.reset} className="clear-btn">
+        🔄 Reset counters
+      </button>
+    </div>
+  )
+}
+
+// 📊 Performance Monitor
+function PerformanceMonitor() {
+  const { entries } = useSyncExternalStore(inspector.subscribe, inspector.getSnapshot)
+  const metrics = entries.slice(-10)
 
   const avgDuration = metrics.length > 0
     ? (metrics.reduce((sum, m) => sum + m.duration, 0) / metrics.length).toFixed(2)
@@ -680,7 +693,7 @@ function PerformanceMonitor() {
           <h4>🐌 Slow Actions</h4>
           {slowActions.slice(-3).map((action, index) => (
             <div key={index} className="slow-action">
-              <strong>{action.actionType}:</strong> {action.duration.toFixed(2)}ms
+              <strong>{action.action.type}:</strong> {action.duration.toFixed(2)}ms
             </div>
           ))}
         </div>
@@ -689,6 +702,11 @@ function PerformanceMonitor() {
   )
 }
 
+// 🔍 Action Inspector
+function InspectorSection() {
+  return <ActionInspector inspector={inspector} />
+}
+
 // 🎯 Main Middleware Example Component
 function MiddlewareExample() {
   const [activeTab, setActiveTab] = useState('user')
@@ -697,7 +715,9 @@ function MiddlewareExample() {
     { id: 'user', label: '👤 User', component: UserSection },
     { id: 'posts', label: '📝 Posts', component: PostsSection },
     { id: 'notifications', label: '🔔 System', component: NotificationsSection },
+    { id: 'rate-limits', label: '⏱️ Rate Limits', component: RateLimitSettings },
     { id: 'performance', label: '📊 Performance', component: PerformanceMonitor },
+    { id: 'inspector', label: '🔍 Inspector', component: InspectorSection },
   ]
 
   const ActiveComponent = tabs.find(tab => tab.id === activeTab)?.component
@@ -729,13 +749,12 @@ function MiddlewareExample() {
         <h3>⚙️ Active Middleware:</h3>
         <ul>
           <li>✅ <strong>Error Handling:</strong> Catches and logs errors</li>
-          <li>✅ <strong>Rate Limiting:</strong> Prevents spam actions (5 per 10s)</li>
+          <li>✅ <strong>Rate Limiting:</strong> Token bucket, sliding window, throttle or debounce per action type</li>
           <li>✅ <strong>Listener Effects:</strong> Side effects for login, sharing, etc.</li>
-          <li>✅ <strong>Performance Monitor:</strong> Tracks action execution time</li>
           <li>✅ <strong>Analytics:</strong> Tracks user interactions</li>
-          <li>✅ <strong>Logger:</strong> Logs all actions and state changes</li>
+          <li>✅ <strong>Inspector:</strong> Records all actions, their duration and state changes</li>
         </ul>
-        <p>💡 Open browser console to see middleware logs in action!</p>
+        <p>💡 Open the Inspector tab to see every action and what it changed!</p>
       </div>
 
       <style jsx>{`
@@ -1082,6 +1101,41 @@ function MiddlewareExample() {
           color: #666;
         }
 
+        .rate-limit-hint {
+          display: flex;
+          justify-content: space-between;
+          margin-bottom: 15px;
+          font-size: 0.85rem;
+          color: #666;
+        }
+
+        .rate-limit-rule {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 10px;
+          padding: 10px 15px;
+          margin-bottom: 10px;
+          background: #f8f9fa;
+          border-radius: 6px;
+          border-left: 4px solid #4caf50;
+        }
+
+        .rate-limit-rule.limited {
+          border-left-color: #ff9800;
+        }
+
+        .rate-limit-rule input {
+          width: 80px;
+          margin-left: 5px;
+        }
+
+        .rate-limit-status {
+          margin-left: auto;
+          font-size: 0.85rem;
+          color: #666;
+        }
+
         .performance-stats {
           display: grid;
           grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
@@ -6,6 +6,9 @@ import {
   createEntityAdapter
 } from '@reduxjs/toolkit'
 import { Provider, useSelector, useDispatch } from 'react-redux'
+import { undoable, excludeAction } from '../../reduxToolkit/undo/undoable'
+import { useUndoShortcuts } from '../../reduxToolkit/undo/useUndoable'
+import HistoryPanel from '../../reduxToolkit/undo/HistoryPanel'
 
 // 🧪 This component demonstrates testable RTK patterns
 // In a real app, these would be in separate files with corresponding test files
@@ -104,9 +107,6 @@ const todosAdapter = createEntityAdapter({
 const todosSlice = createSlice({
   name: 'todos',
   initialState: todosAdapter.getInitialState({
-    loading: false,
-    error: null,
-    filter: 'all', // all, active, completed
     stats: {
       total: 0,
       completed: 0,
@@ -131,10 +131,6 @@ const todosSlice = createSlice({
       }
     },
 
-    filterChanged: (state, action) => {
-      state.filter = action.payload
-    },
-
     todoTextUpdated: (state, action) => {
       const { id, text } = action.payload
       const todo = state.entities[id]
@@ -172,12 +168,7 @@ const todosSlice = createSlice({
   extraReducers: (builder) => {
     builder
       // Fetch todos
-      .addCase(fetchTodos.pending, (state) => {
-        state.loading = true
-        state.error = null
-      })
       .addCase(fetchTodos.fulfilled, (state, action) => {
-        state.loading = false
         todosAdapter.setAll(state, action.payload)
         // Update stats
         const todos = action.payload
@@ -185,26 +176,13 @@ const todosSlice = createSlice({
         state.stats.completed = todos.filter(t => t.completed).length
         state.stats.active = todos.filter(t => !t.completed).length
       })
-      .addCase(fetchTodos.rejected, (state, action) => {
-        state.loading = false
-        state.error = action.payload
-      })
 
       // Add todo
-      .addCase(addTodoAsync.pending, (state) => {
-        state.loading = true
-        state.error = null
-      })
       .addCase(addTodoAsync.fulfilled, (state, action) => {
-        state.loading = false
         todosAdapter.addOne(state, action.payload)
         state.stats.total += 1
         state.stats.active += 1
       })
-      .addCase(addTodoAsync.rejected, (state, action) => {
-        state.loading = false
-        state.error = action.payload
-      })
 
       // Update todo
       .addCase(updateTodoAsync.fulfilled, (state, action) => {
@@ -231,10 +209,42 @@ const todosSlice = createSlice({
   },
 })
 
+// 🚦 Request status and view filter, kept out of the undoable todos so that
+// undo never brings back a spinner, an old error or another filter
+const todosStatusSlice = createSlice({
+  name: 'todosStatus',
+  initialState: {
+    loading: false,
+    error: null,
+    filter: 'all', // all, active, completed
+  },
+  reducers: {
+    filterChanged: (state, action) => {
+      state.filter = action.payload
+    },
+  },
+  extraReducers: (builder) => {
+    [fetchTodos, addTodoAsync].forEach(thunk => {
+      builder
+        .addCase(thunk.pending, (state) => {
+          state.loading = true
+          state.error = null
+        })
+        .addCase(thunk.fulfilled, (state) => {
+          state.loading = false
+        })
+        .addCase(thunk.rejected, (state, action) => {
+          state.loading = false
+          state.error = action.payload
+        })
+    })
+  },
+})
+
 // Export actions
+export const { filterChanged } = todosStatusSlice.actions
 export const {
   todoToggled,
-  filterChanged,
   todoTextUpdated,
   todoPriorityUpdated,
   allTodosCompleted,
@@ -242,14 +252,14 @@ export const {
 } = todosSlice.actions
 
 // 🎯 Selectors (Testable)
-const todosSelectors = todosAdapter.getSelectors(state => state.todos)
+const todosSelectors = todosAdapter.getSelectors(state => state.todos.present)
 
 export const selectAllTodos = todosSelectors.selectAll
 export const selectTodoById = todosSelectors.selectById
-export const selectTodosLoading = state => state.todos.loading
-export const selectTodosError = state => state.todos.error
-export const selectTodosFilter = state => state.todos.filter
-export const selectTodosStats = state => state.todos.stats
+export const selectTodosLoading = state => state.todosStatus.loading
+export const selectTodosError = state => state.todosStatus.error
+export const selectTodosFilter = state => state.todosStatus.filter
+export const selectTodosStats = state => state.todos.present.stats
 
 // Derived selectors (Great for testing memoization)
 export const selectFilteredTodos = (state) => {
@@ -278,7 +288,12 @@ export const selectTodosByPriority = (state) => {
 // 🏪 Store Configuration
 const store = configureStore({
   reducer: {
-    todos: todosSlice.reducer,
+    // Loading the list is where history starts, not a step to undo
+    todos: undoable(todosSlice.reducer, {
+      name: 'todos',
+      filter: excludeAction(fetchTodos.fulfilled.type),
+    }),
+    todosStatus: todosStatusSlice.reducer,
   },
   middleware: (getDefaultMiddleware) =>
     getDefaultMiddleware({
@@ -629,6 +644,7 @@ const TodoList = React.memo(() => {
 function TestingExample() {
   const dispatch = useDispatch()
   const loading = useSelector(selectTodosLoading)
+  useUndoShortcuts('todos')
 
   // Load initial data
   React.useEffect(() => {
@@ -647,6 +663,7 @@ function TestingExample() {
           <AddTodoForm />
           <TodoFilter />
           <TodoStats />
+          <HistoryPanel name="todos" title="Todo history" />
         </div>
 
         <div className="right-panel">
@@ -0,0 +1,14 @@
+// Product catalogue behind mockApiService.products in RealWorldExample.jsx.
+// Kept in its own module so other demos (e.g. the SearchFilter component)
+// can use the same data.
+
+export const mockProducts = [
+  { id: 1, name: 'MacBook Pro', price: 2499, category: 'electronics', brand: 'Apple', stock: 15, rating: 4.8 },
+  { id: 2, name: 'iPhone 15', price: 999, category: 'electronics', brand: 'Apple', stock: 25, rating: 4.7 },
+  { id: 3, name: 'Nike Air Max', price: 129, category: 'clothing', brand: 'Nike', stock: 50, rating: 4.5 },
+  { id: 4, name: 'Samsung TV', price: 799, category: 'electronics', brand: 'Samsung', stock: 8, rating: 4.6 },
+  { id: 5, name: 'Adidas Hoodie', price: 79, category: 'clothing', brand: 'Adidas', stock: 30, rating: 4.3 },
+  { id: 6, name: 'Dell Monitor', price: 299, category: 'electronics', brand: 'Dell', stock: 12, rating: 4.4 },
+  { id: 7, name: 'Levi\'s Jeans', price: 89, category: 'clothing', brand: 'Levi\'s', stock: 40, rating: 4.2 },
+  { id: 8, name: 'Sony Headphones', price: 199, category: 'electronics', brand: 'Sony', stock: 20, rating: 4.9 },
+]